@@ -0,0 +1,264 @@
+/**
+ * Log Shipper
+ * Sends the log lines of this window to the server in batches
+ * (/api/log/batch) instead of one request per line. Batches go out on a timer
+ * or once CONFIG.LOG_BATCH_SIZE lines are waiting. While the server is
+ * unreachable the lines are kept in IndexedDB, also across page reloads, and
+ * sent first once it answers again.
+ */
+const logShipper = {
+    queue: [],            // Lines not sent yet, oldest first
+    timer: null,
+    ready: false,         // Set once server discovery finished
+    flushing: false,
+    retryAt: 0,           // Lines are stored instead of sent until then
+    storedCount: 0,       // Lines waiting in IndexedDB
+    db: null,             // Promise of the database; resolves to null without IndexedDB
+    memoryStore: [],      // Stand-in for IndexedDB when it is unavailable
+
+    /**
+     * Queues a log line for the server
+     * @param {Object} entry - { message, type, timestamp }
+     */
+    enqueue: function (entry) {
+        this.queue.push(entry);
+        if (this.queue.length >= CONFIG.LOG_BATCH_SIZE) {
+            this.flush();
+        } else if (!this.timer) {
+            this.timer = setTimeout(() => this.flush(), CONFIG.LOG_FLUSH_INTERVAL);
+        }
+    },
+
+    /**
+     * Sends the stored lines and then the queued ones, in order
+     * Nothing is logged through addLogEntry here, since that would queue
+     * more lines.
+     */
+    flush: async function () {
+        clearTimeout(this.timer);
+        this.timer = null;
+        if (this.flushing || !this.ready) return;
+
+        this.flushing = true;
+        try {
+            if (Date.now() >= this.retryAt) {
+                while (this.storedCount > 0 && await this.sendStored()) {
+                    // Keep going until the stored lines are sent or the server fails again
+                }
+            }
+
+            while (this.queue.length > 0) {
+                const batch = this.queue.splice(0, CONFIG.LOG_BATCH_SIZE);
+                // Later lines wait behind stored ones, so the server log keeps its order
+                if (Date.now() < this.retryAt || this.storedCount > 0 || !(await this.send(batch))) {
+                    await this.store(batch);
+                }
+            }
+        } finally {
+            this.flushing = false;
+        }
+    },
+
+    /**
+     * Posts a batch of lines
+     * @param {Object[]} batch - Log lines
+     * @returns {Promise<boolean>} False if the server could not take them
+     */
+    send: async function (batch) {
+        try {
+            const response = await apiFetch('/api/log/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries: batch })
+            });
+            if (response.status >= 500) {
+                throw new Error(`HTTP error! status: ${response.status}`);
+            }
+            if (!response.ok) {
+                // Sending the same lines again would fail the same way
+                console.error(`Server rejected ${batch.length} log lines: status ${response.status}`);
+            }
+            return true;
+        } catch (error) {
+            this.retryAt = Date.now() + CONFIG.MAX_BACKOFF;
+            console.warn(`Failed to send logs to server, keeping them until it answers: ${error.message}`);
+            return false;
+        }
+    },
+
+    /**
+     * Sends the oldest stored batch and removes it from the store
+     * @returns {Promise<boolean>} Whether a batch was sent
+     */
+    sendStored: async function () {
+        const stored = await this.readStored(CONFIG.LOG_BATCH_SIZE);
+        if (stored.entries.length === 0) {
+            this.storedCount = 0;
+            return false;
+        }
+        if (!(await this.send(stored.entries))) {
+            return false;
+        }
+        await this.deleteStored(stored.lastKey);
+        return true;
+    },
+
+    /**
+     * Sends whatever is waiting, e.g. after the live connection came back
+     */
+    resume: function () {
+        this.retryAt = 0;
+        this.flush();
+    },
+
+    /**
+     * Sends the queued lines while the page unloads
+     * keepalive lets the request outlive the page. Stored lines stay in
+     * IndexedDB for the next visit.
+     */
+    flushOnUnload: function () {
+        if (this.queue.length === 0) return;
+
+        const batch = this.queue.splice(0);
+        if (this.ready && Date.now() >= this.retryAt && this.storedCount === 0) {
+            apiFetch('/api/log/batch', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ entries: batch }),
+                keepalive: true
+            }).catch(() => {});
+        } else {
+            this.store(batch);
+        }
+    },
+
+    /**
+     * Opens the database of unsent lines
+     * @returns {Promise<IDBDatabase|null>}
+     */
+    openDatabase: function () {
+        if (!this.db) {
+            this.db = new Promise(resolve => {
+                if (!window.indexedDB) {
+                    resolve(null);
+                    return;
+                }
+                const request = indexedDB.open(CONFIG.LOG_DATABASE_NAME, 1);
+                request.onupgradeneeded = () => request.result.createObjectStore('entries', { autoIncrement: true });
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    console.warn('IndexedDB unavailable, unsent logs are kept in memory only');
+                    resolve(null);
+                };
+            });
+        }
+        return this.db;
+    },
+
+    /**
+     * Runs a request against the entries store
+     * @param {string} mode - readonly or readwrite
+     * @param {Function} action - Receives the store, returns an IDBRequest
+     * @returns {Promise<*>} The request result
+     */
+    withStore: async function (mode, action) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const request = action(db.transaction('entries', mode).objectStore('entries'));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    },
+
+    /**
+     * Keeps lines until the server answers again
+     * The oldest lines are dropped beyond CONFIG.LOG_OFFLINE_MAX_ENTRIES.
+     * @param {Object[]} entries - Log lines
+     */
+    store: async function (entries) {
+        this.storedCount += entries.length;
+        try {
+            if (!(await this.openDatabase())) {
+                this.memoryStore.push(...entries);
+                this.memoryStore.splice(0, Math.max(0, this.memoryStore.length - CONFIG.LOG_OFFLINE_MAX_ENTRIES));
+                this.storedCount = this.memoryStore.length;
+                return;
+            }
+
+            for (const entry of entries) {
+                await this.withStore('readwrite', store => store.add(entry));
+            }
+            const excess = this.storedCount - CONFIG.LOG_OFFLINE_MAX_ENTRIES;
+            if (excess > 0) {
+                const stored = await this.readStored(excess);
+                await this.deleteStored(stored.lastKey);
+            }
+        } catch (error) {
+            console.error('Failed to store unsent logs:', error);
+        }
+    },
+
+    /**
+     * Reads the oldest stored lines
+     * @param {number} limit - Maximum number of lines
+     * @returns {Promise<{ entries: Object[], lastKey: * }>}
+     */
+    readStored: async function (limit) {
+        if (!(await this.openDatabase())) {
+            return { entries: this.memoryStore.slice(0, limit), lastKey: Math.min(limit, this.memoryStore.length) };
+        }
+
+        const [entries, keys] = await Promise.all([
+            this.withStore('readonly', store => store.getAll(null, limit)),
+            this.withStore('readonly', store => store.getAllKeys(null, limit))
+        ]);
+        return { entries, lastKey: keys[keys.length - 1] };
+    },
+
+    /**
+     * Removes the stored lines up to a key
+     * @param {*} lastKey - Key of the last line to remove (a count without IndexedDB)
+     */
+    deleteStored: async function (lastKey) {
+        if (!(await this.openDatabase())) {
+            this.memoryStore.splice(0, lastKey);
+        } else {
+            await this.withStore('readwrite', store => store.delete(IDBKeyRange.upperBound(lastKey)));
+        }
+        this.storedCount = await this.countStored();
+    },
+
+    /**
+     * Counts the stored lines
+     * @returns {Promise<number>}
+     */
+    countStored: async function () {
+        if (!(await this.openDatabase())) {
+            return this.memoryStore.length;
+        }
+        return this.withStore('readonly', store => store.count());
+    }
+};
+
+/**
+ * Formats a date like the server log ("2024-01-31 14:05:09", local time)
+ * @param {Date} date - The time of the log line
+ */
+function formatLogTimestamp(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ` +
+        `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+window.addEventListener('pagehide', () => logShipper.flushOnUnload());
+
+// Lines left over from an earlier visit are sent once the server is found
+serverDiscovery.then(async () => {
+    try {
+        logShipper.storedCount = await logShipper.countStored();
+    } catch (error) {
+        console.error('Failed to read unsent logs:', error);
+    }
+    logShipper.ready = true;
+    logShipper.flush();
+});
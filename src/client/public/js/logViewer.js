@@ -0,0 +1,375 @@
+/**
+ * Log Viewer
+ * The Logs tab shows the log of this window, the live server log (terminal
+ * log lines pushed over the event stream) or a log file of an earlier session
+ * from the logs/ directory. Entries are kept in capped buffers and only the
+ * rows in view are rendered, so long sessions stay responsive.
+ */
+const LOG_LEVELS = ['INFO', 'DEBUG', 'SUCCESS', 'WARNING', 'ERROR', 'REQUEST', 'RESPONSE'];
+const LOG_ROW_HEIGHT = 22;   // px, matches .log-entry in style.css
+const LOG_ROW_OVERSCAN = 10; // Rows rendered above and below the visible ones
+
+const logViewer = {
+    buffers: { gui: [], server: [] },  // Live entries, oldest first
+    fileEntries: [],          // Entries of the log file being browsed
+    files: [],                // Log files listed by /api/logs
+    source: 'gui',            // gui, server or file:<name>
+    levels: new Set(LOG_LEVELS),
+    search: '',
+    paused: false,
+    follow: true,
+    visible: [],              // Filtered entries on screen; frozen while paused
+    pendingCount: 0,          // Entries received while paused
+    serverLogLoaded: false,   // Whether the current terminal log file was read
+    renderScheduled: false
+};
+
+/**
+ * Adds an entry to a live log buffer
+ * @param {string} buffer - gui or server
+ * @param {Object} entry - { timestamp, level, source, message }
+ */
+function addLogViewerEntry(buffer, entry) {
+    const entries = logViewer.buffers[buffer];
+    entries.push(entry);
+    if (entries.length > CONFIG.LOG_VIEWER_MAX_ENTRIES) {
+        entries.splice(0, entries.length - CONFIG.LOG_VIEWER_MAX_ENTRIES);
+    }
+
+    if (logViewer.source !== buffer) return;
+    if (logViewer.paused) {
+        logViewer.pendingCount++;
+        renderLogStatus();
+    } else {
+        scheduleLogRender();
+    }
+}
+
+/**
+ * Shows a log line pushed by the server (see serverEvents.js)
+ * @param {Object} entry - { timestamp, level, source, message }
+ */
+function addServerLogEntry(entry) {
+    addLogViewerEntry('server', entry);
+}
+
+/**
+ * Sets up the level toggles and shows the log, listing the log files the
+ * first time
+ */
+function initializeLogViewer() {
+    const levels = document.getElementById('log-levels');
+    if (!levels.hasChildNodes()) {
+        LOG_LEVELS.forEach(level => {
+            const chip = document.createElement('button');
+            chip.className = 'tag-chip log-level-chip active';
+            chip.setAttribute('data-level', level);
+            chip.addEventListener('click', () => toggleLogLevel(level));
+            levels.appendChild(chip);
+        });
+        loadLogFiles();
+    }
+
+    renderLogView();
+}
+
+/**
+ * Lists the log files of the logs/ directory in the source selector
+ */
+async function loadLogFiles() {
+    try {
+        const response = await apiFetch('/api/logs');
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to list log files');
+        }
+        logViewer.files = data.files || [];
+    } catch (error) {
+        addLogEntry(`Failed to list log files: ${error.message}`, 'ERROR');
+        return;
+    }
+
+    const group = document.getElementById('log-file-options');
+    group.innerHTML = '';
+    logViewer.files.forEach(file => {
+        const session = file.session.replace('_', ' ').replace(/-(\d{2})-(\d{2})$/, ':$1:$2');
+        const label = `${file.source === 'terminal' ? 'Server' : 'GUI'} log, ${session}${file.current ? ' (this session)' : ''}`;
+        group.appendChild(new Option(label, `file:${file.name}`));
+    });
+    document.getElementById('log-source').value = logViewer.source;
+}
+
+/**
+ * Reads the entries of a log file
+ * @param {string} name - File name in logs/
+ * @returns {Promise<Object[]>} Entries, oldest first
+ */
+async function fetchLogFileEntries(name) {
+    const response = await apiFetch(`/api/logs/${encodeURIComponent(name)}?tail=${CONFIG.LOG_VIEWER_MAX_ENTRIES}`);
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || `Failed to read ${name}`);
+    }
+    return data.entries || [];
+}
+
+/**
+ * Fills the server buffer with the current terminal log file
+ * Pushed lines only cover the time since this window connected, so the file
+ * supplies everything logged before. Pushed lines the file already contains
+ * are dropped.
+ */
+async function loadServerLog() {
+    if (logViewer.files.length === 0) {
+        await loadLogFiles();
+    }
+    const file = logViewer.files.find(item => item.current && item.source === 'terminal');
+    if (!file) return;
+
+    try {
+        const entries = await fetchLogFileEntries(file.name);
+        const last = entries[entries.length - 1];
+        const seen = new Set(entries.filter(entry => last && entry.timestamp === last.timestamp).map(entry => entry.message));
+        const pushed = logViewer.buffers.server.filter(entry => !last || entry.timestamp > last.timestamp ||
+            (entry.timestamp === last.timestamp && !seen.has(entry.message)));
+
+        logViewer.buffers.server = entries.concat(pushed).slice(-CONFIG.LOG_VIEWER_MAX_ENTRIES);
+        logViewer.serverLogLoaded = true;
+        if (logViewer.source === 'server') {
+            renderLogView(true);
+        }
+    } catch (error) {
+        addLogEntry(`Failed to read the server log: ${error.message}`, 'ERROR');
+    }
+}
+
+/**
+ * Switches the log shown in the viewer
+ * @param {string} source - gui, server or file:<name>
+ */
+async function setLogSource(source) {
+    logViewer.source = source;
+    logViewer.fileEntries = [];
+    logViewer.follow = true;
+    document.getElementById('log-follow').checked = true;
+    document.getElementById('log-clear-btn').disabled = source.startsWith('file:');
+    renderLogView(true);
+
+    if (source === 'server' && !logViewer.serverLogLoaded) {
+        await loadServerLog();
+    } else if (source.startsWith('file:')) {
+        const name = source.slice('file:'.length);
+        try {
+            const entries = await fetchLogFileEntries(name);
+            if (logViewer.source !== source) return;
+            logViewer.fileEntries = entries;
+            renderLogView(true);
+        } catch (error) {
+            addLogEntry(`Failed to read log file ${name}: ${error.message}`, 'ERROR');
+        }
+    }
+}
+
+/**
+ * Gets every entry of the selected log
+ * @returns {Object[]} Entries, oldest first
+ */
+function getLogSourceEntries() {
+    if (logViewer.source.startsWith('file:')) {
+        return logViewer.fileEntries;
+    }
+    return logViewer.buffers[logViewer.source];
+}
+
+/**
+ * Shows or hides a log level
+ * @param {string} level - One of LOG_LEVELS
+ */
+function toggleLogLevel(level) {
+    if (logViewer.levels.has(level)) {
+        logViewer.levels.delete(level);
+    } else {
+        logViewer.levels.add(level);
+    }
+    renderLogView(true);
+}
+
+/**
+ * Filters the log by message text
+ * @param {string} search - Text to look for
+ */
+function setLogSearch(search) {
+    logViewer.search = search.trim().toLowerCase();
+    renderLogView(true);
+}
+
+/**
+ * Pauses or resumes the log; paused logs keep collecting entries
+ */
+function toggleLogPause() {
+    logViewer.paused = !logViewer.paused;
+    document.getElementById('log-pause-btn').textContent = logViewer.paused ? 'Resume' : 'Pause';
+    renderLogView(true);
+}
+
+/**
+ * Keeps the newest entry in view
+ * @param {boolean} follow - Whether to scroll with new entries
+ */
+function setLogFollow(follow) {
+    logViewer.follow = follow;
+    if (follow) {
+        const container = document.getElementById('logContainer');
+        container.scrollTop = container.scrollHeight;
+    }
+}
+
+/**
+ * Renders the log on the next frame, once per frame at most
+ */
+function scheduleLogRender() {
+    if (logViewer.renderScheduled || !document.getElementById('logs').classList.contains('active')) return;
+
+    logViewer.renderScheduled = true;
+    requestAnimationFrame(() => {
+        logViewer.renderScheduled = false;
+        renderLogView();
+    });
+}
+
+/**
+ * Filters the selected log and renders it
+ * @param {boolean} refilter - Filter again even while paused (the user changed the view)
+ */
+function renderLogView(refilter = false) {
+    const entries = getLogSourceEntries();
+
+    if (!logViewer.paused || refilter) {
+        logViewer.visible = entries.filter(entry =>
+            logViewer.levels.has(entry.level) &&
+            (!logViewer.search || entry.message.toLowerCase().includes(logViewer.search)));
+        logViewer.pendingCount = 0;
+    }
+
+    document.querySelectorAll('#log-levels .log-level-chip').forEach(chip => {
+        const level = chip.getAttribute('data-level');
+        chip.textContent = `${level} ${entries.filter(entry => entry.level === level).length}`;
+        chip.classList.toggle('active', logViewer.levels.has(level));
+    });
+
+    const container = document.getElementById('logContainer');
+    document.getElementById('logSpacer').style.height = `${logViewer.visible.length * LOG_ROW_HEIGHT}px`;
+    if (logViewer.follow && !logViewer.paused) {
+        container.scrollTop = container.scrollHeight;
+    }
+
+    renderLogRows();
+    renderLogStatus();
+}
+
+/**
+ * Renders the rows in view
+ */
+function renderLogRows() {
+    const container = document.getElementById('logContainer');
+    const spacer = document.getElementById('logSpacer');
+    const rows = document.getElementById('logRows');
+
+    const scrolled = Math.max(0, container.scrollTop - spacer.offsetTop);
+    const first = Math.max(0, Math.floor(scrolled / LOG_ROW_HEIGHT) - LOG_ROW_OVERSCAN);
+    const last = Math.min(logViewer.visible.length, Math.ceil((scrolled + container.clientHeight) / LOG_ROW_HEIGHT) + LOG_ROW_OVERSCAN);
+
+    rows.style.transform = `translateY(${first * LOG_ROW_HEIGHT}px)`;
+    rows.innerHTML = '';
+    logViewer.visible.slice(first, last).forEach(entry => {
+        const row = document.createElement('div');
+        row.className = `log-entry ${entry.level.toLowerCase()}`;
+        row.title = entry.message;
+
+        const time = document.createElement('span');
+        time.className = 'log-time';
+        time.textContent = `[${entry.timestamp}]`;
+        const level = document.createElement('span');
+        level.className = 'log-level';
+        level.textContent = entry.level;
+
+        row.append(time, level, entry.message.split('\n')[0]);
+        rows.appendChild(row);
+    });
+}
+
+/**
+ * Shows how many entries are visible and whether the log is paused
+ */
+function renderLogStatus() {
+    const total = getLogSourceEntries().length;
+    let text = logViewer.visible.length < total ? `Showing ${logViewer.visible.length} of ${total}` : `${total} entries`;
+    if (logViewer.paused) {
+        text += logViewer.pendingCount > 0 ? ` - paused, ${logViewer.pendingCount} new` : ' - paused';
+    }
+    document.getElementById('log-status').textContent = text;
+}
+
+/**
+ * Formats an entry as a line of text
+ * @param {Object} entry - { timestamp, level, message }
+ */
+function formatLogEntry(entry) {
+    return `[${entry.timestamp}] ${entry.level} : ${entry.message}`;
+}
+
+/**
+ * Log Management Functions
+ * Copy and download the entries that pass the filters; clear empties the
+ * selected live log
+ */
+function copyLogs() {
+    addLogEntry('Copying logs to clipboard', 'INFO');
+    const logText = logViewer.visible.map(formatLogEntry).join('\n');
+
+    navigator.clipboard.writeText(logText).then(() => {
+        addLogEntry('Logs copied successfully', 'SUCCESS');
+    }).catch(err => {
+        addLogEntry(`Failed to copy logs: ${err.message}`, 'ERROR');
+    });
+}
+
+function downloadLogs() {
+    addLogEntry('Preparing logs for download', 'INFO');
+    const logText = logViewer.visible.map(formatLogEntry).join('\n');
+
+    const blob = new Blob([logText], { type: 'text/plain' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+    a.href = url;
+    a.download = logViewer.source.startsWith('file:') ? logViewer.source.slice('file:'.length) : `logs_${logViewer.source}_${timestamp}.txt`;
+    document.body.appendChild(a);
+    a.click();
+
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+    addLogEntry('Logs downloaded successfully', 'SUCCESS');
+}
+
+function clearLogs() {
+    if (logViewer.source.startsWith('file:')) return;
+
+    if (confirm('Are you sure you want to clear all logs?')) {
+        logViewer.buffers[logViewer.source] = [];
+        renderLogView(true);
+        addLogEntry('Log history cleared', 'INFO');
+    }
+}
+
+// Rows are rendered for the scroll position; scrolling up stops following
+document.getElementById('logContainer').addEventListener('scroll', () => {
+    const container = document.getElementById('logContainer');
+    const atBottom = container.scrollTop + container.clientHeight >= container.scrollHeight - LOG_ROW_HEIGHT;
+    if (atBottom !== logViewer.follow) {
+        logViewer.follow = atBottom;
+        document.getElementById('log-follow').checked = atBottom;
+    }
+    renderLogRows();
+});
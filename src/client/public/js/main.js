@@ -4,96 +4,352 @@ const CONFIG = {
     MIN_BACKOFF: 5000,           // Minimum backoff time (5 seconds)
     MAX_BACKOFF: 30000,          // Maximum backoff time (30 seconds)
     MAX_RETRIES: 20,             // Maximum number of retry attempts
-    QUEUE_CHECK_INTERVAL: 1000    // Queue processing interval (1 second)
+    PACKAGE_OPERATION_RETRIES: 2, // Retry attempts for a failed install/uninstall
+    QUEUE_CHECK_INTERVAL: 1000,  // Queue processing interval (1 second)
+    OPERATION_CONCURRENCY: 1,    // Install/uninstall operations running at once (adjustable in the UI)
+    MAX_OPERATION_CONCURRENCY: 4,
+    BULK_CHECK_CONCURRENCY: 3,   // Parallel status requests during a bulk check
+    JOB_POLL_INTERVAL: 1000,     // Job polling interval when a job's event stream drops
+    STATUS_AGE_REFRESH_INTERVAL: 30000,  // How often the "checked N min ago" labels are updated
+    SERVER_PORTS: { first: 9000, last: 9010 },  // Port range scanned by server.ps1 (Get-AvailablePort)
+    DISCOVERY_TIMEOUT: 1500,     // Timeout for each server-info probe
+    EVENT_STREAM_RECONNECT_DELAY: 1000,  // First reconnect delay of the live event stream (doubles up to MAX_BACKOFF)
+    LOG_VIEWER_MAX_ENTRIES: 5000,  // Entries kept per log in the Logs tab (oldest are dropped)
+    LOG_BATCH_SIZE: 50,          // Log lines per /api/log/batch request; a full batch is sent at once
+    LOG_FLUSH_INTERVAL: 2000,    // Longest time a log line waits before its batch is sent
+    LOG_OFFLINE_MAX_ENTRIES: 5000,  // Unsent log lines kept in IndexedDB while the server is unreachable
+    LOG_DATABASE_NAME: 'twin-tool-logs',
+    API_BASE_STORAGE_KEY: 'apiBaseUrl',
+    API_TOKEN_HEADER: 'X-Twin-Token',  // Header carrying the session token (see readApiToken())
+    API_BASE_URL: null           // Resolved below; see resolveApiBaseUrl()
 };
 
+// Information returned by the /api/server-info handshake
+let serverInfo = null;
+
+/**
+ * Resolves the API base URL
+ * An explicit override (?api=http://host:port in the page URL, remembered in
+ * localStorage; ?api=auto clears it) wins. Otherwise the API is assumed to be
+ * served from the same origin as the page.
+ * @returns {{ url: string|null, isOverride: boolean }}
+ */
+function resolveApiBaseUrl() {
+    const override = new URLSearchParams(window.location.search).get('api');
+    if (override === 'auto') {
+        localStorage.removeItem(CONFIG.API_BASE_STORAGE_KEY);
+    } else if (override) {
+        localStorage.setItem(CONFIG.API_BASE_STORAGE_KEY, override.replace(/\/+$/, ''));
+    }
+
+    const stored = localStorage.getItem(CONFIG.API_BASE_STORAGE_KEY);
+    if (stored) {
+        return { url: stored, isOverride: true };
+    }
+
+    if (window.location.protocol === 'http:' || window.location.protocol === 'https:') {
+        return { url: window.location.origin, isOverride: false };
+    }
+
+    return { url: null, isOverride: false };
+}
+
+const resolvedApiBase = resolveApiBaseUrl();
+CONFIG.API_BASE_URL = resolvedApiBase.url || `http://localhost:${CONFIG.SERVER_PORTS.first}`;
+
+/**
+ * Builds an absolute API URL from a server path
+ * @param {string} path - API path, e.g. /api/winget-version
+ */
+function apiUrl(path) {
+    return `${CONFIG.API_BASE_URL}${path}`;
+}
+
+/**
+ * Reads the access token the server injected into index.html
+ * Pages talking to another instance through ?api= send a token that
+ * instance does not know, so they can only read from it.
+ * @returns {string|null} The token of this server session
+ */
+function readApiToken() {
+    const meta = document.querySelector('meta[name="api-token"]');
+    const token = meta ? meta.content : '';
+    return token && !token.startsWith('{{') ? token : null;
+}
+
+const API_TOKEN = readApiToken();
+
+/**
+ * Fetches a server path, sending the access token that mutating endpoints require
+ * @param {string} path - API path, e.g. /api/save-package-list
+ * @param {RequestInit} options - fetch options
+ * @returns {Promise<Response>}
+ */
+function apiFetch(path, options = {}) {
+    const headers = new Headers(options.headers || {});
+    if (API_TOKEN) {
+        headers.set(CONFIG.API_TOKEN_HEADER, API_TOKEN);
+    }
+    return fetch(apiUrl(path), { ...options, headers });
+}
+
+/**
+ * Performs the server-info handshake against a base URL
+ * @param {string} baseUrl - Candidate API base URL
+ * @returns {Promise<Object|null>} Server info, or null if no Twin Tool server answered
+ */
+async function fetchServerInfo(baseUrl) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), CONFIG.DISCOVERY_TIMEOUT);
+
+    try {
+        const response = await fetch(`${baseUrl}/api/server-info`, { signal: controller.signal });
+        if (!response.ok) return null;
+
+        const info = await response.json();
+        return info.app === 'twin-tool' ? info : null;
+    } catch (error) {
+        return null;
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
+/**
+ * Server Discovery
+ * Confirms the resolved API base with a handshake. A page opened from disk
+ * scans the server's port range for a running instance and then switches to
+ * the page that instance serves, since the server only answers /api/server-info
+ * to pages it did not serve itself.
+ */
+async function discoverServer() {
+    serverInfo = await fetchServerInfo(CONFIG.API_BASE_URL);
+
+    if (!/^https?:$/.test(window.location.protocol)) {
+        // Opened from disk: the server answers only the handshake to this page
+        for (let port = CONFIG.SERVER_PORTS.first; port <= CONFIG.SERVER_PORTS.last && !serverInfo; port++) {
+            const candidate = `http://localhost:${port}`;
+            serverInfo = await fetchServerInfo(candidate);
+            if (serverInfo) {
+                CONFIG.API_BASE_URL = candidate;
+            }
+        }
+        if (serverInfo) {
+            addLogEntry(`Found the server on port ${serverInfo.port}, opening ${serverInfo.url}`, 'INFO');
+            window.location.replace(serverInfo.url);
+            return;
+        }
+    }
+
+    if (serverInfo) {
+        addLogEntry(`Connected to server on port ${serverInfo.port} (${CONFIG.API_BASE_URL}${resolvedApiBase.isOverride ? ', override' : ''})`, 'SUCCESS');
+        if (!API_TOKEN || CONFIG.API_BASE_URL !== window.location.origin) {
+            addLogEntry(`This page was not served by the server, so installs and list edits will be refused - open ${serverInfo.url} instead`, 'WARNING');
+        }
+    } else {
+        addLogEntry(`No server answered at ${CONFIG.API_BASE_URL}`, 'ERROR');
+    }
+}
+
 // Operation queue system
+// Up to `concurrency` operations run at once. Every operation stays in
+// `operations` after it finishes so the queue panel can show its outcome and
+// offer a retry.
 const operationQueue = {
-    winget: new Map(),
-    choco: new Map(),
+    operations: [],
+    activeOperations: new Map(),  // Keyed by "manager:appId" so any registered manager can queue work
     pendingOperations: [],
-    isProcessing: false,
+    listeners: [],
+    runningCount: 0,
+    concurrency: CONFIG.OPERATION_CONCURRENCY,
+    nextId: 1,
+
+    operationKey: function (manager, appId) {
+        return `${manager}:${appId}`;
+    },
 
     isOperationInProgress: function (manager, appId) {
-        return this[manager].has(appId);
+        return this.activeOperations.has(this.operationKey(manager, appId));
+    },
+
+    /**
+     * Registers a listener called with the operation whenever its status changes
+     * @param {Function} listener - Receives the changed operation
+     */
+    subscribe: function (listener) {
+        this.listeners.push(listener);
+    },
+
+    notify: function (op) {
+        this.listeners.forEach(listener => listener(op));
     },
 
-    addOperation: function (manager, appId, operation) {
+    /**
+     * Queues an operation
+     * @param {string} manager - The package manager (winget/choco)
+     * @param {string} appId - The package identifier
+     * @param {Function} operation - Async function performing the work
+     * @param {Object} details - { action, label, maxRetries }
+     * @returns {Promise} Settles when the operation completes, fails or is stopped
+     */
+    addOperation: function (manager, appId, operation, details = {}) {
         if (this.isOperationInProgress(manager, appId)) {
             return Promise.reject(new Error('Operation already in progress'));
         }
 
+        const op = {
+            id: this.nextId++,
+            manager,
+            appId,
+            operation,
+            action: details.action || 'operation',
+            label: details.label || `${details.action || 'operation'} ${appId}`,
+            maxRetries: details.maxRetries !== undefined ? details.maxRetries : CONFIG.MAX_RETRIES,
+            status: 'pending',
+            retryCount: 0,
+            nextRetryDelay: CONFIG.MIN_BACKOFF,
+            retryTimer: null,
+            isStopped: false,
+            error: null,
+            result: null,
+            queuedAt: Date.now(),
+            finishedAt: null
+        };
+
         const promise = new Promise((resolve, reject) => {
-            this.pendingOperations.push({
-                manager,
-                appId,
-                operation,
-                resolve,
-                reject,
-                retryCount: 0,
-                nextRetryDelay: CONFIG.MIN_BACKOFF,
-                isStopped: false
-            });
+            op.resolve = resolve;
+            op.reject = reject;
         });
 
-        this[manager].set(appId, promise);
+        this.operations.push(op);
+        this.pendingOperations.push(op);
+        this.activeOperations.set(this.operationKey(manager, appId), promise);
+        this.notify(op);
         this.processQueue();
         return promise;
     },
 
+    /**
+     * Stops a queued or retrying operation; running operations cannot be stopped
+     * @returns {boolean} Whether an operation was stopped
+     */
     stopOperation: function (manager, appId) {
-        const pendingOp = this.pendingOperations.find(op =>
-            op.manager === manager && op.appId === appId
+        const pendingOp = this.operations.find(op =>
+            op.manager === manager && op.appId === appId &&
+            (op.status === 'pending' || op.status === 'retrying')
         );
 
         if (pendingOp) {
             pendingOp.isStopped = true;
-            this.pendingOperations = this.pendingOperations.filter(op =>
-                !(op.manager === manager && op.appId === appId)
-            );
-            this[manager].delete(appId);
+            clearTimeout(pendingOp.retryTimer);
+            this.pendingOperations = this.pendingOperations.filter(op => op !== pendingOp);
+            this.finishOperation(pendingOp, 'cancelled');
             pendingOp.reject(new Error('Operation stopped by user'));
             return true;
         }
         return false;
     },
 
-    processQueue: async function () {
-        if (this.isProcessing || this.pendingOperations.length === 0) return;
+    getOperation: function (id) {
+        return this.operations.find(op => op.id === id);
+    },
+
+    /**
+     * Queues a failed or cancelled operation again
+     * @param {number} id - Operation id
+     */
+    retryOperation: function (id) {
+        const op = this.getOperation(id);
+        if (!op || (op.status !== 'failed' && op.status !== 'cancelled')) {
+            return Promise.reject(new Error('Only failed or cancelled operations can be retried'));
+        }
+
+        return this.addOperation(op.manager, op.appId, op.operation, {
+            action: op.action,
+            label: op.label,
+            maxRetries: op.maxRetries
+        });
+    },
+
+    /**
+     * Removes completed, failed and cancelled operations from the list
+     */
+    clearFinished: function () {
+        this.operations = this.operations.filter(op =>
+            op.status === 'pending' || op.status === 'running' || op.status === 'retrying'
+        );
+        this.notify(null);
+    },
+
+    finishOperation: function (op, status) {
+        op.status = status;
+        op.finishedAt = Date.now();
+        this.activeOperations.delete(this.operationKey(op.manager, op.appId));
+        this.notify(op);
+    },
+
+    /**
+     * Sets how many operations may run at once
+     * @param {number} concurrency - Number of parallel operations
+     */
+    setConcurrency: function (concurrency) {
+        this.concurrency = Math.max(1, Math.min(concurrency, CONFIG.MAX_OPERATION_CONCURRENCY));
+        this.processQueue();
+    },
+
+    processQueue: function () {
+        while (this.runningCount < this.concurrency && this.pendingOperations.length > 0) {
+            const op = this.pendingOperations.shift();
+            if (op.isStopped) continue;
+
+            this.runningCount++;
+            this.runOperation(op).finally(() => {
+                this.runningCount--;
+                setTimeout(() => this.processQueue(), CONFIG.QUEUE_CHECK_INTERVAL);
+            });
+        }
+    },
 
-        this.isProcessing = true;
-        const op = this.pendingOperations.shift();
+    runOperation: async function (op) {
+        op.status = 'running';
+        op.error = null;
+        this.notify(op);
 
         try {
-            if (!op.isStopped) {
-                const result = await op.operation();
-                this[op.manager].delete(op.appId);
-                op.resolve(result);
-            }
+            const result = await op.operation(op);
+            op.result = result;
+            this.finishOperation(op, 'completed');
+            op.resolve(result);
         } catch (error) {
-            if (!op.isStopped && op.retryCount < CONFIG.MAX_RETRIES) {
+            op.error = error.message;
+            if (error.cancelled) {
+                this.finishOperation(op, 'cancelled');
+                op.reject(error);
+            } else if (!op.isStopped && op.retryCount < op.maxRetries) {
                 op.retryCount++;
                 op.nextRetryDelay = Math.min(
                     op.nextRetryDelay * 2,
                     CONFIG.MAX_BACKOFF
                 );
-                setTimeout(() => {
+                op.status = 'retrying';
+                this.notify(op);
+                op.retryTimer = setTimeout(() => {
+                    op.retryTimer = null;
+                    op.status = 'pending';
                     this.pendingOperations.push(op);
+                    this.notify(op);
+                    this.processQueue();
                 }, op.nextRetryDelay);
             } else {
-                this[op.manager].delete(op.appId);
+                this.finishOperation(op, 'failed');
                 op.reject(error);
             }
         }
-
-        this.isProcessing = false;
-        setTimeout(() => this.processQueue(), CONFIG.QUEUE_CHECK_INTERVAL);
     }
 };
 
-// Global state to track package initialization
-let hasInitializedWingetPackages = false;
-let hasInitializedChocoPackages = false;
+// Global state to track which managers' package lists have been initialized
+const initializedManagers = new Set();
 
 /**
  * Tab Management
@@ -120,95 +376,46 @@ function openTab(tabName) {
     addLogEntry(`Switching to ${tabName} tab`, 'INFO');
     
     // Initialize specific tab content if needed
-    if (tabName === 'winget-status' && !hasInitializedWingetPackages) {
-        addLogEntry('First time opening Winget Status tab - initializing package list', 'INFO');
-        loadWingetPackages();
-        hasInitializedWingetPackages = true;
-    } else if (tabName === 'choco-status' && !hasInitializedChocoPackages) {
-        addLogEntry('First time opening Chocolatey Status tab - initializing package list', 'INFO');
-        loadChocoPackages();
-        hasInitializedChocoPackages = true;
+    const manager = findPackageManagerByTab(tabName);
+    if (manager && !initializedManagers.has(manager.name)) {
+        addLogEntry(`First time opening ${manager.label} Status tab - initializing package list`, 'INFO');
+        loadManagerPackages(manager.name);
+        initializedManagers.add(manager.name);
     } else if (tabName === 'package-editor') {
         loadPackageEditor();
+    } else if (tabName === 'sync') {
+        initializeSyncView();
+    } else if (tabName === 'discover') {
+        initializeDiscoverView();
+    } else if (tabName === 'history') {
+        initializeHistoryView();
+    } else if (tabName === 'logs') {
+        initializeLogViewer();
     }
 }
 
+
 /**
  * Log Entry Management
- * Adds a new log entry to the log container with timestamp and styling
+ * Adds a new log entry to the log of this window (see logViewer.js)
  * @param {string} message - The log message to display
  * @param {string} type - The type of log (INFO, DEBUG, SUCCESS, WARNING, ERROR, REQUEST, RESPONSE)
  */
 function addLogEntry(message, type) {
-    const logContainer = document.getElementById('logContainer');
-    const logEntry = document.createElement('div');
-    logEntry.className = `log-entry ${type.toLowerCase()}`;
-
-    // Add timestamp
-    const timestamp = new Date().toLocaleTimeString();
-    logEntry.textContent = `[${timestamp}] ${message}`;
-
-    logContainer.appendChild(logEntry);
-    logContainer.scrollTop = logContainer.scrollHeight;
-
-    // Send log to server for persistence
-    fetch('http://localhost:9000/api/log', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-            message: message,
-            type: type,
-            source: 'GUI'
-        })
-    }).catch(err => console.error('Failed to send log to server:', err));
-}
-
-/**
- * Log Management Functions
- * Handle copying, downloading, and clearing of logs
- */
-function copyLogs() {
-    addLogEntry('Copying logs to clipboard', 'INFO');
-    const logContainer = document.getElementById('logContainer');
-    const logText = Array.from(logContainer.children)
-        .map(entry => entry.textContent)
-        .join('\n');
-
-    navigator.clipboard.writeText(logText).then(() => {
-        addLogEntry('Logs copied successfully', 'SUCCESS');
-    }).catch(err => {
-        addLogEntry(`Failed to copy logs: ${err.message}`, 'ERROR');
+    const now = new Date();
+    addLogViewerEntry('gui', {
+        timestamp: now.toLocaleTimeString(),
+        level: type,
+        source: 'GUI',
+        message: message
     });
-}
-
-function downloadLogs() {
-    addLogEntry('Preparing logs for download', 'INFO');
-    const logContainer = document.getElementById('logContainer');
-    const logText = Array.from(logContainer.children)
-        .map(entry => entry.textContent)
-        .join('\n');
-
-    const blob = new Blob([logText], { type: 'text/plain' });
-    const url = window.URL.createObjectURL(blob);
-    const a = document.createElement('a');
-
-    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
-    a.href = url;
-    a.download = `logs_${timestamp}.txt`;
-    document.body.appendChild(a);
-    a.click();
-
-    window.URL.revokeObjectURL(url);
-    document.body.removeChild(a);
-    addLogEntry('Logs downloaded successfully', 'SUCCESS');
-}
 
-function clearLogs() {
-    if (confirm('Are you sure you want to clear all logs?')) {
-        const logContainer = document.getElementById('logContainer');
-        logContainer.innerHTML = '';
-        addLogEntry('Log history cleared', 'INFO');
-    }
+    // Send log to server for persistence, batched (see logShipper.js)
+    logShipper.enqueue({
+        message: message,
+        type: type,
+        timestamp: formatLogTimestamp(now)
+    });
 }
 
 // Initialize UI elements
@@ -226,13 +433,13 @@ async function checkWinget() {
     addLogEntry('Checking Winget version...', 'INFO');
 
     try {
-        const response = await fetch('http://localhost:9000/api/winget-version');
-        const data = await response.json();
+        const response = await apiFetch(getPackageManager('winget').endpoints.version);
+        const { installed, version } = getPackageManager('winget').parseVersion(await response.json());
 
-        if (data.version && !data.version.includes('Error')) {
-            result.textContent = `Version: ${data.version}`;
+        if (installed) {
+            result.textContent = `Version: ${version}`;
             result.className = 'result success';
-            addLogEntry(`Winget version check successful: ${data.version}`, 'SUCCESS');
+            addLogEntry(`Winget version check successful: ${version}`, 'SUCCESS');
         } else {
             result.textContent = 'Winget not installed';
             result.className = 'result error';
@@ -256,14 +463,14 @@ async function checkChoco() {
     addLogEntry('Checking Chocolatey version...', 'INFO');
 
     try {
-        const response = await fetch('http://localhost:9000/api/choco-version');
-        const data = await response.json();
+        const response = await apiFetch(getPackageManager('choco').endpoints.version);
+        const { installed, version } = getPackageManager('choco').parseVersion(await response.json());
 
-        if (data.version.installed) {
-            result.textContent = `Version: ${data.version.version}`;
+        if (installed) {
+            result.textContent = `Version: ${version}`;
             result.className = 'result success';
             chocoToggle.checked = true;
-            addLogEntry(`Chocolatey version check successful: ${data.version.version}`, 'SUCCESS');
+            addLogEntry(`Chocolatey version check successful: ${version}`, 'SUCCESS');
         } else {
             result.textContent = 'Chocolatey is not installed';
             result.className = 'result error';
@@ -293,14 +500,14 @@ chocoToggle.addEventListener('change', async () => {
 
     try {
         // Perform installation/uninstallation
-        const response = await fetch(`http://localhost:9000/api/choco-${endpoint}`);
+        const response = await apiFetch(`/api/choco-${endpoint}`, { method: 'POST' });
         const data = await response.json();
 
         // Wait for operation to complete
         await new Promise(resolve => setTimeout(resolve, 2000));
 
         // Verify installation status
-        const verifyResponse = await fetch('http://localhost:9000/api/choco-version');
+        const verifyResponse = await apiFetch(getPackageManager('choco').endpoints.version);
         const verifyData = await verifyResponse.json();
 
         const isInstalled = verifyData.version.installed;
@@ -326,142 +533,298 @@ chocoToggle.addEventListener('change', async () => {
 wingetBtn.addEventListener('click', checkWinget);
 chocoBtn.addEventListener('click', checkChoco);
 
+// Locate the server before the user starts issuing requests
+const serverDiscovery = discoverServer();
+
 /**
  * Package Management Functions
- * Handle loading, displaying, and managing package status
+ * Handle loading, displaying, and managing package status for every
+ * registered package manager (see packageManagers.js)
  */
 
 /**
- * Loads and displays all Winget packages
+ * Loads and displays all packages of a manager
  * Creates cards for each package with status, version, and controls
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {boolean} refresh - Bypass the server-side status cache
  */
-async function loadWingetPackages() {
-    const packageGrid = document.getElementById('winget-package-grid');
+async function loadManagerPackages(managerName, refresh = false) {
+    const manager = getPackageManager(managerName);
+    const packageGrid = document.getElementById(manager.gridId);
     packageGrid.innerHTML = 'Loading packages...';
-    addLogEntry('Loading Winget package list...', 'INFO');
+    addLogEntry(`Loading ${manager.label} package list...`, 'INFO');
 
     try {
         // Check for cached package data
-        const cachedData = sessionStorage.getItem('wingetPackageData');
+        const cachedData = sessionStorage.getItem(`${manager.name}PackageData`);
         if (cachedData) {
-            addLogEntry('Using cached Winget package data', 'INFO');
-            displayWingetPackages(JSON.parse(cachedData));
+            addLogEntry(`Using cached ${manager.label} package data`, 'INFO');
+            await displayManagerPackages(manager.name, JSON.parse(cachedData), refresh);
             return;
         }
 
         // Fetch package list from server
-        const response = await fetch('http://localhost:9000/api/winget/packages-list');
+        const response = await apiFetch(manager.endpoints.packagesList);
         const data = await response.json();
 
         if (data.success) {
-            sessionStorage.setItem('wingetPackageData', JSON.stringify(data));
-            addLogEntry(`Successfully loaded ${data.packages.length} Winget packages`, 'SUCCESS');
-            displayWingetPackages(data);
+            sessionStorage.setItem(`${manager.name}PackageData`, JSON.stringify(data));
+            addLogEntry(`Successfully loaded ${data.packages.length} ${manager.label} packages`, 'SUCCESS');
+            await displayManagerPackages(manager.name, data, refresh);
         } else {
-            packageGrid.innerHTML = 'Error loading Winget packages list';
-            addLogEntry('Failed to load Winget packages list', 'ERROR');
+            packageGrid.innerHTML = `Error loading ${manager.label} packages list`;
+            addLogEntry(`Failed to load ${manager.label} packages list`, 'ERROR');
         }
     } catch (error) {
-        packageGrid.innerHTML = 'Error loading Winget packages list';
-        addLogEntry(`Error loading Winget packages: ${error.message}`, 'ERROR');
+        packageGrid.innerHTML = `Error loading ${manager.label} packages list`;
+        addLogEntry(`Error loading ${manager.label} packages: ${error.message}`, 'ERROR');
     }
 }
 
 /**
- * Displays Winget packages and their status
- * @param {Object} data - Package data to display
+ * Creates the status card for a single package
+ * @param {Object} manager - The package manager adapter
+ * @param {Object} pkg - Package entry from the packages list
+ * @returns {HTMLElement} The card element
  */
-async function displayWingetPackages(data) {
-    const packageGrid = document.getElementById('winget-package-grid');
-    packageGrid.innerHTML = '';
-    addLogEntry('Rendering Winget package cards...', 'DEBUG');
+function createPackageCard(manager, pkg) {
+    const card = document.createElement('div');
+    card.className = 'package-card';
+    setPackageFilterAttributes(card, pkg);
+    card.setAttribute('data-manager', manager.name);
+    if (pkg.version) {
+        card.setAttribute('data-version', pkg.version);
+    }
+    if (pkg.pinned) {
+        card.setAttribute('data-pinned', 'true');
+    }
 
-    for (const pkg of data.packages) {
-        const card = document.createElement('div');
-        card.className = 'package-card';
-        card.setAttribute('data-app-id', pkg.app_id);  // Add data-app-id attribute
-
-        card.innerHTML = `
-            <h4>${pkg.app_name}</h4>
-            <div class="package-desc">${pkg.app_desc}</div>
-            <div class="package-status">
-                <div class="status-info">
-                    <span class="status-badge">Checking...</span>
-                    <span class="version"></span>
-                </div>
-                <div class="package-controls">
-                    <button class="refresh-btn" onclick="refreshWingetPackage('${pkg.app_id}', this)">
-                        <span class="refresh-icon">↻</span>
-                    </button>
-                    <button class="stop-btn" onclick="stopPackageOperation('winget', '${pkg.app_id}', this)" style="display: none;">
-                        <span class="stop-icon">⬛</span>
-                    </button>
-                    <label class="toggle package-toggle">
-                        <input type="checkbox" data-app-id="${pkg.app_id}">
-                        <span class="slider"></span>
-                    </label>
-                </div>
+    card.innerHTML = `
+        <label class="package-select">
+            <input type="checkbox" class="package-select-input" onchange="updateSelectionCount('${manager.name}')">
+        </label>
+        <h4>${pkg.app_name}</h4>
+        <div class="package-desc">${pkg.app_desc}</div>
+        ${packageTagsMarkup(pkg)}
+        <div class="package-status">
+            <div class="status-info">
+                <span class="status-badge">Checking...</span>
+                <span class="version"></span>
+                ${pkg.pinned ? `<span class="pin-badge" title="Excluded from Upgrade All Outdated">📌 ${pkg.version || 'Pinned'}</span>` : ''}
+                <span class="drift-badge" style="display: none;"></span>
+                <span class="update-badge" style="display: none;"></span>
+                <span class="status-age"></span>
+            </div>
+            <div class="package-controls">
+                <button class="upgrade-btn" onclick="upgradePackage('${manager.name}', '${pkg.app_id}')" style="display: none;">Upgrade</button>
+                <button class="refresh-btn" onclick="refreshPackageStatus('${manager.name}', '${pkg.app_id}', this)">
+                    <span class="refresh-icon">↻</span>
+                </button>
+                <button class="stop-btn" onclick="stopPackageOperation('${manager.name}', '${pkg.app_id}', this)" style="display: none;">
+                    <span class="stop-icon">⬛</span>
+                </button>
+                <label class="toggle package-toggle">
+                    <input type="checkbox" data-app-id="${pkg.app_id}">
+                    <span class="slider"></span>
+                </label>
             </div>
-            <div class="package-progress">
-                <div class="progress-container">
-                    <div class="progress-bar">
-                        <div class="progress-bar-fill"></div>
-                    </div>
-                    <div class="progress-text"></div>
+        </div>
+        <div class="package-progress">
+            <div class="progress-container">
+                <div class="progress-bar">
+                    <div class="progress-bar-fill"></div>
                 </div>
+                <div class="progress-text"></div>
             </div>
-        `;
+        </div>
+        ${packageConsoleMarkup(manager.name, pkg.app_id)}
+    `;
+
+    const toggle = card.querySelector('.package-toggle input');
+    toggle.addEventListener('change', () => handlePackageToggle(manager.name, pkg.app_id, toggle));
+    renderPackageTags(card, pkg);
+    renderPackageConsole(card, getPackageConsole(manager.name, pkg.app_id));
+
+    return card;
+}
+
+/**
+ * Displays a manager's packages and their status
+ * Statuses come from the server's status cache where it is still fresh, so
+ * opening a tab does not run the package manager again.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {Object} data - Package data to display
+ * @param {boolean} refresh - Bypass the server-side status cache
+ */
+async function displayManagerPackages(managerName, data, refresh = false) {
+    const manager = getPackageManager(managerName);
+    const packageGrid = document.getElementById(manager.gridId);
+    packageGrid.innerHTML = '';
+    addLogEntry(`Rendering ${manager.label} package cards...`, 'DEBUG');
+
+    for (const pkg of data.packages) {
+        packageGrid.appendChild(createPackageCard(manager, pkg));
+    }
+    applyPackageFilters(manager.gridId);
+
+    addLogEntry(`Performing initial ${manager.label} bulk status check...`, 'INFO');
+    await performBulkStatusCheck(manager.name, refresh);
+
+    updateSelectionCount(manager.name);
+    await checkOutdatedPackages(manager.name);
+}
+
+/**
+ * Gets the status card of a package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ */
+function getPackageCard(managerName, appId) {
+    const manager = getPackageManager(managerName);
+    return document.querySelector(`#${manager.gridId} .package-card[data-app-id="${CSS.escape(appId)}"]`);
+}
 
-        packageGrid.appendChild(card);
+/**
+ * Gets the version a package is pinned to in the packages list
+ * @param {HTMLElement} card - The package card
+ * @returns {string|null} The exact version, or null for "latest"
+ */
+function getRequestedVersion(card) {
+    return (card && card.getAttribute('data-version')) || null;
+}
+
+/**
+ * Checks whether a package is pinned in the packages list
+ * @param {HTMLElement} card - The package card
+ */
+function isPackagePinned(card) {
+    return Boolean(card) && card.getAttribute('data-pinned') === 'true';
+}
 
-        const toggle = card.querySelector('input[type="checkbox"]');
-        toggle.addEventListener('change', () => handleWingetPackageToggle(pkg.app_id, toggle));
+/**
+ * Renders a package status on its card
+ * Installed versions that differ from the version in the packages list are flagged.
+ * @param {HTMLElement} card - The package card
+ * @param {Object} status - Normalized status ({ installed, version, checkedAt })
+ */
+function renderPackageStatus(card, status) {
+    const statusBadge = card.querySelector('.status-badge');
+    const versionSpan = card.querySelector('.version');
+    const toggle = card.querySelector('.package-toggle input');
+    const driftBadge = card.querySelector('.drift-badge');
+    const requestedVersion = getRequestedVersion(card);
+
+    if (status.installed && requestedVersion && status.version && status.version !== requestedVersion) {
+        driftBadge.textContent = `Expected ${requestedVersion}`;
+        driftBadge.title = `Installed ${status.version} differs from the version in the packages list`;
+        driftBadge.style.display = 'inline-block';
+    } else {
+        driftBadge.style.display = 'none';
     }
 
-    // Check for cached status data
-    const cachedStatus = sessionStorage.getItem('wingetPackageStatus');
-    if (cachedStatus) {
-        addLogEntry('Using cached Winget package status data', 'INFO');
-        updateWingetPackageStatusFromCache(JSON.parse(cachedStatus));
+    if (status.installed) {
+        statusBadge.textContent = 'Installed';
+        statusBadge.className = 'status-badge installed';
+        versionSpan.textContent = status.version || '';
+        toggle.checked = true;
     } else {
-        // Only perform bulk status check once
-        await performWingetBulkStatusCheck();
+        statusBadge.textContent = 'Not Installed';
+        statusBadge.className = 'status-badge not-installed';
+        versionSpan.textContent = '';
+        toggle.checked = false;
     }
+
+    // Statuses from servers without a status cache were checked just now
+    card.setAttribute('data-checked-at', status.checkedAt || new Date().toISOString());
+    renderStatusAge(card);
+    schedulePackageFilters(card);
+}
+
+/**
+ * Formats how long ago a status was checked
+ * @param {string} checkedAt - ISO timestamp
+ * @returns {string} e.g. "checked 3 min ago"
+ */
+function formatStatusAge(checkedAt) {
+    const minutes = Math.floor((Date.now() - new Date(checkedAt).getTime()) / 60000);
+    if (minutes < 1) return 'checked just now';
+    if (minutes < 60) return `checked ${minutes} min ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `checked ${hours} h ago`;
+    return `checked ${Math.floor(hours / 24)} d ago`;
 }
 
 /**
- * Updates Winget package status from cached data
- * @param {Object} statusData - Cached status data
+ * Shows on a card how old its status is
+ * @param {HTMLElement} card - The package card
  */
-function updateWingetPackageStatusFromCache(statusData) {
-    addLogEntry('Updating Winget package status from cache...', 'DEBUG');
-    const packageCards = document.querySelectorAll('#winget-package-grid .package-card');
+function renderStatusAge(card) {
+    const checkedAt = card.getAttribute('data-checked-at');
+    const ageSpan = card.querySelector('.status-age');
+    if (!checkedAt || !ageSpan) return;
 
-    packageCards.forEach(card => {
-        const appId = card.querySelector('input[type="checkbox"]').dataset.appId;
-        const status = statusData[appId];
-
-        if (status) {
-            const statusBadge = card.querySelector('.status-badge');
-            const versionSpan = card.querySelector('.version');
-            const toggle = card.querySelector('input[type="checkbox"]');
-
-            if (status.installed) {
-                statusBadge.textContent = 'Installed';
-                statusBadge.className = 'status-badge installed';
-                versionSpan.textContent = status.version || '';
-                toggle.checked = true;
-                addLogEntry(`Winget package ${appId} is installed (version ${status.version || 'unknown'})`, 'SUCCESS');
-            } else {
-                statusBadge.textContent = 'Not Installed';
-                statusBadge.className = 'status-badge not-installed';
-                versionSpan.textContent = '';
-                toggle.checked = false;
-                addLogEntry(`Winget package ${appId} is not installed`, 'INFO');
-            }
-        }
-    });
-    addLogEntry('Winget package status updated from cache', 'SUCCESS');
+    ageSpan.textContent = formatStatusAge(checkedAt);
+    ageSpan.title = `Status checked ${new Date(checkedAt).toLocaleString()}`;
+}
+
+// Keep the "checked N min ago" labels current
+setInterval(() => {
+    document.querySelectorAll('.package-card[data-checked-at]').forEach(renderStatusAge);
+}, CONFIG.STATUS_AGE_REFRESH_INTERVAL);
+
+/**
+ * Marks a package card as failed
+ * @param {HTMLElement} card - The package card
+ * @param {string} text - Badge text
+ */
+function renderPackageError(card, text = 'Error') {
+    const statusBadge = card.querySelector('.status-badge');
+    statusBadge.textContent = text;
+    statusBadge.className = 'status-badge not-installed status-error';
+    schedulePackageFilters(card);
+}
+
+/**
+ * Logs the status of a package
+ * @param {Object} manager - The package manager adapter
+ * @param {string} appId - The package identifier
+ * @param {Object} status - Normalized status ({ installed, version })
+ */
+function logPackageStatus(manager, appId, status) {
+    if (status.installed) {
+        addLogEntry(`${manager.label} package ${appId} is installed (version ${status.version || 'unknown'})`, 'SUCCESS');
+    } else {
+        addLogEntry(`${manager.label} package ${appId} is not installed`, 'INFO');
+    }
+}
+
+// Last status received for every package, per manager. The server's status
+// cache is the source of truth; this copy only spares lookups for cards that
+// are not rendered.
+const packageStatusCache = new Map();
+
+/**
+ * Stores a single package status received from the server
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {Object} status - Normalized status ({ installed, version, checkedAt })
+ */
+function cachePackageStatus(managerName, appId, status) {
+    if (!packageStatusCache.has(managerName)) {
+        packageStatusCache.set(managerName, new Map());
+    }
+    packageStatusCache.get(managerName).set(appId, status);
+}
+
+/**
+ * Gets the last status received for a package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @returns {Object|undefined} Normalized status
+ */
+function getCachedPackageStatus(managerName, appId) {
+    const statuses = packageStatusCache.get(managerName);
+    return statuses && statuses.get(appId);
 }
 
 /**
@@ -500,299 +863,517 @@ function hideProgress(container) {
 }
 
 /**
- * Updated Winget Bulk Status Check
+ * Runs an async worker over a list of items with a concurrency limit
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum number of workers running at once
+ * @param {Function} worker - Async function called with each item
+ */
+async function runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const item = items[nextIndex++];
+            await worker(item);
+        }
+    });
+    await Promise.all(runners);
+}
+
+/**
+ * Bulk Status Check
+ * Checks the status of every package card of a manager. Managers with a status
+ * stream answer from one list pass and cards render as the results arrive;
+ * cards the stream does not cover are checked one by one,
+ * CONFIG.BULK_CHECK_CONCURRENCY at a time.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {boolean} forceRefresh - Bypass the server-side status cache
  */
-async function performWingetBulkStatusCheck(forceRefresh = false) {
-    const packageCards = document.querySelectorAll('#winget-package-grid .package-card');
-    const bulkProgressContainer = document.querySelector('#winget-status .bulk-progress');
-    const bulkRefreshBtn = document.querySelector('#winget-status .bulk-refresh-btn');
+async function performBulkStatusCheck(managerName, forceRefresh = false) {
+    const manager = getPackageManager(managerName);
+    const packageCards = Array.from(document.querySelectorAll(`#${manager.gridId} .package-card`));
+    const bulkProgressContainer = document.querySelector(`#${manager.tabId} .bulk-progress`);
+    const bulkRefreshBtn = document.querySelector(`#${manager.tabId} .bulk-refresh-btn`);
     const totalPackages = packageCards.length;
-    let completedPackages = 0;
+    let completedChecks = 0;
+    let failedChecks = 0;
 
     showProgress(bulkProgressContainer, 'Starting bulk check...');
     bulkRefreshBtn.disabled = true;
 
     packageCards.forEach(card => {
         const statusBadge = card.querySelector('.status-badge');
-        const toggle = card.querySelector('input[type="checkbox"]');
-        if (statusBadge) {
-            statusBadge.textContent = 'Checking...';
-            statusBadge.className = 'status-badge pending';
-        }
-        if (toggle) {
-            toggle.disabled = true;
-        }
+        statusBadge.textContent = 'Checking...';
+        statusBadge.className = 'status-badge pending';
+        card.querySelector('.package-toggle input').disabled = true;
     });
 
-    try {
-        addLogEntry('Starting Winget bulk status check...', 'DEBUG');
-
-        // Create a status cache object
-        const statusCache = {};
-
-        // Function to update a single package's status
-        function updatePackageStatus(result) {
-            completedPackages++;
-            const progress = (completedPackages / totalPackages) * 100;
-
-            const card = document.querySelector(`#winget-package-grid .package-card[data-app-id="${result.appId}"]`);
-            if (card) {
-                const statusBadge = card.querySelector('.status-badge');
-                const versionSpan = card.querySelector('.version');
-                const toggle = card.querySelector('input[type="checkbox"]');
-
-                if (result.status.installed) {
-                    statusBadge.textContent = 'Installed';
-                    statusBadge.className = 'status-badge installed';
-                    versionSpan.textContent = result.status.version || '';
-                    toggle.checked = true;
-                    addLogEntry(`Winget package ${result.appId} is installed (version ${result.status.version || 'unknown'})`, 'SUCCESS');
-                } else {
-                    statusBadge.textContent = 'Not Installed';
-                    statusBadge.className = 'status-badge not-installed';
-                    versionSpan.textContent = '';
-                    toggle.checked = false;
-                    addLogEntry(`Winget package ${result.appId} is not installed`, 'INFO');
-                }
-                toggle.disabled = false;
+    addLogEntry(`Checking status for ${totalPackages} ${manager.label} packages...`, 'INFO');
 
-                // Cache the status
-                statusCache[result.appId] = result.status;
-            }
+    const finishCheck = card => {
+        card.querySelector('.package-toggle input').disabled = false;
+        completedChecks++;
+        const progress = (completedChecks / totalPackages) * 100;
+        updateProgress(bulkProgressContainer, progress, `Checking packages (${completedChecks}/${totalPackages})...`);
+    };
 
-            // Update progress bar
-            if (completedPackages >= totalPackages) {
-                // All packages processed - show completion
-                updateProgress(bulkProgressContainer, 100, 'Status check complete');
-                setTimeout(() => {
-                    hideProgress(bulkProgressContainer);
-                    bulkRefreshBtn.disabled = false;
-                }, 1000);
-
-                // Store the status cache in sessionStorage
-                sessionStorage.setItem('wingetPackageStatus', JSON.stringify(statusCache));
-                addLogEntry('Winget bulk status check completed successfully', 'SUCCESS');
-            } else {
-                // Still processing - show current package
-                updateProgress(bulkProgressContainer, progress, `Checking packages (${completedPackages}/${totalPackages})...`);
-            }
-        }
+    try {
+        let remainingCards = packageCards;
 
-        // Process each package one by one
-        for (const card of packageCards) {
-            const appId = card.getAttribute('data-app-id');
+        if (manager.endpoints.statusStream && totalPackages > 0) {
+            const cardsById = new Map(packageCards.map(card => [card.getAttribute('data-app-id'), card]));
             try {
-                const response = await fetch('http://localhost:9000/api/winget/bulk-status', {
-                    method: 'POST',
-                    headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ appId, refresh: forceRefresh })
+                updateProgress(bulkProgressContainer, 0, `Listing installed ${manager.label} packages...`);
+                const summary = await streamPackageStatus(manager, Array.from(cardsById.keys()), forceRefresh, (appId, status) => {
+                    const card = cardsById.get(appId);
+                    if (!card) return;
+                    cardsById.delete(appId);
+                    cachePackageStatus(manager.name, appId, status);
+                    renderPackageStatus(card, status);
+                    logPackageStatus(manager, appId, status);
+                    finishCheck(card);
                 });
+                addLogEntry(`${manager.label} status read from ${summary.source === 'cache' ? 'the server cache' : 'one list pass'}`, 'DEBUG');
+            } catch (error) {
+                addLogEntry(`${manager.label} status stream failed, checking packages one by one: ${error.message}`, 'WARNING');
+            }
+            remainingCards = Array.from(cardsById.values());
+        }
 
-                if (!response.ok) {
-                    throw new Error(`HTTP error! status: ${response.status}`);
-                }
-
-                const data = await response.json();
-                if (!data.success) {
-                    throw new Error(data.error || 'Failed to get status');
-                }
+        await runWithConcurrency(remainingCards, CONFIG.BULK_CHECK_CONCURRENCY, async card => {
+            const appId = card.getAttribute('data-app-id');
+            addLogEntry(`Checking status for ${manager.label} package ${appId}...`, 'DEBUG');
 
-                // Update the UI for this package
-                if (data.results && data.results.length > 0) {
-                    updatePackageStatus(data.results[0]);
-                }
+            try {
+                const status = await fetchBulkPackageStatus(manager, appId, forceRefresh);
+                cachePackageStatus(manager.name, appId, status);
+                renderPackageStatus(card, status);
+                logPackageStatus(manager, appId, status);
             } catch (error) {
-                addLogEntry(`Error checking status for ${appId}: ${error.message}`, 'ERROR');
-                const statusBadge = card.querySelector('.status-badge');
-                const toggle = card.querySelector('input[type="checkbox"]');
-                statusBadge.textContent = 'Error';
-                statusBadge.className = 'status-badge not-installed';
-                toggle.disabled = false;
-
-                // Update progress even for failed checks
-                completedPackages++;
-                const progress = (completedPackages / totalPackages) * 100;
-                updateProgress(bulkProgressContainer, progress, `Error checking ${appId}`);
-
-                // Check if this was the last package
-                if (completedPackages >= totalPackages) {
-                    setTimeout(() => {
-                        hideProgress(bulkProgressContainer);
-                        bulkRefreshBtn.disabled = false;
-                    }, 1000);
-                }
+                failedChecks++;
+                renderPackageError(card);
+                addLogEntry(`Error checking ${manager.label} package ${appId}: ${error.message}`, 'ERROR');
+            } finally {
+                finishCheck(card);
             }
-        }
+        });
+
+        updateProgress(bulkProgressContainer, 100, 'Status check complete');
 
+        if (failedChecks > 0) {
+            addLogEntry(`${failedChecks} ${manager.label} package checks failed`, 'WARNING');
+        } else {
+            addLogEntry(`${manager.label} bulk status check completed successfully`, 'SUCCESS');
+        }
     } catch (error) {
         updateProgress(bulkProgressContainer, 100, 'Error during bulk check');
+        packageCards.forEach(card => renderPackageError(card));
+        addLogEntry(`Error during ${manager.label} bulk status check: ${error.message}`, 'ERROR');
+    } finally {
         setTimeout(() => {
             hideProgress(bulkProgressContainer);
             bulkRefreshBtn.disabled = false;
-        }, 2000);
-
-        packageCards.forEach(card => {
-            const statusBadge = card.querySelector('.status-badge');
-            const toggle = card.querySelector('input[type="checkbox"]');
-            statusBadge.textContent = 'Error';
-            statusBadge.className = 'status-badge not-installed';
-            toggle.disabled = false;
-        });
+        }, 1000);
+    }
+}
+
+/**
+ * Streams the status of many packages from one list pass on the server
+ * The response is newline-delimited JSON: a start line, one status line per
+ * package and a complete (or error) line. Each status is handed to onStatus
+ * as soon as its line arrives.
+ * @param {Object} manager - The package manager adapter
+ * @param {string[]} appIds - The package identifiers
+ * @param {boolean} refresh - Bypass the server-side status cache
+ * @param {Function} onStatus - Called with (appId, status) for every package
+ * @returns {Promise<Object>} The complete line ({ checked, source })
+ */
+async function streamPackageStatus(manager, appIds, refresh, onStatus) {
+    const response = await apiFetch(manager.endpoints.statusStream, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ appIds, refresh })
+    });
+
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
+
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffered = '';
+    let summary = null;
+
+    const handleLine = line => {
+        const message = JSON.parse(line);
+        if (message.type === 'status') {
+            onStatus(message.appId, normalizePackageStatus(message.status));
+        } else if (message.type === 'complete') {
+            summary = message;
+        } else if (message.type === 'error') {
+            throw new Error(message.error || 'Failed to list installed packages');
+        }
+    };
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        buffered += decoder.decode(value, { stream: !done });
+        const lines = buffered.split('\n');
+        buffered = lines.pop();
+        lines.filter(line => line.trim()).forEach(handleLine);
+        if (done) break;
+    }
+    if (buffered.trim()) {
+        handleLine(buffered);
+    }
+
+    if (!summary) {
+        throw new Error('Status stream ended early');
+    }
+    return summary;
+}
+
+/**
+ * Fetches the status of a package through the manager's bulk status endpoint
+ * @param {Object} manager - The package manager adapter
+ * @param {string} appId - The package identifier
+ * @param {boolean} refresh - Bypass the server-side status cache
+ * @returns {Promise<Object>} Normalized status ({ installed, version })
+ */
+async function fetchBulkPackageStatus(manager, appId, refresh = false) {
+    const response = await apiFetch(manager.endpoints.bulkStatus, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ appId, refresh })
+    });
 
-        addLogEntry(`Error during Winget bulk status check: ${error.message}`, 'ERROR');
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
     }
+
+    return manager.parseBulkStatus(await response.json());
 }
 
 /**
- * Forces a bulk status check for all Winget packages
+ * Forces a bulk status check for all packages of a manager
+ * @param {string} managerName - The package manager (winget/choco)
  */
-async function forceWingetBulkStatusCheck() {
-    const bulkRefreshBtn = document.querySelector('#winget-status .bulk-refresh-btn');
-    const packageCards = document.querySelectorAll('#winget-package-grid .package-card');
+async function forceBulkStatusCheck(managerName) {
+    const manager = getPackageManager(managerName);
+    const bulkRefreshBtn = document.querySelector(`#${manager.tabId} .bulk-refresh-btn`);
 
-    addLogEntry('Starting forced Winget bulk status check...', 'INFO');
+    addLogEntry(`Starting forced ${manager.label} bulk status check...`, 'INFO');
     bulkRefreshBtn.disabled = true;
 
     try {
-        // Clear the cached data
-        sessionStorage.removeItem('wingetPackageData');
-        sessionStorage.removeItem('wingetPackageStatus');
-        
-        // Reload the package list
-        await loadWingetPackages();
-        addLogEntry('Forced Winget bulk status check completed successfully', 'SUCCESS');
-    } catch (error) {
-        addLogEntry(`Error during forced Winget bulk status check: ${error.message}`, 'ERROR');
+        // Clear the cached package list
+        sessionStorage.removeItem(`${manager.name}PackageData`);
 
-        packageCards.forEach(card => {
-            const statusBadge = card.querySelector('.status-badge');
-            statusBadge.textContent = 'Error';
-            statusBadge.className = 'status-badge not-installed';
-        });
+        // Reload the package list and check every status again
+        await loadManagerPackages(manager.name, true);
+        addLogEntry(`Forced ${manager.label} bulk status check completed`, 'SUCCESS');
+    } catch (error) {
+        addLogEntry(`Error during forced ${manager.label} bulk status check: ${error.message}`, 'ERROR');
+        document.querySelectorAll(`#${manager.gridId} .package-card`).forEach(card => renderPackageError(card));
     } finally {
         bulkRefreshBtn.disabled = false;
     }
 }
 
 /**
- * Updated Winget Package Toggle Handler
+ * Fetches the current status of a single package from the server
+ * @param {Object} manager - The package manager adapter
+ * @param {string} appId - The package identifier
+ * @returns {Promise<Object>} Normalized status ({ installed, version })
  */
-async function handleWingetPackageToggle(appId, toggle) {
-    const card = toggle.closest('.package-card');
-    const progressContainer = card.querySelector('.package-progress');
-    const statusBadge = card.querySelector('.status-badge');
-    const action = toggle.checked ? 'install' : 'uninstall';
+async function fetchPackageStatus(manager, appId) {
+    const response = await apiFetch(manager.endpoints.singleStatus, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ appId, refresh: true })
+    });
 
-    showProgress(progressContainer, `Starting ${action}...`);
-    updateProgress(progressContainer, 5, `Preparing to ${action}...`);
-    statusBadge.textContent = toggle.checked ? 'Installing...' : 'Uninstalling...';
-    toggle.disabled = true;
+    if (!response.ok) {
+        throw new Error(`HTTP error! status: ${response.status}`);
+    }
 
-    try {
-        const response = await fetch(`http://localhost:9000/api/winget/${action}-package`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ appId })
-        });
+    return manager.parseSingleStatus(await response.json());
+}
 
-        // Set up SSE for progress updates
-        const eventSource = new EventSource(`http://localhost:9000/api/winget/operation-progress/${appId}`);
+// Wording used for each package operation
+const PACKAGE_ACTIONS = {
+    install: { label: 'Install', progress: 'Installing...', done: 'installed' },
+    uninstall: { label: 'Uninstall', progress: 'Uninstalling...', done: 'uninstalled' },
+    upgrade: { label: 'Upgrade', progress: 'Upgrading...', done: 'upgraded' }
+};
 
-        eventSource.onmessage = (event) => {
-            const data = JSON.parse(event.data);
-            if (data.progress) {
-                updateProgress(progressContainer, data.progress, data.status || `${action.charAt(0).toUpperCase() + action.slice(1)}ing...`);
-            }
-        };
+// States of a server job that will not change anymore
+const JOB_FINAL_STATES = ['completed', 'failed', 'cancelled'];
+
+/**
+ * Executes an install/uninstall/upgrade request for a package
+ * Called by the operation queue when the operation reaches the front. The
+ * server answers with a job id right away and runs the operation in the
+ * background; the job's event stream reports progress and the result.
+ * @param {Object} manager - The package manager adapter
+ * @param {string} appId - The package identifier
+ * @param {string} action - install, uninstall or upgrade
+ * @param {Object} options - { version } overrides the version from the package card;
+ *   { onJobStarted } is called with the server job id
+ * @returns {Promise<Object>} Normalized status after the operation
+ */
+async function executePackageOperation(manager, appId, action, options = {}) {
+    const card = getPackageCard(manager.name, appId);
+    const progressContainer = card && card.querySelector('.package-progress');
+    const version = action === 'install' ? (options.version || getRequestedVersion(card)) : null;
+
+    addLogEntry(`Starting ${action} for ${manager.label} package ${appId}${version ? ` (version ${version})` : ''}...`, 'INFO');
+
+    const response = await apiFetch(manager.endpoints[action], {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(version ? { appId, version } : { appId })
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Failed to ${action} package`);
+    }
+
+    addLogEntry(`${manager.label} ${action} of ${appId} is running as job ${data.jobId}`, 'DEBUG');
+    if (options.onJobStarted) {
+        options.onJobStarted(data.jobId);
+    }
+    startPackageConsole(manager.name, appId, data.jobId, action);
+
+    const job = await waitForPackageJob(data.jobId, progress => {
+        if (progressContainer && manager.capabilities.progressStream && progress.progress) {
+            updateProgress(progressContainer, progress.progress, progress.status || PACKAGE_ACTIONS[action].progress);
+        }
+    }, line => addPackageConsoleLine(manager.name, appId, line)).catch(error => {
+        finishPackageConsole(manager.name, appId, { state: 'failed' });
+        throw error;
+    });
+    finishPackageConsole(manager.name, appId, job);
+    const result = manager.parseOperationResult(job.result || {});
+
+    if (result.cancelled) {
+        const error = new Error(result.error || 'Operation cancelled');
+        error.cancelled = true;
+        throw error;
+    }
+
+    if (!result.success) {
+        throw new Error(result.error || `Failed to ${action} package`);
+    }
+
+    // Use the status reported by the operation, or ask for the latest one
+    const status = result.status || await fetchPackageStatus(manager, appId);
+    cachePackageStatus(manager.name, appId, status);
+
+    if (action !== 'install') {
+        setPackageUpdate(manager.name, appId, null);
+    }
 
-        eventSource.onerror = () => {
-            eventSource.close();
+    if (status.installed === (action !== 'uninstall')) {
+        addLogEntry(`Successfully ${PACKAGE_ACTIONS[action].done} ${manager.label} package ${appId}${status.installed ? ` (version ${status.version || 'unknown'})` : ''}`, 'SUCCESS');
+    } else {
+        addLogEntry(`${manager.label} ${action} of ${appId} finished but the package is ${status.installed ? 'still installed' : 'not installed'}`, 'WARNING');
+    }
+
+    return status;
+}
+
+/**
+ * Waits for a server job to finish
+ * Follows the job's event stream (/api/jobs/{id}/events). If the stream
+ * drops, the job is polled instead.
+ * @param {number} jobId - The server job id
+ * @param {Function} onProgress - Called with { progress, status } updates
+ * @param {Function} onOutput - Called with each { stream, text } line of installer output
+ * @returns {Promise<Object>} The finished job ({ id, state, result, ... }); it
+ *   carries the complete output when the job had to be polled
+ */
+function waitForPackageJob(jobId, onProgress, onOutput = () => {}) {
+    return new Promise((resolve, reject) => {
+        const source = new EventSource(apiUrl(`/api/jobs/${jobId}/events`));
+
+        source.addEventListener('progress', event => onProgress(JSON.parse(event.data)));
+        source.addEventListener('output', event => onOutput(JSON.parse(event.data)));
+        source.addEventListener('complete', event => {
+            source.close();
+            resolve(JSON.parse(event.data));
+        });
+        source.onerror = () => {
+            source.close();
+            pollPackageJob(jobId).then(resolve, reject);
         };
+    });
+}
 
+/**
+ * Polls a server job until it has finished
+ * @param {number} jobId - The server job id
+ * @returns {Promise<Object>} The finished job
+ */
+async function pollPackageJob(jobId) {
+    for (;;) {
+        const response = await apiFetch(`/api/jobs/${jobId}`);
         const data = await response.json();
-        eventSource.close();
 
-        if (!data.success) {
-            throw new Error(data.error || `Failed to ${action} package`);
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Job ${jobId} not found`);
+        }
+        if (JOB_FINAL_STATES.includes(data.job.state)) {
+            return data.job;
         }
+        await new Promise(resolve => setTimeout(resolve, CONFIG.JOB_POLL_INTERVAL));
+    }
+}
 
-        // Update progress based on installation/uninstallation status
-        if (data.installed !== undefined) {
-            updateProgress(progressContainer, 100, 'Operation complete!');
+/**
+ * Queues an install/uninstall/upgrade of a package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {string} action - install, uninstall or upgrade
+ * @param {Object} options - { version } for packages without a card on the status tab
+ * @returns {Promise<Object>} Normalized status after the operation
+ */
+function queuePackageOperation(managerName, appId, action, options = {}) {
+    const manager = getPackageManager(managerName);
+    const run = op => executePackageOperation(manager, appId, action, {
+        ...options,
+        onJobStarted: jobId => {
+            op.jobId = jobId;
+            operationQueue.notify(op);
+        }
+    });
+    return operationQueue.addOperation(manager.name, appId, run, {
+        action,
+        label: `${PACKAGE_ACTIONS[action].label} ${appId}`,
+        maxRetries: CONFIG.PACKAGE_OPERATION_RETRIES
+    });
+}
 
-            // Update status badge and toggle
-            statusBadge.textContent = data.installed ? 'Installed' : 'Not Installed';
-            statusBadge.className = `status-badge ${data.installed ? 'installed' : 'not-installed'}`;
-            toggle.checked = data.installed;
+/**
+ * Package Toggle Handler
+ * Queues an install or uninstall depending on the toggle state
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {HTMLInputElement} toggle - The package toggle
+ */
+function handlePackageToggle(managerName, appId, toggle) {
+    const action = toggle.checked ? 'install' : 'uninstall';
 
-            setTimeout(() => {
-                hideProgress(progressContainer);
-                toggle.disabled = false;
-            }, 1000);
-        } else {
-            throw new Error('Invalid response from server');
+    queuePackageOperation(managerName, appId, action).catch(error => {
+        if (error.message === 'Operation already in progress') {
+            toggle.checked = !toggle.checked;
+            addLogEntry(`An operation for ${appId} is already queued`, 'WARNING');
         }
+    });
+}
 
-    } catch (error) {
-        updateProgress(progressContainer, 100, 'Error!');
-        statusBadge.textContent = 'Error';
-        statusBadge.className = 'status-badge not-installed';
+/**
+ * Reflects the state of a queued operation on its package card
+ * Registered as an operation queue listener.
+ * @param {Object} op - The operation whose status changed
+ */
+function renderOperationOnCard(op) {
+    if (!op || !packageManagers.has(op.manager)) return;
 
-        setTimeout(() => {
-            hideProgress(progressContainer);
-            toggle.checked = !toggle.checked;
-            toggle.disabled = false;
-        }, 2000);
+    const card = getPackageCard(op.manager, op.appId);
+    if (!card) return;
+
+    const statusBadge = card.querySelector('.status-badge');
+    const toggle = card.querySelector('.package-toggle input');
+    const stopBtn = card.querySelector('.stop-btn');
+    const upgradeBtn = card.querySelector('.upgrade-btn');
+    const progressContainer = card.querySelector('.package-progress');
 
-        addLogEntry(`Error during ${action}: ${error.message}`, 'ERROR');
+    switch (op.status) {
+        case 'pending':
+            statusBadge.textContent = `Queued: ${op.action}`;
+            statusBadge.className = 'status-badge pending';
+            toggle.checked = op.action !== 'uninstall';
+            toggle.disabled = true;
+            upgradeBtn.disabled = true;
+            stopBtn.style.display = 'flex';
+            showProgress(progressContainer, 'Waiting in queue...');
+            break;
+
+        case 'running':
+            statusBadge.textContent = PACKAGE_ACTIONS[op.action].progress;
+            toggle.disabled = true;
+            upgradeBtn.disabled = true;
+            stopBtn.style.display = getPackageManager(op.manager).capabilities.cancel ? 'flex' : 'none';
+            // Indeterminate until the installer reports a percentage; its output is in the console drawer
+            updateProgress(progressContainer, -1, `Preparing to ${op.action}...`);
+            break;
+
+        case 'retrying':
+            statusBadge.textContent = `Retrying (${op.retryCount}/${op.maxRetries})...`;
+            stopBtn.style.display = 'flex';
+            updateProgress(progressContainer, 0, `${op.error} - retrying in ${Math.round(op.nextRetryDelay / 1000)}s`);
+            break;
+
+        case 'completed':
+            updateProgress(progressContainer, 100, 'Operation complete!');
+            renderPackageStatus(card, op.result);
+            setTimeout(() => {
+                hideProgress(progressContainer);
+                stopBtn.style.display = 'none';
+                toggle.disabled = false;
+                upgradeBtn.disabled = false;
+            }, 1000);
+            break;
+
+        case 'failed':
+        case 'cancelled':
+            if (op.status === 'failed') {
+                updateProgress(progressContainer, 100, 'Error!');
+                renderPackageError(card);
+                card.querySelector('.version').textContent = '';
+                addLogEntry(`Error during ${op.action} of ${op.appId}: ${op.error}`, 'ERROR');
+            } else {
+                statusBadge.textContent = 'Cancelled';
+                statusBadge.className = 'status-badge cancelled';
+                addLogEntry(`${op.label} was cancelled`, 'WARNING');
+            }
+            stopBtn.style.display = 'none';
+            toggle.checked = op.action !== 'install';
+            setTimeout(() => {
+                hideProgress(progressContainer);
+                toggle.disabled = false;
+                upgradeBtn.disabled = false;
+            }, op.status === 'failed' ? 2000 : 0);
+            break;
     }
 }
 
 /**
- * Refreshes the status of a single Winget package
+ * Refreshes the status of a single package
+ * @param {string} managerName - The package manager (winget/choco)
  * @param {string} appId - The package identifier
  * @param {HTMLElement} button - The refresh button element
  */
-async function refreshWingetPackage(appId, button) {
+async function refreshPackageStatus(managerName, appId, button) {
+    const manager = getPackageManager(managerName);
     const card = button.closest('.package-card');
     const statusBadge = card.querySelector('.status-badge');
     const refreshIcon = button.querySelector('.refresh-icon');
 
-    addLogEntry(`Refreshing status for Winget package ${appId}...`, 'INFO');
+    addLogEntry(`Refreshing status for ${manager.label} package ${appId}...`, 'INFO');
     button.disabled = true;
     statusBadge.textContent = 'Checking...';
     refreshIcon.style.transform = 'rotate(360deg)';
 
     try {
-        const response = await fetch('http://localhost:9000/api/winget/single-package-status', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ appId, refresh: true })
-        });
-
-        const data = await response.json();
-        const versionSpan = card.querySelector('.version');
-        const toggle = card.querySelector('input[type="checkbox"]');
-
-        if (data.status.installed) {
-            statusBadge.textContent = 'Installed';
-            statusBadge.className = 'status-badge installed';
-            versionSpan.textContent = data.status.version || '';
-            toggle.checked = true;
-            addLogEntry(`Winget package ${appId} is installed (version ${data.status.version || 'unknown'})`, 'SUCCESS');
-        } else {
-            statusBadge.textContent = 'Not Installed';
-            statusBadge.className = 'status-badge not-installed';
-            versionSpan.textContent = '';
-            toggle.checked = false;
-            addLogEntry(`Winget package ${appId} is not installed`, 'INFO');
-        }
+        const status = await fetchPackageStatus(manager, appId);
+        renderPackageStatus(card, status);
+        cachePackageStatus(manager.name, appId, status);
+        logPackageStatus(manager, appId, status);
     } catch (error) {
-        statusBadge.textContent = 'Error';
-        statusBadge.className = 'status-badge not-installed';
-        addLogEntry(`Error refreshing Winget package status for ${appId}: ${error.message}`, 'ERROR');
+        renderPackageError(card);
+        addLogEntry(`Error refreshing ${manager.label} package status for ${appId}: ${error.message}`, 'ERROR');
     } finally {
         button.disabled = false;
         refreshIcon.style.transform = 'rotate(0deg)';
@@ -800,434 +1381,486 @@ async function refreshWingetPackage(appId, button) {
 }
 
 /**
- * Stops a package operation and updates UI
- * @param {string} manager - The package manager (winget/choco)
+ * Gets the id of the server job running an operation on a package
+ * Jobs started in this window are tracked by the queue, jobs started in
+ * another window by their card (see serverEvents.js).
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @returns {number|null} The job id, if known
+ */
+function getPackageJobId(managerName, appId) {
+    const op = operationQueue.operations.find(op =>
+        op.manager === managerName && op.appId === appId && op.status === 'running' && op.jobId
+    );
+    if (op) return op.jobId;
+
+    const card = getPackageCard(managerName, appId);
+    const remoteJobId = card && card.getAttribute('data-remote-job');
+    return remoteJobId ? Number(remoteJobId) : null;
+}
+
+/**
+ * Stops a package operation
+ * Queued operations are dropped from the queue; running operations are
+ * cancelled on the server, which kills the installer process tree. The card
+ * is updated by renderOperationOnCard once the queue reports the cancellation.
+ * @param {string} managerName - The package manager (winget/choco)
  * @param {string} appId - The package identifier
  * @param {HTMLElement} button - The stop button element
  */
-async function stopPackageOperation(manager, appId, button) {
-    const card = button.closest('.package-card');
-    const statusBadge = card.querySelector('.status-badge');
-    const toggle = card.querySelector('input[type="checkbox"]');
-    const stopBtn = card.querySelector('.stop-btn');
+async function stopPackageOperation(managerName, appId, button) {
+    const manager = getPackageManager(managerName);
+    addLogEntry(`Stopping ${manager.label} operation for package ${appId}...`, 'INFO');
 
-    addLogEntry(`Stopping ${manager} operation for package ${appId}...`, 'INFO');
+    if (operationQueue.stopOperation(manager.name, appId)) {
+        addLogEntry(`Successfully stopped ${manager.label} operation for package ${appId}`, 'SUCCESS');
+        return;
+    }
 
-    if (operationQueue.stopOperation(manager, appId)) {
-        statusBadge.textContent = 'Operation Stopped';
-        toggle.checked = !toggle.checked;
-        toggle.disabled = false;
-        stopBtn.style.display = 'none';
-        addLogEntry(`Successfully stopped ${manager} operation for package ${appId}`, 'SUCCESS');
+    if (!manager.capabilities.cancel) {
+        addLogEntry(`${manager.label} operations cannot be cancelled once started`, 'WARNING');
+        return;
     }
-}
 
-/**
- * Loads and displays all Chocolatey packages
- * Creates cards for each package with status, version, and controls
- */
-async function loadChocoPackages() {
-    const packageGrid = document.getElementById('choco-package-grid');
-    packageGrid.innerHTML = 'Loading packages...';
-    addLogEntry('Loading Chocolatey package list...', 'INFO');
+    if (button) {
+        button.disabled = true;
+    }
 
-    try {
-        // Check for cached package data
-        const cachedData = sessionStorage.getItem('chocoPackageData');
-        if (cachedData) {
-            addLogEntry('Using cached Chocolatey package data', 'INFO');
-            displayChocoPackages(JSON.parse(cachedData));
-            return;
-        }
+    // Cancel by job id when it is known; the manager endpoint finds the job by package
+    const jobId = getPackageJobId(manager.name, appId);
 
-        // Fetch package list from server
-        const response = await fetch('http://localhost:9000/api/choco/packages-list');
+    try {
+        const response = jobId
+            ? await apiFetch(`/api/jobs/${jobId}/cancel`, { method: 'POST' })
+            : await apiFetch(manager.endpoints.cancel, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ appId })
+            });
         const data = await response.json();
 
-        if (data.success) {
-            sessionStorage.setItem('chocoPackageData', JSON.stringify(data));
-            addLogEntry(`Successfully loaded ${data.packages.length} Chocolatey packages`, 'SUCCESS');
-            displayChocoPackages(data);
-        } else {
-            packageGrid.innerHTML = 'Error loading Chocolatey packages list';
-            addLogEntry('Failed to load Chocolatey packages list', 'ERROR');
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `HTTP error! status: ${response.status}`);
         }
+        addLogEntry(`Cancellation requested for ${manager.label} package ${appId}`, 'INFO');
     } catch (error) {
-        packageGrid.innerHTML = 'Error loading Chocolatey packages list';
-        addLogEntry(`Error loading Chocolatey packages: ${error.message}`, 'ERROR');
+        addLogEntry(`Failed to cancel ${manager.label} operation for ${appId}: ${error.message}`, 'ERROR');
+    } finally {
+        if (button) {
+            button.disabled = false;
+        }
     }
 }
 
 /**
- * Displays Chocolatey packages and their status
- * @param {Object} data - Package data to display
+ * Operation Queue Panel
+ * Lists every queued operation with its status and per-item cancel/retry actions
  */
-async function displayChocoPackages(data) {
-    const packageGrid = document.getElementById('choco-package-grid');
-    packageGrid.innerHTML = '';
-    addLogEntry('Rendering Chocolatey package cards...', 'DEBUG');
-
-    for (const pkg of data.packages) {
-        const card = document.createElement('div');
-        card.className = 'package-card';
-
-        card.innerHTML = `
-            <h4>${pkg.app_name}</h4>
-            <div class="package-desc">${pkg.app_desc}</div>
-            <div class="package-status">
-                <div class="status-info">
-                    <span class="status-badge">Checking...</span>
-                    <span class="version"></span>
-                </div>
-                <div class="package-controls">
-                    <button class="refresh-btn" onclick="refreshChocoPackage('${pkg.app_id}', this)">
-                        <span class="refresh-icon">↻</span>
-                    </button>
-                    <button class="stop-btn" onclick="stopPackageOperation('choco', '${pkg.app_id}', this)" style="display: none;">
-                        <span class="stop-icon">⬛</span>
-                    </button>
-                    <label class="toggle package-toggle">
-                        <input type="checkbox" data-app-id="${pkg.app_id}">
-                        <span class="slider"></span>
-                    </label>
-                </div>
-            </div>
-            <div class="package-progress">
-                <div class="progress-container">
-                    <div class="progress-bar">
-                        <div class="progress-bar-fill"></div>
-                    </div>
-                    <div class="progress-text"></div>
-                </div>
-            </div>
-        `;
+const OPERATION_STATUS_LABELS = {
+    pending: 'Pending',
+    running: 'Running',
+    retrying: 'Retrying',
+    failed: 'Failed',
+    completed: 'Completed',
+    cancelled: 'Cancelled'
+};
 
-        packageGrid.appendChild(card);
+function renderQueuePanel() {
+    const panel = document.getElementById('operation-queue-panel');
+    const list = document.getElementById('operation-queue-list');
+    const summary = document.getElementById('operation-queue-summary');
+    const operations = operationQueue.operations;
+
+    panel.style.display = operations.length > 0 ? 'block' : 'none';
+
+    const counts = operations.reduce((acc, op) => {
+        acc[op.status] = (acc[op.status] || 0) + 1;
+        return acc;
+    }, {});
+    summary.textContent = Object.keys(OPERATION_STATUS_LABELS)
+        .filter(status => counts[status])
+        .map(status => `${counts[status]} ${OPERATION_STATUS_LABELS[status].toLowerCase()}`)
+        .join(', ');
+
+    list.innerHTML = '';
+    operations.forEach(op => {
+        const manager = packageManagers.get(op.manager);
+        const item = document.createElement('div');
+        item.className = `queue-item ${op.status}`;
+
+        const canCancel = op.status === 'pending' || op.status === 'retrying' ||
+            (op.status === 'running' && manager && manager.capabilities.cancel);
+        const canRetry = op.status === 'failed' || op.status === 'cancelled';
+        const attempts = op.retryCount > 0 ? ` (retry ${op.retryCount}/${op.maxRetries})` : '';
+
+        // Labels and errors carry package ids and installer output, so they are set as text
+        const addText = (className, text) => {
+            const span = document.createElement('span');
+            span.className = className;
+            span.textContent = text;
+            item.appendChild(span);
+            return span;
+        };
+        addText('queue-item-manager', manager ? manager.label : op.manager);
+        addText('queue-item-label', op.label);
+        const status = addText('queue-item-status', `${OPERATION_STATUS_LABELS[op.status]}${attempts}`);
+        if (op.jobId) {
+            status.title = `Server job ${op.jobId}`;
+        }
+        addText('queue-item-error', op.error && op.status !== 'completed' ? op.error : '');
 
-        const toggle = card.querySelector('input[type="checkbox"]');
-        toggle.addEventListener('change', () => handleChocoPackageToggle(pkg.app_id, toggle));
-    }
+        const actions = addText('queue-item-actions', '');
+        actions.innerHTML = `
+            ${canCancel ? `<button class="queue-cancel-btn" onclick="cancelQueuedOperation(${op.id})">Cancel</button>` : ''}
+            ${canRetry ? `<button class="queue-retry-btn" onclick="retryQueuedOperation(${op.id})">Retry</button>` : ''}
+        `;
+        list.appendChild(item);
+    });
+}
 
-    // Check for cached status data
-    const cachedStatus = sessionStorage.getItem('chocoPackageStatus');
-    if (cachedStatus) {
-        addLogEntry('Using cached Chocolatey package status data', 'INFO');
-        updateChocoPackageStatusFromCache(JSON.parse(cachedStatus));
-    } else {
-        addLogEntry('Performing initial Chocolatey bulk status check...', 'INFO');
-        await performInitialChocoBulkCheck();
+function cancelQueuedOperation(id) {
+    const op = operationQueue.getOperation(id);
+    if (op) {
+        stopPackageOperation(op.manager, op.appId);
     }
 }
 
-/**
- * Updates Chocolatey package status from cached data
- * @param {Object} statusData - Cached status data
- */
-function updateChocoPackageStatusFromCache(statusData) {
-    addLogEntry('Updating Chocolatey package status from cache...', 'DEBUG');
-    const packageCards = document.querySelectorAll('#choco-package-grid .package-card');
+function retryQueuedOperation(id) {
+    const op = operationQueue.getOperation(id);
+    if (!op) return;
 
-    packageCards.forEach(card => {
-        const appId = card.querySelector('input[type="checkbox"]').dataset.appId;
-        const status = statusData[appId];
-
-        if (status) {
-            const statusBadge = card.querySelector('.status-badge');
-            const versionSpan = card.querySelector('.version');
-            const toggle = card.querySelector('input[type="checkbox"]');
-
-            if (status.installed) {
-                statusBadge.textContent = 'Installed';
-                statusBadge.className = 'status-badge installed';
-                versionSpan.textContent = status.version || '';
-                toggle.checked = true;
-                addLogEntry(`Chocolatey package ${appId} is installed (version ${status.version || 'unknown'})`, 'SUCCESS');
-            } else {
-                statusBadge.textContent = 'Not Installed';
-                statusBadge.className = 'status-badge not-installed';
-                versionSpan.textContent = '';
-                toggle.checked = false;
-                addLogEntry(`Chocolatey package ${appId} is not installed`, 'INFO');
-            }
+    addLogEntry(`Retrying ${op.label}...`, 'INFO');
+    // Failures and cancellations are reported by the queue listeners
+    operationQueue.retryOperation(id).catch(error => {
+        if (error.message === 'Operation already in progress') {
+            addLogEntry(`An operation for ${op.appId} is already queued`, 'WARNING');
         }
     });
-    addLogEntry('Chocolatey package status updated from cache', 'SUCCESS');
 }
 
+function clearFinishedOperations() {
+    operationQueue.clearFinished();
+}
+
+function toggleQueuePanel() {
+    document.getElementById('operation-queue-panel').classList.toggle('collapsed');
+}
+
+operationQueue.subscribe(renderOperationOnCard);
+operationQueue.subscribe(renderQueuePanel);
+
 /**
- * Updated Chocolatey Bulk Status Check
+ * Batch Operations
+ * Multi-select on the status tabs with install/uninstall of the selection
  */
-async function performInitialChocoBulkCheck(forceRefresh = false) {
-    const packageCards = document.querySelectorAll('#choco-package-grid .package-card');
-    const bulkProgressContainer = document.querySelector('#choco-status .bulk-progress');
-    const bulkRefreshBtn = document.querySelector('#choco-status .bulk-refresh-btn');
-    const statusCache = {};
 
-    showProgress(bulkProgressContainer, 'Starting bulk check...');
-    bulkRefreshBtn.disabled = true;
+/**
+ * Gets the package cards of a manager whose selection checkbox is ticked
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+function getSelectedPackageCards(managerName) {
+    const manager = getPackageManager(managerName);
+    return Array.from(document.querySelectorAll(`#${manager.gridId} .package-card`))
+        .filter(card => card.querySelector('.package-select-input').checked);
+}
 
-    try {
-        const packageIds = Array.from(packageCards).map(card =>
-            card.querySelector('input[type="checkbox"]').dataset.appId
-        );
+/**
+ * Updates the selection counter and batch buttons of a status tab
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+function updateSelectionCount(managerName) {
+    const manager = getPackageManager(managerName);
+    const selectedCount = getSelectedPackageCards(manager.name).length;
+    const tab = document.getElementById(manager.tabId);
+
+    tab.querySelector('.selection-count').textContent = `${selectedCount} selected`;
+    tab.querySelectorAll('.batch-btn').forEach(button => {
+        button.disabled = selectedCount === 0;
+    });
+}
 
-        addLogEntry(`Checking status for ${packageIds.length} Chocolatey packages...`, 'INFO');
+/**
+ * Selects package cards of a manager
+ * Cards hidden by the filters are deselected, so a batch only covers what is shown.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} mode - all, none or not-installed
+ */
+function selectPackages(managerName, mode) {
+    const manager = getPackageManager(managerName);
+
+    document.querySelectorAll(`#${manager.gridId} .package-card`).forEach(card => {
+        const installed = card.querySelector('.package-toggle input').checked;
+        const visible = !card.classList.contains('filtered-out');
+        card.querySelector('.package-select-input').checked = visible &&
+            (mode === 'all' || (mode === 'not-installed' && !installed));
+    });
 
-        let completedChecks = 0;
-        const totalPackages = packageIds.length;
+    updateSelectionCount(manager.name);
+}
 
-        // Create an array of promises for all package checks
-        const checkPromises = packageIds.map(async appId => {
-            const card = Array.from(packageCards).find(card =>
-                card.querySelector('input[type="checkbox"]').dataset.appId === appId
-            );
+/**
+ * Sets the number of operations the queue runs at once
+ * @param {string|number} value - Selected concurrency
+ */
+function setOperationConcurrency(value) {
+    operationQueue.setConcurrency(parseInt(value, 10));
+    document.querySelectorAll('.concurrency-select').forEach(select => {
+        select.value = String(operationQueue.concurrency);
+    });
+    addLogEntry(`Running up to ${operationQueue.concurrency} package operation(s) at once`, 'INFO');
+}
 
-            addLogEntry(`Checking status for Chocolatey package ${appId}...`, 'DEBUG');
+/**
+ * Queues an operation for each package and waits for all of them to settle
+ * @param {Object} manager - The package manager adapter
+ * @param {string} action - install, uninstall or upgrade
+ * @param {string[]} appIds - Packages to operate on
+ * @param {Object} summary - { succeeded, failed, cancelled, skipped }, filled in as operations settle
+ */
+async function runPackageBatch(manager, action, appIds, summary) {
+    addLogEntry(`Queued ${action} of ${appIds.length} ${manager.label} packages (${summary.skipped.length} skipped)`, 'INFO');
+
+    await Promise.all(appIds.map(appId => queuePackageOperation(manager.name, appId, action)
+        .then(() => summary.succeeded.push(appId))
+        .catch(error => {
+            if (error.cancelled || error.message === 'Operation stopped by user') {
+                summary.cancelled.push(appId);
+            } else {
+                summary.failed.push({ appId, error: error.message });
+            }
+        })));
 
-            try {
-                const response = await fetch('http://localhost:9000/api/choco/bulk-package-status', {
-                    method: 'POST',
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    body: JSON.stringify({ appId, refresh: forceRefresh })
-                });
+    renderBatchSummary(manager, action, summary);
+    return summary;
+}
 
-                const data = await response.json();
-                statusCache[appId] = data.status;
-
-                completedChecks++;
-                const progress = (completedChecks / totalPackages) * 100;
-                updateProgress(bulkProgressContainer, progress, `Checking packages (${completedChecks}/${totalPackages})...`);
-
-                const statusBadge = card.querySelector('.status-badge');
-                const versionSpan = card.querySelector('.version');
-                const toggle = card.querySelector('input[type="checkbox"]');
-
-                if (data.status && data.status.installed) {
-                    statusBadge.textContent = 'Installed';
-                    statusBadge.className = 'status-badge installed';
-                    versionSpan.textContent = data.status.version || '';
-                    toggle.checked = true;
-                    addLogEntry(`Chocolatey package ${appId} is installed (version ${data.status.version || 'unknown'})`, 'SUCCESS');
-                } else {
-                    statusBadge.textContent = 'Not Installed';
-                    statusBadge.className = 'status-badge not-installed';
-                    versionSpan.textContent = '';
-                    toggle.checked = false;
-                    addLogEntry(`Chocolatey package ${appId} is not installed`, 'INFO');
-                }
-                return { appId, success: true };
-            } catch (error) {
-                completedChecks++;
-                const progress = (completedChecks / totalPackages) * 100;
-                updateProgress(bulkProgressContainer, progress, `Checking packages (${completedChecks}/${totalPackages})...`);
-
-                const statusBadge = card.querySelector('.status-badge');
-                statusBadge.textContent = 'Error';
-                statusBadge.className = 'status-badge not-installed';
-                addLogEntry(`Error checking Chocolatey package ${appId}: ${error.message}`, 'ERROR');
-                return { appId, success: false, error };
-            }
-        });
+/**
+ * Installs or uninstalls every selected package of a manager
+ * Packages already in the requested state are skipped. Resolves once every
+ * queued operation has settled and shows a summary on the tab.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} action - install or uninstall
+ */
+async function runBatchOperation(managerName, action) {
+    const manager = getPackageManager(managerName);
+    const summary = { succeeded: [], failed: [], cancelled: [], skipped: [] };
+    const cards = getSelectedPackageCards(manager.name);
 
-        // Wait for all checks to complete
-        const results = await Promise.allSettled(checkPromises);
-        const failures = results.filter(r => r.status === 'rejected' || (r.status === 'fulfilled' && !r.value.success));
+    if (cards.length === 0) return summary;
 
-        // Update progress bar to completion
-        updateProgress(bulkProgressContainer, 100, 'Status check complete');
-        setTimeout(() => {
-            hideProgress(bulkProgressContainer);
-            bulkRefreshBtn.disabled = false;
-        }, 1000);
+    const appIds = [];
+    cards.forEach(card => {
+        const appId = card.getAttribute('data-app-id');
+        const installed = card.querySelector('.package-toggle input').checked;
 
-        if (failures.length > 0) {
-            addLogEntry(`${failures.length} Chocolatey package checks failed`, 'WARNING');
+        if (installed === (action === 'install') || operationQueue.isOperationInProgress(manager.name, appId)) {
+            summary.skipped.push(appId);
         } else {
-            sessionStorage.setItem('chocoPackageStatus', JSON.stringify(statusCache));
-            addLogEntry('Initial Chocolatey bulk status check completed successfully', 'SUCCESS');
+            appIds.push(appId);
         }
+        card.querySelector('.package-select-input').checked = false;
+    });
 
-    } catch (error) {
-        addLogEntry(`Error during Chocolatey bulk status check: ${error.message}`, 'ERROR');
-
-        updateProgress(bulkProgressContainer, 100, 'Error during bulk check');
-        setTimeout(() => {
-            hideProgress(bulkProgressContainer);
-            bulkRefreshBtn.disabled = false;
-        }, 2000);
+    updateSelectionCount(manager.name);
+    return runPackageBatch(manager, action, appIds, summary);
+}
 
-        packageCards.forEach(card => {
-            const statusBadge = card.querySelector('.status-badge');
-            statusBadge.textContent = 'Error';
-            statusBadge.className = 'status-badge not-installed';
+/**
+ * Shows the outcome of a batch operation on the manager's status tab
+ * @param {Object} manager - The package manager adapter
+ * @param {string} action - install or uninstall
+ * @param {Object} summary - { succeeded, failed, cancelled, skipped }
+ */
+function renderBatchSummary(manager, action, summary) {
+    const container = document.querySelector(`#${manager.tabId} .batch-summary`);
+
+    container.className = `batch-summary ${summary.failed.length > 0 ? 'has-failures' : ''}`;
+    container.innerHTML = `
+        <span class="close-summary" onclick="this.parentElement.style.display = 'none'">&times;</span>
+        <strong>Batch ${action} finished:</strong>
+        ${summary.succeeded.length} succeeded, ${summary.failed.length} failed,
+        ${summary.cancelled.length} cancelled, ${summary.skipped.length} skipped
+    `;
+
+    // Errors carry installer output, so the failures are added as text
+    if (summary.failed.length > 0) {
+        const list = document.createElement('ul');
+        summary.failed.forEach(failure => {
+            const item = document.createElement('li');
+            const appId = document.createElement('strong');
+            appId.textContent = failure.appId;
+            item.appendChild(appId);
+            item.appendChild(document.createTextNode(`: ${failure.error}`));
+            list.appendChild(item);
         });
+        container.appendChild(list);
     }
+    container.style.display = 'block';
+
+    const level = summary.failed.length > 0 ? 'WARNING' : 'SUCCESS';
+    addLogEntry(`Batch ${action} of ${manager.label} packages finished: ${summary.succeeded.length} succeeded, ${summary.failed.length} failed, ${summary.cancelled.length} cancelled, ${summary.skipped.length} skipped`, level);
+    summary.failed.forEach(failure => addLogEntry(`  ${failure.appId}: ${failure.error}`, 'ERROR'));
 }
 
 /**
- * Updated Chocolatey Package Toggle Handler
+ * Package Upgrades
+ * Tracks which installed packages have an update available and upgrades them
  */
-async function handleChocoPackageToggle(appId, toggle) {
-    const card = toggle.closest('.package-card');
-    const statusBadge = card.querySelector('.status-badge');
-    const versionSpan = card.querySelector('.version');
-    const stopBtn = card.querySelector('.stop-btn');
-    const progressContainer = card.querySelector('.package-progress');
-    const action = toggle.checked ? 'install' : 'uninstall';
-    const originalState = !toggle.checked;
 
-    addLogEntry(`Starting ${action} for Chocolatey package ${appId}...`, 'INFO');
-    statusBadge.textContent = toggle.checked ? 'Installing...' : 'Uninstalling...';
-    toggle.disabled = true;
-    stopBtn.style.display = 'flex';
-    showProgress(progressContainer, `Starting ${action}...`);
-    updateProgress(progressContainer, 5, `Preparing to ${action}...`);
+// Outdated packages per manager: managerName -> Map(appId -> { version, available })
+const outdatedPackages = new Map();
 
-    try {
-        const response = await fetch(`http://localhost:9000/api/choco/${action}-package`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ appId })
-        });
+/**
+ * Fetches the installed packages of a manager that have an update available
+ * @param {Object} manager - The package manager adapter
+ * @returns {Promise<Map>} appId -> { version, available }
+ */
+async function fetchOutdatedPackages(manager) {
+    const response = await apiFetch(manager.endpoints.outdated);
+    return manager.parseOutdated(await response.json());
+}
 
-        const data = await response.json();
+/**
+ * Asks the server which installed packages of a manager have an update available
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+async function checkOutdatedPackages(managerName) {
+    const manager = getPackageManager(managerName);
+    if (!manager.capabilities.upgrade) return;
 
-        if (!data.success) {
-            throw new Error(data.error || `Failed to ${action} package`);
-        }
+    addLogEntry(`Checking for ${manager.label} package updates...`, 'INFO');
 
-        // Update progress to show completion
-        updateProgress(progressContainer, 100, 'Operation complete!');
+    try {
+        const outdated = await fetchOutdatedPackages(manager);
+        outdatedPackages.set(manager.name, outdated);
 
-        // Get the latest status after installation
-        const statusResponse = await fetch('http://localhost:9000/api/choco/single-package-status', {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({ appId, refresh: true })
+        document.querySelectorAll(`#${manager.gridId} .package-card`).forEach(card => {
+            renderPackageUpdate(card, outdated.get(card.getAttribute('data-app-id')));
         });
+        updateUpgradeAllButton(manager.name);
 
-        const statusData = await statusResponse.json();
+        const managedCount = getOutdatedAppIds(manager.name, true).length;
+        addLogEntry(`${managedCount} ${manager.label} packages have an update available`, managedCount > 0 ? 'INFO' : 'SUCCESS');
+    } catch (error) {
+        addLogEntry(`Error checking for ${manager.label} package updates: ${error.message}`, 'ERROR');
+    }
+}
 
-        // Update UI based on the latest status
-        if (statusData.status.installed) {
-            statusBadge.textContent = 'Installed';
-            statusBadge.className = 'status-badge installed';
-            versionSpan.textContent = statusData.status.version || '';
-            toggle.checked = true;
-            addLogEntry(`Successfully installed Chocolatey package ${appId} (version ${statusData.status.version || 'unknown'})`, 'SUCCESS');
-        } else {
-            statusBadge.textContent = 'Not Installed';
-            statusBadge.className = 'status-badge not-installed';
-            versionSpan.textContent = '';
-            toggle.checked = false;
-            addLogEntry(`Successfully uninstalled Chocolatey package ${appId}`, 'SUCCESS');
-        }
+/**
+ * Shows or hides the update badge and upgrade button of a package card
+ * @param {HTMLElement} card - The package card
+ * @param {Object|null} update - { version, available } or null when up to date
+ */
+function renderPackageUpdate(card, update) {
+    const updateBadge = card.querySelector('.update-badge');
+    const upgradeBtn = card.querySelector('.upgrade-btn');
+
+    if (update) {
+        updateBadge.textContent = `Update available: ${update.available}`;
+        updateBadge.title = `Installed ${update.version || 'unknown'}, available ${update.available}`;
+        updateBadge.style.display = 'inline-block';
+        upgradeBtn.style.display = 'inline-block';
+    } else {
+        updateBadge.style.display = 'none';
+        upgradeBtn.style.display = 'none';
+    }
 
-        setTimeout(() => {
-            hideProgress(progressContainer);
-            stopBtn.style.display = 'none';
-            toggle.disabled = false;
-        }, 1000);
+    schedulePackageFilters(card);
+}
 
-    } catch (error) {
-        updateProgress(progressContainer, 100, 'Error!');
-        statusBadge.textContent = 'Error';
-        statusBadge.className = 'status-badge not-installed';
-        versionSpan.textContent = '';
+/**
+ * Records whether a package has an update available and updates its card
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {Object|null} update - { version, available } or null when up to date
+ */
+function setPackageUpdate(managerName, appId, update) {
+    const outdated = outdatedPackages.get(managerName);
+    if (!outdated) return;
 
-        setTimeout(() => {
-            hideProgress(progressContainer);
-            stopBtn.style.display = 'none';
-            toggle.checked = originalState;
-            toggle.disabled = false;
-        }, 2000);
+    if (update) {
+        outdated.set(appId, update);
+    } else {
+        outdated.delete(appId);
+    }
 
-        addLogEntry(`Error during ${action}: ${error.message}`, 'ERROR');
+    const card = getPackageCard(managerName, appId);
+    if (card) {
+        renderPackageUpdate(card, update);
     }
+    updateUpgradeAllButton(managerName);
 }
 
 /**
- * Refreshes the status of a single Chocolatey package
- * @param {string} appId - The package identifier
- * @param {HTMLElement} button - The refresh button element
+ * Gets the outdated packages of a manager that have a card on its status tab
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {boolean} includePinned - Include packages pinned in the packages list
+ * @returns {string[]} Package identifiers
  */
-async function refreshChocoPackage(appId, button) {
-    const card = button.closest('.package-card');
-    const statusBadge = card.querySelector('.status-badge');
-    const refreshIcon = button.querySelector('.refresh-icon');
+function getOutdatedAppIds(managerName, includePinned = false) {
+    const outdated = outdatedPackages.get(managerName);
+    if (!outdated) return [];
+    return Array.from(outdated.keys()).filter(appId => {
+        const card = getPackageCard(managerName, appId);
+        return card && (includePinned || !isPackagePinned(card));
+    });
+}
 
-    addLogEntry(`Refreshing status for Chocolatey package ${appId}...`, 'INFO');
-    button.disabled = true;
-    statusBadge.textContent = 'Checking...';
-    refreshIcon.style.transform = 'rotate(360deg)';
+/**
+ * Updates the count and state of a manager's "Upgrade All Outdated" button
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+function updateUpgradeAllButton(managerName) {
+    const manager = getPackageManager(managerName);
+    const button = document.querySelector(`#${manager.tabId} .bulk-upgrade-btn`);
+    const count = getOutdatedAppIds(manager.name).length;
 
-    try {
-        const response = await fetch('http://localhost:9000/api/choco/single-package-status', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ appId, refresh: true })
-        });
+    button.textContent = count > 0 ? `Upgrade All Outdated (${count})` : 'Upgrade All Outdated';
+    button.disabled = count === 0;
+}
 
-        const data = await response.json();
-        const versionSpan = card.querySelector('.version');
-        const toggle = card.querySelector('input[type="checkbox"]');
-
-        if (data.status.installed) {
-            statusBadge.textContent = 'Installed';
-            statusBadge.className = 'status-badge installed';
-            versionSpan.textContent = data.status.version || '';
-            toggle.checked = true;
-            addLogEntry(`Chocolatey package ${appId} is installed (version ${data.status.version || 'unknown'})`, 'SUCCESS');
-        } else {
-            statusBadge.textContent = 'Not Installed';
-            statusBadge.className = 'status-badge not-installed';
-            versionSpan.textContent = '';
-            toggle.checked = false;
-            addLogEntry(`Chocolatey package ${appId} is not installed`, 'INFO');
+/**
+ * Queues an upgrade of a single package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ */
+function upgradePackage(managerName, appId) {
+    queuePackageOperation(managerName, appId, 'upgrade').catch(error => {
+        if (error.message === 'Operation already in progress') {
+            addLogEntry(`An operation for ${appId} is already queued`, 'WARNING');
         }
-    } catch (error) {
-        statusBadge.textContent = 'Error';
-        statusBadge.className = 'status-badge not-installed';
-        addLogEntry(`Error refreshing Chocolatey package status for ${appId}: ${error.message}`, 'ERROR');
-    } finally {
-        button.disabled = false;
-        refreshIcon.style.transform = 'rotate(0deg)';
-    }
+    });
 }
 
 /**
- * Forces a bulk status check for all Chocolatey packages
+ * Upgrades every outdated package on a manager's status tab
+ * Packages pinned in the packages list are left alone.
+ * @param {string} managerName - The package manager (winget/choco)
  */
-async function forceChocoBulkStatusCheck() {
-    const bulkRefreshBtn = document.querySelector('#choco-status .bulk-refresh-btn');
-    const packageCards = document.querySelectorAll('#choco-package-grid .package-card');
-
-    addLogEntry('Starting forced Chocolatey bulk status check...', 'INFO');
-    bulkRefreshBtn.disabled = true;
+async function upgradeAllOutdated(managerName) {
+    const manager = getPackageManager(managerName);
+    const summary = { succeeded: [], failed: [], cancelled: [], skipped: [] };
+    const appIds = [];
+
+    const pinnedCount = getOutdatedAppIds(manager.name, true).length - getOutdatedAppIds(manager.name).length;
+    if (pinnedCount > 0) {
+        addLogEntry(`Leaving ${pinnedCount} pinned ${manager.label} packages at their current version`, 'INFO');
+    }
 
-    try {
-        // Clear the cached data
-        sessionStorage.removeItem('chocoPackageData');
-        sessionStorage.removeItem('chocoPackageStatus');
-        
-        // Reload the package list
-        await loadChocoPackages();
-        addLogEntry('Forced Chocolatey bulk status check completed successfully', 'SUCCESS');
-    } catch (error) {
-        addLogEntry(`Error during forced Chocolatey bulk status check: ${error.message}`, 'ERROR');
+    getOutdatedAppIds(manager.name).forEach(appId => {
+        if (operationQueue.isOperationInProgress(manager.name, appId)) {
+            summary.skipped.push(appId);
+        } else {
+            appIds.push(appId);
+        }
+    });
 
-        packageCards.forEach(card => {
-            const statusBadge = card.querySelector('.status-badge');
-            statusBadge.textContent = 'Error';
-            statusBadge.className = 'status-badge not-installed';
-        });
-    } finally {
-        bulkRefreshBtn.disabled = false;
+    if (appIds.length === 0) {
+        addLogEntry(`No outdated ${manager.label} packages to upgrade`, 'INFO');
+        return summary;
     }
+
+    return runPackageBatch(manager, 'upgrade', appIds, summary);
 }
 
 /**
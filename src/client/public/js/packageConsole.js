@@ -0,0 +1,270 @@
+/**
+ * Package Console
+ * Collapsible drawer on each package card with the installer output of the
+ * package's latest operation. The stdout and stderr lines of winget/choco
+ * arrive live through the job's event stream (/api/jobs/{id}/events) and stay
+ * viewable after the operation finished, so a hanging or failing installer
+ * can be inspected.
+ */
+const packageConsoles = new Map();  // "manager:appId" -> { jobId, action, state, lines, open, source }
+
+/**
+ * Gets the console record of a package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @returns {Object|undefined}
+ */
+function getPackageConsole(managerName, appId) {
+    return packageConsoles.get(`${managerName}:${appId}`);
+}
+
+/**
+ * Builds the console drawer of a package card
+ * It stays hidden until the package has had an operation.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @returns {string} Drawer markup
+ */
+function packageConsoleMarkup(managerName, appId) {
+    return `
+        <div class="package-console" style="display: none;">
+            <button type="button" class="package-console-toggle" onclick="togglePackageConsole('${managerName}', '${appId}')">
+                <span class="package-console-arrow">▸</span> Installer output
+                <span class="package-console-summary"></span>
+            </button>
+            <div class="package-console-body" style="display: none;">
+                <div class="package-console-output"></div>
+                <div class="package-console-actions">
+                    <button type="button" class="package-console-copy" onclick="copyPackageConsole('${managerName}', '${appId}')">Copy</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Starts a new console for a package operation, replacing the previous one
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {number} jobId - The server job id
+ * @param {string} action - install, uninstall or upgrade
+ * @param {boolean} remote - The job was started in another window, so this
+ *   window follows its event stream itself while the drawer is open
+ */
+function startPackageConsole(managerName, appId, jobId, action, remote = false) {
+    const previous = getPackageConsole(managerName, appId);
+    if (previous) {
+        closePackageConsoleSource(previous);
+    }
+
+    const record = { jobId, action, state: 'running', lines: [], open: Boolean(previous && previous.open), remote, source: null };
+    packageConsoles.set(`${managerName}:${appId}`, record);
+    if (remote && record.open) {
+        followPackageConsole(managerName, appId);
+    }
+    renderPackageConsole(getPackageCard(managerName, appId), record);
+}
+
+/**
+ * Adds an output line to the console of a package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {Object} line - { stream: stdout|stderr, text }
+ */
+function addPackageConsoleLine(managerName, appId, line) {
+    const record = getPackageConsole(managerName, appId);
+    if (!record) return;
+
+    record.lines.push(line);
+    const card = getPackageCard(managerName, appId);
+    if (!card || !record.open) {
+        renderPackageConsoleSummary(card, record);
+        return;
+    }
+
+    const output = card.querySelector('.package-console-output');
+    if (record.lines.length === 1) {
+        output.innerHTML = '';  // Drop the "Waiting for output" line
+    }
+    const atBottom = output.scrollTop + output.clientHeight >= output.scrollHeight - 4;
+    output.appendChild(createPackageConsoleLine(line));
+    if (atBottom) {
+        output.scrollTop = output.scrollHeight;
+    }
+    renderPackageConsoleSummary(card, record);
+}
+
+/**
+ * Marks the console of a package as finished
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {Object} job - The finished job; its output, when included,
+ *   replaces the streamed lines (e.g. after falling back to polling)
+ */
+function finishPackageConsole(managerName, appId, job) {
+    const record = getPackageConsole(managerName, appId);
+    if (!record || (job.id && Number(job.id) !== Number(record.jobId))) return;
+
+    closePackageConsoleSource(record);
+    record.state = job.state || 'completed';
+    if (Array.isArray(job.output)) {
+        record.lines = job.output;
+    }
+    renderPackageConsole(getPackageCard(managerName, appId), record);
+}
+
+/**
+ * Opens or collapses the console drawer of a package
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ */
+function togglePackageConsole(managerName, appId) {
+    const record = getPackageConsole(managerName, appId);
+    if (!record) return;
+
+    record.open = !record.open;
+    if (record.remote) {
+        if (!record.open) {
+            closePackageConsoleSource(record);
+        } else if (record.state === 'running') {
+            followPackageConsole(managerName, appId);
+        } else {
+            loadPackageConsoleOutput(managerName, appId);
+        }
+    }
+
+    const card = getPackageCard(managerName, appId);
+    renderPackageConsole(card, record);
+    if (card && record.open) {
+        const output = card.querySelector('.package-console-output');
+        output.scrollTop = output.scrollHeight;
+    }
+}
+
+/**
+ * Follows the event stream of a job started in another window
+ * The stream starts with the output captured so far, so the lines are
+ * collected again from the beginning.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ */
+function followPackageConsole(managerName, appId) {
+    const record = getPackageConsole(managerName, appId);
+    closePackageConsoleSource(record);
+    record.lines = [];
+
+    const source = new EventSource(apiUrl(`/api/jobs/${record.jobId}/events`));
+    record.source = source;
+    source.addEventListener('output', event => addPackageConsoleLine(managerName, appId, JSON.parse(event.data)));
+    source.addEventListener('complete', event => finishPackageConsole(managerName, appId, JSON.parse(event.data)));
+    source.onerror = () => {
+        // Show what the server kept instead; the operation event reports the end
+        closePackageConsoleSource(record);
+        loadPackageConsoleOutput(managerName, appId);
+    };
+}
+
+/**
+ * Loads the output the server kept for the job of a console
+ * Used for jobs of other windows that were not followed live.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ */
+async function loadPackageConsoleOutput(managerName, appId) {
+    const record = getPackageConsole(managerName, appId);
+    try {
+        const response = await apiFetch(`/api/jobs/${record.jobId}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+        if (getPackageConsole(managerName, appId) === record) {
+            record.lines = data.job.output || [];
+            renderPackageConsole(getPackageCard(managerName, appId), record);
+        }
+    } catch (error) {
+        addLogEntry(`Failed to load the output of job ${record.jobId}: ${error.message}`, 'WARNING');
+    }
+}
+
+/**
+ * Closes the event stream a console follows, if any
+ * @param {Object} record - The console record
+ */
+function closePackageConsoleSource(record) {
+    if (record.source) {
+        record.source.close();
+        record.source = null;
+    }
+}
+
+/**
+ * Creates the element of one output line
+ * @param {Object} line - { stream, text }
+ * @returns {HTMLElement}
+ */
+function createPackageConsoleLine(line) {
+    const element = document.createElement('div');
+    element.className = `package-console-line ${line.stream}`;
+    element.textContent = line.text;
+    return element;
+}
+
+/**
+ * Updates the drawer summary ("install · running · 12 lines")
+ * @param {HTMLElement|null} card - The package card
+ * @param {Object} record - The console record
+ */
+function renderPackageConsoleSummary(card, record) {
+    if (!card) return;
+
+    const errorCount = record.lines.filter(line => line.stream === 'stderr').length;
+    card.querySelector('.package-console-summary').textContent =
+        `${record.action} · ${record.state} · ${record.lines.length} lines${errorCount ? ` (${errorCount} stderr)` : ''}`;
+}
+
+/**
+ * Renders the console drawer of a package card
+ * Also called for new cards, so the output survives a grid refresh.
+ * @param {HTMLElement|null} card - The package card
+ * @param {Object|undefined} record - The console record
+ */
+function renderPackageConsole(card, record) {
+    if (!card || !record) return;
+
+    const drawer = card.querySelector('.package-console');
+    drawer.style.display = 'block';
+    drawer.classList.toggle('running', record.state === 'running');
+    drawer.querySelector('.package-console-arrow').textContent = record.open ? '▾' : '▸';
+    drawer.querySelector('.package-console-body').style.display = record.open ? 'block' : 'none';
+    renderPackageConsoleSummary(card, record);
+
+    const output = drawer.querySelector('.package-console-output');
+    output.innerHTML = '';
+    if (!record.open) return;
+
+    if (record.lines.length === 0) {
+        output.innerHTML = `<div class="package-console-line package-console-empty">${record.state === 'running' ? 'Waiting for output...' : 'The installer printed nothing'}</div>`;
+        return;
+    }
+    const fragment = document.createDocumentFragment();
+    record.lines.forEach(line => fragment.appendChild(createPackageConsoleLine(line)));
+    output.appendChild(fragment);
+}
+
+/**
+ * Copies the output of a package's latest operation to the clipboard
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ */
+async function copyPackageConsole(managerName, appId) {
+    const record = getPackageConsole(managerName, appId);
+    if (!record) return;
+
+    try {
+        await navigator.clipboard.writeText(record.lines.map(line => line.text).join('\n'));
+        addLogEntry(`Copied ${record.lines.length} output lines of ${appId}`, 'SUCCESS');
+    } catch (error) {
+        addLogEntry(`Failed to copy the output of ${appId}: ${error.message}`, 'ERROR');
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Package Discover
+ * Lists software installed on this machine that is missing from the package
+ * lists, so lists can be built from a reference machine. Each manager is
+ * scanned with a single list call; "Add to list" saves the package through
+ * the editor's savePackageListEntry.
+ */
+let discoverManager = 'winget';
+const discoveredPackages = new Map();  // managerName -> discovered packages from the last scan
+
+/**
+ * Renders the Discover tab for the selected manager
+ */
+function initializeDiscoverView() {
+    const selector = document.querySelector('#discover .package-type-selector');
+    if (!selector.querySelector('.selector-btn')) {
+        selector.innerHTML = Array.from(packageManagers.values())
+            .filter(manager => manager.capabilities.discover)
+            .map(manager => `<button class="selector-btn" data-manager="${manager.name}" onclick="switchDiscoverManager('${manager.name}')">${manager.label}</button>`)
+            .join('');
+    }
+    switchDiscoverManager(discoverManager);
+}
+
+/**
+ * Shows the last scan of a manager
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+function switchDiscoverManager(managerName) {
+    discoverManager = managerName;
+    document.querySelectorAll('#discover .selector-btn').forEach(button => {
+        button.classList.toggle('active', button.getAttribute('data-manager') === managerName);
+    });
+    renderDiscoveredPackages();
+}
+
+/**
+ * Asks the server for installed packages of the selected manager that are not in its list
+ */
+async function scanInstalledPackages() {
+    const manager = getPackageManager(discoverManager);
+    const scanBtn = document.querySelector('#discover .discover-scan-btn');
+    const results = document.getElementById('discover-results');
+
+    scanBtn.disabled = true;
+    results.innerHTML = `<div class="no-packages">Listing installed ${manager.label} packages...</div>`;
+    addLogEntry(`Scanning for installed ${manager.label} packages that are not in the list...`, 'INFO');
+
+    try {
+        const response = await apiFetch(manager.endpoints.discover);
+        const packages = manager.parseDiscover(await response.json());
+        discoveredPackages.set(manager.name, packages);
+        addLogEntry(`Found ${packages.length} installed ${manager.label} packages that are not in the list`, 'SUCCESS');
+    } catch (error) {
+        discoveredPackages.delete(manager.name);
+        addLogEntry(`Failed to scan installed ${manager.label} packages: ${error.message}`, 'ERROR');
+        results.innerHTML = '<div class="no-packages"></div>';
+        results.firstChild.textContent = `Scan failed: ${error.message}`;
+        return;
+    } finally {
+        scanBtn.disabled = false;
+    }
+
+    if (manager.name === discoverManager) {
+        renderDiscoveredPackages();
+    }
+}
+
+/**
+ * Renders the discovered packages of the selected manager, filtered by the search box
+ */
+function renderDiscoveredPackages() {
+    const manager = getPackageManager(discoverManager);
+    const results = document.getElementById('discover-results');
+    const packages = discoveredPackages.get(manager.name);
+    const filter = document.getElementById('discover-filter').value.trim().toLowerCase();
+    const onlyAdoptable = document.getElementById('discover-adoptable-only').checked;
+
+    if (!packages) {
+        results.innerHTML = `<div class="no-packages">Scan to list installed ${manager.label} packages that are not in the list</div>`;
+        return;
+    }
+
+    const visible = packages.filter(pkg => (!onlyAdoptable || pkg.adoptable) &&
+        (!filter || pkg.name.toLowerCase().includes(filter) || pkg.appId.toLowerCase().includes(filter)));
+
+    if (visible.length === 0) {
+        results.innerHTML = `<div class="no-packages">${packages.length === 0 ? `Every installed ${manager.label} package is in the list` : 'No packages match the filter'}</div>`;
+        return;
+    }
+
+    results.innerHTML = `
+        <div class="discover-count">${visible.length} of ${packages.length} unmanaged packages</div>
+        <table class="discover-table">
+            <thead>
+                <tr><th>Name</th><th>Package ID</th><th>Version</th><th>Source</th><th></th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+
+    // Names, ids and sources come from winget/choco output, so the rows are built as text
+    const tbody = results.querySelector('tbody');
+    visible.forEach(pkg => {
+        const row = tbody.insertRow();
+        row.className = pkg.adoptable ? '' : 'not-adoptable';
+        row.insertCell().textContent = pkg.name;
+        const idCell = row.insertCell();
+        idCell.className = 'package-id';
+        idCell.textContent = pkg.appId;
+        row.insertCell().textContent = pkg.version || '';
+        row.insertCell().textContent = pkg.source || '—';
+
+        const button = document.createElement('button');
+        button.className = 'discover-add-btn';
+        button.textContent = 'Add to list';
+        button.dataset.appId = pkg.appId;
+        if (!pkg.adoptable) {
+            button.disabled = true;
+            button.title = 'Not available from a package source, so it cannot be installed by id';
+        }
+        button.addEventListener('click', () => adoptPackage(manager.name, button.dataset.appId, button));
+        row.insertCell().appendChild(button);
+    });
+}
+
+/**
+ * Adds a discovered package to its manager's package list
+ * The description is taken from the package source when it has one.
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {string} appId - The package identifier
+ * @param {HTMLButtonElement} button - The clicked "Add to list" button
+ */
+async function adoptPackage(managerName, appId, button) {
+    const manager = getPackageManager(managerName);
+    const discovered = (discoveredPackages.get(manager.name) || []).find(pkg => pkg.appId === appId);
+    if (!discovered) return;
+
+    button.disabled = true;
+    button.textContent = 'Adding...';
+
+    try {
+        const entry = {
+            app_id: discovered.appId,
+            app_name: discovered.name,
+            app_desc: `Installed on the reference machine (${discovered.version || 'unknown version'})`
+        };
+
+        if (manager.capabilities.search) {
+            try {
+                const infoResponse = await apiFetch(manager.endpoints.packageInfo, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ appId })
+                });
+                const info = await infoResponse.json();
+                if (info.success && info.package) {
+                    entry.app_name = info.package.name || entry.app_name;
+                    entry.app_desc = info.package.description || entry.app_desc;
+                }
+            } catch (error) {
+                addLogEntry(`Failed to load details for ${appId}: ${error.message}`, 'WARNING');
+            }
+        }
+
+        // Adding one entry leaves changes made elsewhere alone; the server refuses ids already in the list
+        await savePackageListEntry('add', { package: entry }, manager.name);
+        addLogEntry(`Added ${appId} to the ${manager.label} package list`, 'SUCCESS');
+
+        discoveredPackages.set(manager.name, discoveredPackages.get(manager.name).filter(pkg => pkg.appId !== appId));
+        renderDiscoveredPackages();
+    } catch (error) {
+        const reason = error.validationErrors ? error.validationErrors.map(item => item.message).join('; ') : error.message;
+        addLogEntry(`Failed to add ${appId} to the ${manager.label} package list: ${reason}`, 'ERROR');
+        button.disabled = false;
+        button.textContent = 'Add to list';
+    }
+}
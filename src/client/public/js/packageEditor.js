@@ -1,5 +1,11 @@
 let currentPackageType = 'winget';
+let currentPackages = [];
+let currentListETag = null;  // Entity tag of the list as loaded; saves based on an older list are refused
 let editingPackageId = null;
+let importPlan = null;
+let packageSearchResults = [];
+let acknowledgedWarnings = null;
+let listConflictResolver = null;
 
 // Load packages when the editor tab is opened
 function loadPackageEditor() {
@@ -11,10 +17,11 @@ async function switchPackageType(type) {
     currentPackageType = type;
     
     // Update button states
-    document.querySelectorAll('.selector-btn').forEach(btn => {
+    document.querySelectorAll('#package-editor .selector-btn').forEach(btn => {
         btn.classList.remove('active');
     });
     document.querySelector(`[onclick="switchPackageType('${type}')"]`).classList.add('active');
+    populateFormatSelect(document.getElementById('export-format'));
     
     // Load packages
     await loadPackages();
@@ -24,7 +31,7 @@ async function switchPackageType(type) {
 async function loadPackages() {
     try {
         addLogEntry(`Loading ${currentPackageType} packages...`, 'INFO');
-        const response = await fetch(`/api/${currentPackageType}/packages-list`, {
+        const response = await apiFetch(`/api/${currentPackageType}/packages-list`, {
             method: 'GET',
             headers: {
                 'Accept': 'application/json'
@@ -44,6 +51,8 @@ async function loadPackages() {
 
         if (data.success && Array.isArray(data.packages)) {
             addLogEntry(`Successfully loaded ${data.packages.length} ${currentPackageType} packages`, 'SUCCESS');
+            currentPackages = data.packages;
+            currentListETag = data.etag || null;
             displayPackages(data.packages);
         } else {
             throw new Error(data.error || 'Invalid package data format');
@@ -51,6 +60,8 @@ async function loadPackages() {
     } catch (error) {
         console.error('Error loading packages:', error);
         addLogEntry(`Failed to load ${currentPackageType} packages: ${error.message}`, 'ERROR');
+        currentPackages = [];
+        currentListETag = null;
         displayPackages([]);
     }
 }
@@ -62,12 +73,14 @@ function displayPackages(packages) {
     
     if (!packages || packages.length === 0) {
         grid.innerHTML = '<div class="no-packages">No packages found</div>';
+        applyPackageFilters('package-editor-grid');
         return;
     }
     
     packages.forEach(pkg => {
         const card = document.createElement('div');
         card.className = 'package-editor-card';
+        setPackageFilterAttributes(card, pkg);
         card.innerHTML = `
             <div class="card-header">
                 <h3 class="card-title">${pkg.app_name}</h3>
@@ -77,10 +90,15 @@ function displayPackages(packages) {
                 </div>
             </div>
             <div class="package-id">${pkg.app_id}</div>
+            <div class="package-version">Version: ${pkg.version || 'latest'}${pkg.pinned ? ' (pinned)' : ''}${pkg.ensure === 'absent' ? ' · Sync removes it' : ''}</div>
             <div class="card-content">${pkg.app_desc}</div>
+            ${packageTagsMarkup(pkg)}
         `;
+        renderPackageTags(card, pkg);
         grid.appendChild(card);
     });
+    
+    applyPackageFilters('package-editor-grid');
 }
 
 // Show the add/edit package modal
@@ -91,9 +109,26 @@ function showAddPackageModal(isEdit = false) {
     title.textContent = isEdit ? 'Edit Package' : 'Add New Package';
     modal.style.display = 'block';
     
+    // Source search is only offered when adding a package
+    resetPackageSearch();
+    clearFormErrors();
+    acknowledgedWarnings = null;
+    document.getElementById('package-search').style.display = isEdit ? 'none' : 'block';
+    
+    // Offer the categories already used in this list
+    const categories = new Set(currentPackages.map(pkg => pkg.category).filter(Boolean));
+    const categoryOptions = document.getElementById('category-options');
+    categoryOptions.innerHTML = '';
+    Array.from(categories).sort().forEach(category => {
+        const option = document.createElement('option');
+        option.value = category;
+        categoryOptions.appendChild(option);
+    });
+    
     if (!isEdit) {
         document.getElementById('package-form').reset();
         editingPackageId = null;
+        document.getElementById('package-search-query').focus();
     }
 }
 
@@ -101,23 +136,227 @@ function showAddPackageModal(isEdit = false) {
 function closeModal() {
     document.getElementById('package-modal').style.display = 'none';
     document.getElementById('package-form').reset();
+    resetPackageSearch();
+    clearFormErrors();
     editingPackageId = null;
 }
 
-// Edit an existing package
-async function editPackage(appId) {
+// Remove inline errors and messages from the package form
+function clearFormErrors() {
+    ['app_id', 'app_name', 'app_desc'].forEach(field => {
+        document.getElementById(field).classList.remove('invalid');
+        const errorElement = document.getElementById(`${field}-error`);
+        errorElement.textContent = '';
+        errorElement.style.display = 'none';
+    });
+    showFormMessage('');
+}
+
+// Show an inline error under a package form field
+function showFieldError(field, message) {
+    document.getElementById(field).classList.add('invalid');
+    const errorElement = document.getElementById(`${field}-error`);
+    errorElement.textContent = message;
+    errorElement.style.display = 'block';
+}
+
+// Show a message above the package form buttons (type: error or warning)
+function showFormMessage(message, type = 'error') {
+    const messageElement = document.getElementById('package-form-message');
+    messageElement.textContent = message;
+    messageElement.className = message ? `form-message ${type}` : 'form-message';
+}
+
+// Check a package entry against the rest of the list before saving
+// Returns field errors keyed by field name and a list of warnings
+function validatePackage(pkg, otherPackages) {
+    const errors = {};
+    const warnings = [];
+    
+    ['app_id', 'app_name', 'app_desc'].forEach(field => {
+        if (!pkg[field]) {
+            errors[field] = 'This field is required';
+        }
+    });
+    
+    if (pkg.app_id && /\s/.test(pkg.app_id)) {
+        errors.app_id = 'Package ID must not contain spaces';
+    } else if (pkg.app_id && otherPackages.some(p => p.app_id.toLowerCase() === pkg.app_id.toLowerCase())) {
+        errors.app_id = `${pkg.app_id} is already in the list`;
+    }
+    
+    const sameName = otherPackages.find(p => pkg.app_name && p.app_name.toLowerCase() === pkg.app_name.toLowerCase());
+    if (sameName) {
+        warnings.push(`"${pkg.app_name}" is also the name of ${sameName.app_id}.`);
+    }
+    
+    return { errors, warnings };
+}
+
+// Show validation errors returned by the save endpoint
+// Errors for the entry being edited are shown on its fields, others above the buttons
+function showServerValidationErrors(errors, appId) {
+    const otherErrors = [];
+    errors.forEach(error => {
+        if (error.appId === appId && document.getElementById(`${error.field}-error`)) {
+            showFieldError(error.field, error.message);
+        } else {
+            otherErrors.push(error.message);
+        }
+    });
+    if (otherErrors.length > 0) {
+        showFormMessage(`The package list has other problems: ${otherErrors.join('; ')}`);
+    }
+}
+
+// Clear the source search results in the modal
+function resetPackageSearch() {
+    packageSearchResults = [];
+    document.getElementById('package-search-results').innerHTML = '';
+}
+
+// Search on Enter instead of submitting the package form
+function handleSearchKeydown(event) {
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        searchPackages();
+    }
+}
+
+// Search the selected manager's source for packages
+async function searchPackages() {
+    const manager = getPackageManager(currentPackageType);
+    const query = document.getElementById('package-search-query').value.trim();
+    const resultsContainer = document.getElementById('package-search-results');
+    const searchButton = document.querySelector('#package-search .search-btn');
+    
+    if (!query) {
+        return;
+    }
+    
+    resultsContainer.innerHTML = '<div class="search-message">Searching...</div>';
+    searchButton.disabled = true;
+    
     try {
-        const response = await fetch(`/api/${currentPackageType}/packages-list`);
-        if (!response.ok) {
-            throw new Error('Failed to fetch package list');
+        addLogEntry(`Searching ${manager.label} source for "${query}"...`, 'INFO');
+        const response = await apiFetch(manager.endpoints.search, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ query })
+        });
+        const data = await response.json();
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
         }
+        
+        packageSearchResults = data.results || [];
+        addLogEntry(`Found ${packageSearchResults.length} ${manager.label} packages matching "${query}"`, 'SUCCESS');
+        displaySearchResults();
+    } catch (error) {
+        console.error('Error searching packages:', error);
+        addLogEntry(`Package search failed: ${error.message}`, 'ERROR');
+        resultsContainer.innerHTML = '<div class="search-message"></div>';
+        resultsContainer.firstChild.textContent = `Search failed: ${error.message}`;
+    } finally {
+        searchButton.disabled = false;
+    }
+}
+
+// Display source search results in the modal
+function displaySearchResults() {
+    const resultsContainer = document.getElementById('package-search-results');
+    
+    if (packageSearchResults.length === 0) {
+        resultsContainer.innerHTML = '<div class="search-message">No packages found</div>';
+        return;
+    }
+    
+    // Names, ids and publishers come from the source, so they are set as text
+    resultsContainer.innerHTML = '';
+    packageSearchResults.forEach((result, index) => {
+        const element = document.createElement('div');
+        element.className = 'search-result';
+        element.onclick = () => selectSearchResult(index);
+        
+        const name = document.createElement('div');
+        name.className = 'search-result-name';
+        name.textContent = result.name || result.appId;
+        
+        const meta = document.createElement('div');
+        meta.className = 'search-result-meta';
+        meta.textContent = `${result.appId} · ${result.version || 'unknown version'}${result.publisher ? ` · ${result.publisher}` : ''}`;
+        
+        element.append(name, meta);
+        resultsContainer.appendChild(element);
+    });
+}
+
+// Fill the package form from a search result
+// The description is looked up separately when the search did not return one
+async function selectSearchResult(index) {
+    const manager = getPackageManager(currentPackageType);
+    const result = packageSearchResults[index];
+    if (!result) {
+        return;
+    }
+    
+    document.querySelectorAll('.search-result').forEach((element, i) => {
+        element.classList.toggle('selected', i === index);
+    });
+    
+    document.getElementById('app_id').value = result.appId;
+    document.getElementById('app_name').value = result.name || result.appId;
+    document.getElementById('app_desc').value = result.description || '';
+    
+    if (result.description) {
+        return;
+    }
+    
+    try {
+        const response = await apiFetch(manager.endpoints.packageInfo, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            },
+            body: JSON.stringify({ appId: result.appId })
+        });
         const data = await response.json();
-        const package = data.packages.find(p => p.app_id === appId);
+        
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+        
+        // Only fill in the description if the user has not picked another result meanwhile
+        if (document.getElementById('app_id').value === result.appId) {
+            document.getElementById('app_name').value = data.package.name || document.getElementById('app_name').value;
+            document.getElementById('app_desc').value = data.package.description || '';
+        }
+    } catch (error) {
+        console.error('Error loading package details:', error);
+        addLogEntry(`Failed to load details for ${result.appId}: ${error.message}`, 'WARNING');
+    }
+}
+
+// Edit an existing package
+// The form starts from the list as loaded; saving refuses the edit if the list changed since
+function editPackage(appId) {
+    try {
+        const package = currentPackages.find(p => p.app_id === appId);
         
         if (package) {
             document.getElementById('app_id').value = package.app_id;
             document.getElementById('app_name').value = package.app_name;
             document.getElementById('app_desc').value = package.app_desc;
+            document.getElementById('app_version').value = package.version || '';
+            document.getElementById('app_pinned').checked = Boolean(package.pinned);
+            document.getElementById('app_ensure').value = package.ensure || 'present';
+            document.getElementById('app_category').value = package.category || '';
+            document.getElementById('app_tags').value = getPackageTags(package).join(', ');
             editingPackageId = appId;
             showAddPackageModal(true);
         } else {
@@ -136,18 +375,10 @@ async function deletePackage(appId) {
     }
     
     try {
-        const response = await fetch(`/api/${currentPackageType}/packages-list`);
-        if (!response.ok) {
-            throw new Error('Failed to fetch package list');
-        }
-        const data = await response.json();
-        
-        if (!data.success || !data.packages) {
-            throw new Error('Invalid package data');
+        const saved = await saveEditorChange('delete', { appId }, `Delete ${appId}`);
+        if (!saved) {
+            return;
         }
-        
-        const updatedPackages = data.packages.filter(p => p.app_id !== appId);
-        await savePackageList(updatedPackages);
         addLogEntry(`Successfully deleted package: ${appId}`, 'SUCCESS');
         await loadPackages();
     } catch (error) {
@@ -160,58 +391,102 @@ async function deletePackage(appId) {
 async function handlePackageSubmit(event) {
     event.preventDefault();
     
+    clearFormErrors();
+    
     const formData = {
-        app_id: document.getElementById('app_id').value,
-        app_name: document.getElementById('app_name').value,
-        app_desc: document.getElementById('app_desc').value
+        app_id: document.getElementById('app_id').value.trim(),
+        app_name: document.getElementById('app_name').value.trim(),
+        app_desc: document.getElementById('app_desc').value.trim()
     };
+
+    // version, pinned, ensure, category and tags are optional; leave them out of the list when unset
+    const version = document.getElementById('app_version').value.trim();
+    if (version && version.toLowerCase() !== 'latest') {
+        formData.version = version;
+    }
+    if (document.getElementById('app_pinned').checked) {
+        formData.pinned = true;
+    }
+    if (document.getElementById('app_ensure').value === 'absent') {
+        formData.ensure = 'absent';
+    }
+    const category = document.getElementById('app_category').value.trim();
+    if (category) {
+        formData.category = category;
+    }
+    const tags = parsePackageTags(document.getElementById('app_tags').value);
+    if (tags.length > 0) {
+        formData.tags = tags;
+    }
     
     try {
-        const response = await fetch(`/api/${currentPackageType}/packages-list`);
-        if (!response.ok) {
-            throw new Error('Failed to fetch package list');
+        const validation = validatePackage(formData, currentPackages.filter(p => p.app_id !== editingPackageId));
+        if (Object.keys(validation.errors).length > 0) {
+            Object.entries(validation.errors).forEach(([field, message]) => showFieldError(field, message));
+            return;
         }
-        const data = await response.json();
         
-        if (!data.success || !data.packages) {
-            throw new Error('Invalid package data');
+        // Warnings block the first save only; saving again keeps the entry as is
+        const warningText = validation.warnings.join(' ');
+        if (warningText && acknowledgedWarnings !== warningText) {
+            acknowledgedWarnings = warningText;
+            showFieldError('app_name', 'Duplicate name');
+            showFormMessage(`${warningText} Save again to keep it.`, 'warning');
+            return;
         }
+        acknowledgedWarnings = null;
         
-        let updatedPackages;
-        if (editingPackageId) {
-            // Edit existing package
-            updatedPackages = data.packages.map(p => 
-                p.app_id === editingPackageId ? formData : p
-            );
-        } else {
-            // Add new package
-            updatedPackages = [...data.packages, formData];
+        const saved = editingPackageId
+            ? await saveEditorChange('update', { appId: editingPackageId, package: formData }, `Edit ${editingPackageId}`)
+            : await saveEditorChange('add', { package: formData }, `Add ${formData.app_id}`);
+        if (!saved) {
+            // Not saved after a conflict; the form keeps the entry
+            return;
         }
-        
-        await savePackageList(updatedPackages);
         addLogEntry(`Successfully ${editingPackageId ? 'updated' : 'added'} package: ${formData.app_id}`, 'SUCCESS');
         closeModal();
         await loadPackages();
     } catch (error) {
         console.error('Error saving package:', error);
         addLogEntry(`Failed to save package: ${error.message}`, 'ERROR');
+        if (error.validationErrors) {
+            showServerValidationErrors(error.validationErrors, formData.app_id);
+        } else {
+            showFormMessage(`Failed to save package: ${error.message}`);
+        }
     }
 }
 
-// Save the updated package list to the server
-async function savePackageList(packages) {
+// Save a whole package list to the server
+// packageType defaults to the list shown in the editor; with etag the save is refused
+// (error.conflict) if the list changed since that tag was read
+async function savePackageList(packages, packageType = currentPackageType, etag = null) {
+    return postPackageListChange('/api/save-package-list', { packageType, packages }, packageType, etag);
+}
+
+// Add, update or delete one entry of a package list (action: add, update or delete)
+// payload is { package } for add, { appId, package } for update and { appId } for delete
+async function savePackageListEntry(action, payload, packageType = currentPackageType, etag = null) {
+    return postPackageListChange(`/api/${packageType}/packages-list/${action}`, payload, packageType, etag);
+}
+
+// Post a package list change and return the server response
+// Rejected entries are thrown as error.validationErrors, a refused stale change as error.conflict
+// ({ packages, etag } of the latest list)
+async function postPackageListChange(path, payload, packageType, etag) {
     try {
-        addLogEntry(`Saving ${currentPackageType} package list...`, 'INFO');
-        const response = await fetch('/api/save-package-list', {
+        addLogEntry(`Saving ${packageType} package list...`, 'INFO');
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        if (etag) {
+            headers['If-Match'] = etag;
+        }
+        const response = await apiFetch(path, {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json'
-            },
-            body: JSON.stringify({
-                packageType: currentPackageType,
-                packages: packages
-            })
+            headers,
+            body: JSON.stringify(payload)
         });
         
         let data;
@@ -221,19 +496,300 @@ async function savePackageList(packages) {
             throw new Error('Failed to parse server response as JSON');
         }
         
-        if (!response.ok) {
-            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
-        }
-        
-        if (!data.success) {
-            throw new Error(data.error || 'Failed to save package list');
+        if (!response.ok || !data.success) {
+            const error = new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+            if (response.status === 409) {
+                error.conflict = data;
+            }
+            if (Array.isArray(data.errors)) {
+                error.validationErrors = data.errors;
+                data.errors.forEach(validationError => addLogEntry(`  ${validationError.message}`, 'ERROR'));
+            }
+            throw error;
         }
         
-        addLogEntry(`Successfully saved ${currentPackageType} package list`, 'SUCCESS');
+        (data.warnings || []).forEach(warning => addLogEntry(warning.message, 'WARNING'));
+        addLogEntry(`Successfully saved ${packageType} package list`, 'SUCCESS');
+        return data;
     } catch (error) {
         const errorMessage = `Failed to save package list: ${error.message}`;
         console.error(errorMessage);
-        addLogEntry(errorMessage, 'ERROR');
+        addLogEntry(errorMessage, error.conflict ? 'WARNING' : 'ERROR');
         throw error;
     }
-} 
\ No newline at end of file
+}
+
+// Save a change made in the editor against the list it was based on
+// If the list was changed elsewhere in the meantime, the user applies the change to the latest
+// list, reloads the list or cancels. Returns the server response, or null when nothing was saved
+async function saveEditorChange(action, payload, description) {
+    let etag = currentListETag;
+    let basePackages = currentPackages;
+    for (;;) {
+        try {
+            return await savePackageListEntry(action, payload, currentPackageType, etag);
+        } catch (error) {
+            if (!error.conflict) {
+                throw error;
+            }
+            
+            const choice = await showListConflict(basePackages, error.conflict.packages || [], description, payload.appId || payload.package.app_id);
+            if (choice === 'reload') {
+                await loadPackages();
+            }
+            if (choice !== 'apply') {
+                addLogEntry(`${description} was not saved because the ${currentPackageType} package list changed`, 'WARNING');
+                return null;
+            }
+            etag = error.conflict.etag;
+            basePackages = error.conflict.packages || [];
+        }
+    }
+}
+
+// Show what changed in the list since it was loaded and ask how to go on
+// Resolves with apply, reload or cancel
+function showListConflict(basePackages, latestPackages, description, appId) {
+    const manager = getPackageManager(currentPackageType);
+    const changes = diffPackageLists(basePackages, latestPackages);
+    const sameEntry = changes.find(item => item.appId.toLowerCase() === appId.toLowerCase());
+    
+    document.getElementById('list-conflict-summary').textContent =
+        `The ${manager.label} package list was changed in another window since you loaded it, so "${description}" was not saved.` +
+        (sameEntry ? ` ${sameEntry.appId} itself was ${sameEntry.change} there; applying your change overrides that.` : '');
+    const conflictChanges = document.getElementById('list-conflict-changes');
+    if (changes.length === 0) {
+        conflictChanges.innerHTML = '<div class="no-packages">The entries are the same; only the file changed</div>';
+    } else {
+        conflictChanges.innerHTML = '';
+        conflictChanges.appendChild(renderPackageListChanges(changes));
+    }
+    document.getElementById('list-conflict-modal').style.display = 'block';
+    
+    return new Promise(resolve => {
+        listConflictResolver = resolve;
+    });
+}
+
+// Close the conflict prompt with the user's choice (apply, reload or cancel)
+function resolveListConflict(choice) {
+    document.getElementById('list-conflict-modal').style.display = 'none';
+    if (listConflictResolver) {
+        listConflictResolver(choice);
+        listConflictResolver = null;
+    }
+}
+
+// Fill a format dropdown with the list formats available for the current package type
+function populateFormatSelect(select, includeAuto = false) {
+    const formats = getPackageListFormatsFor(currentPackageType);
+    select.innerHTML = (includeAuto ? '<option value="auto">Auto-detect</option>' : '') +
+        formats.map(format => `<option value="${format.id}">${format.label}</option>`).join('');
+}
+
+// Download the current package list in the selected format
+function exportPackageList() {
+    const format = getPackageListFormat(document.getElementById('export-format').value);
+    const content = format.serialize(currentPackages);
+    const fileName = format.id === 'packages-config' ? 'packages.config' : `${currentPackageType}_packages.${format.extension}`;
+    
+    const blob = new Blob([content], { type: format.mimeType });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+    addLogEntry(`Exported ${currentPackages.length} ${currentPackageType} packages as ${format.label}`, 'SUCCESS');
+}
+
+// Show the import modal
+function showImportModal() {
+    const manager = getPackageManager(currentPackageType);
+    document.getElementById('import-modal-title').textContent = `Import ${manager.label} Packages`;
+    document.getElementById('import-file').value = '';
+    document.getElementById('import-text').value = '';
+    populateFormatSelect(document.getElementById('import-format'), true);
+    resetImportPreview();
+    document.getElementById('import-modal').style.display = 'block';
+}
+
+// Close the import modal
+function closeImportModal() {
+    document.getElementById('import-modal').style.display = 'none';
+    resetImportPreview();
+}
+
+// Clear the import preview and disable the import button
+function resetImportPreview() {
+    importPlan = null;
+    document.getElementById('import-preview').innerHTML = '';
+    document.getElementById('import-message').className = 'form-message';
+    document.getElementById('import-confirm-btn').disabled = true;
+}
+
+// Show a message in the import modal (type: error or warning)
+function showImportMessage(message, type = 'error') {
+    const messageElement = document.getElementById('import-message');
+    messageElement.textContent = message;
+    messageElement.className = message ? `form-message ${type}` : 'form-message';
+}
+
+// Load the chosen file into the import text box and preview it
+async function handleImportFile(event) {
+    const file = event.target.files[0];
+    if (!file) {
+        return;
+    }
+    
+    try {
+        document.getElementById('import-text').value = await file.text();
+        previewImport();
+    } catch (error) {
+        console.error('Error reading import file:', error);
+        showImportMessage(`Failed to read ${file.name}: ${error.message}`);
+    }
+}
+
+// Parse the import text and show what the import would change
+// Each imported id is marked as new, already in the list or repeated in the file
+function previewImport() {
+    resetImportPreview();
+    
+    const text = document.getElementById('import-text').value;
+    if (!text.trim()) {
+        return;
+    }
+    
+    const formatId = document.getElementById('import-format').value;
+    const format = formatId === 'auto' ? detectPackageListFormat(text) : getPackageListFormat(formatId);
+    const mode = document.querySelector('input[name="import-mode"]:checked').value;
+    
+    let entries;
+    try {
+        entries = format.parse(text);
+    } catch (error) {
+        showImportMessage(`Could not read the list as ${format.label}: ${error.message}`);
+        return;
+    }
+    
+    const existing = new Map(currentPackages.map(pkg => [pkg.app_id.toLowerCase(), pkg]));
+    const seen = new Set();
+    const rows = [];
+    const imported = [];
+    let skippedCount = 0;
+    
+    entries.forEach(entry => {
+        const appId = String(entry.app_id || '').trim();
+        if (!appId) {
+            skippedCount++;
+            return;
+        }
+        
+        const key = appId.toLowerCase();
+        const pkg = {
+            app_id: appId,
+            app_name: entry.app_name || appId,
+            app_desc: entry.app_desc || `Imported from ${format.label}`
+        };
+        if (entry.version) {
+            pkg.version = entry.version;
+        }
+        if (entry.pinned) {
+            pkg.pinned = true;
+        }
+        
+        let status = 'new';
+        if (seen.has(key)) {
+            status = 'duplicate';
+        } else if (existing.has(key)) {
+            status = 'existing';
+            // Keep the name and description already in the list
+            imported.push(existing.get(key));
+        } else {
+            imported.push(pkg);
+        }
+        seen.add(key);
+        rows.push({ pkg, status });
+    });
+    
+    const newPackages = imported.filter(pkg => !existing.has(pkg.app_id.toLowerCase()));
+    const packages = mode === 'replace' ? imported : [...currentPackages, ...newPackages];
+    const removedCount = mode === 'replace' ? currentPackages.length - (imported.length - newPackages.length) : 0;
+    const statusLabels = {
+        new: 'New',
+        existing: 'Already in list',
+        duplicate: 'Repeated in file'
+    };
+    const counts = rows.reduce((acc, row) => {
+        acc[row.status] = (acc[row.status] || 0) + 1;
+        return acc;
+    }, {});
+    
+    document.getElementById('import-preview').innerHTML = `
+        <div class="import-summary">
+            ${format.label}: ${counts.new || 0} new, ${counts.existing || 0} already in the list, ${counts.duplicate || 0} repeated in the file${skippedCount ? `, ${skippedCount} without an id` : ''}.
+            ${mode === 'replace' ? `${removedCount} packages not in the file will be removed.` : ''}
+        </div>
+        <table class="import-table">
+            <thead>
+                <tr><th>Package ID</th><th>Name</th><th>Version</th><th>Status</th></tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+    
+    // The rows come from the imported file, so they are set as text
+    const tbody = document.querySelector('#import-preview tbody');
+    rows.forEach(row => {
+        const tr = tbody.insertRow();
+        tr.className = row.status;
+        const idCell = tr.insertCell();
+        idCell.className = 'package-id';
+        idCell.textContent = row.pkg.app_id;
+        tr.insertCell().textContent = row.pkg.app_name;
+        tr.insertCell().textContent = row.pkg.version || 'latest';
+        tr.insertCell().textContent = statusLabels[row.status];
+    });
+    
+    if (newPackages.length === 0 && removedCount === 0) {
+        showImportMessage('Nothing to import: every package is already in the list.', 'warning');
+        return;
+    }
+    
+    importPlan = { packages, addedCount: newPackages.length, removedCount };
+    document.getElementById('import-confirm-btn').disabled = false;
+}
+
+// Save the previewed import through the package list endpoint
+async function confirmImport() {
+    if (!importPlan) {
+        return;
+    }
+    
+    const confirmButton = document.getElementById('import-confirm-btn');
+    confirmButton.disabled = true;
+    showImportMessage('Saving... new package ids are checked against the source, which can take a while.', 'warning');
+    
+    try {
+        await savePackageList(importPlan.packages, currentPackageType, currentListETag);
+        addLogEntry(`Imported ${importPlan.addedCount} ${currentPackageType} packages${importPlan.removedCount ? ` and removed ${importPlan.removedCount}` : ''}`, 'SUCCESS');
+        closeImportModal();
+        await loadPackages();
+    } catch (error) {
+        console.error('Error importing packages:', error);
+        if (error.conflict) {
+            // Preview again on top of the latest list, so nothing saved elsewhere is lost
+            await loadPackages();
+            previewImport();
+            showImportMessage('The package list was changed in another window since it was loaded. The preview now uses the latest list; check it and import again.', 'warning');
+            return;
+        }
+        const details = error.validationErrors ? `: ${error.validationErrors.map(e => e.message).join('; ')}` : '';
+        showImportMessage(`Import failed - ${error.message}${details}`);
+        confirmButton.disabled = false;
+    }
+}
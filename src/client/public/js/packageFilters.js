@@ -0,0 +1,326 @@
+/**
+ * Package Filters
+ * Search, tag chips, status filter, sorting and group-by-category for the
+ * package grids. Each grid has a `.package-filter-bar[data-grid]` toolbar;
+ * cards describe themselves through data-name, data-app-id, data-category
+ * and data-tags ("|"-separated), so the status grids and the editor grid
+ * share this code. Filtering only hides and reorders existing cards.
+ */
+
+// Selected tag chips and collapsed categories per grid id
+const packageFilterState = new Map();
+const packageFilterTimers = new Map();
+
+// Cards are numbered when first filtered, which is their package list order
+let nextPackageCardOrder = 0;
+
+// Order used when sorting by status
+const PACKAGE_STATUS_ORDER = ['error', 'outdated', 'not-installed', 'checking', 'installed'];
+
+const UNCATEGORIZED = 'Uncategorized';
+
+/**
+ * Gets the filter state of a grid
+ * @param {string} gridId - Id of the package grid
+ * @returns {{ tags: Set<string>, collapsed: Set<string> }}
+ */
+function getPackageFilterState(gridId) {
+    if (!packageFilterState.has(gridId)) {
+        packageFilterState.set(gridId, { tags: new Set(), collapsed: new Set() });
+    }
+    return packageFilterState.get(gridId);
+}
+
+/**
+ * Splits a comma separated tag input into unique, trimmed tags
+ * @param {string} text - e.g. "browser, dev"
+ * @returns {string[]}
+ */
+function parsePackageTags(text) {
+    return Array.from(new Set(text.split(',').map(tag => tag.trim()).filter(Boolean)));
+}
+
+/**
+ * Gets the tags of a package list entry
+ * @param {Object} pkg - Package entry
+ * @returns {string[]}
+ */
+function getPackageTags(pkg) {
+    return Array.isArray(pkg.tags) ? pkg.tags : [];
+}
+
+/**
+ * Sets the data attributes a card needs for filtering
+ * @param {HTMLElement} card - The package card
+ * @param {Object} pkg - Package entry
+ */
+function setPackageFilterAttributes(card, pkg) {
+    card.setAttribute('data-app-id', pkg.app_id);
+    card.setAttribute('data-name', pkg.app_name);
+    card.setAttribute('data-category', pkg.category || '');
+    card.setAttribute('data-tags', getPackageTags(pkg).join('|'));
+}
+
+/**
+ * Builds the container of the tag chips shown on a card
+ * The chips are added by renderPackageTags once the card markup is in place.
+ * @param {Object} pkg - Package entry
+ * @returns {string} Container markup, empty without tags
+ */
+function packageTagsMarkup(pkg) {
+    if (!pkg.category && getPackageTags(pkg).length === 0) return '';
+    return '<div class="package-tags"></div>';
+}
+
+/**
+ * Fills the tag chips of a card
+ * Categories and tags are free text from the package list, so they are set as text.
+ * @param {HTMLElement} card - The package card
+ * @param {Object} pkg - Package entry
+ */
+function renderPackageTags(card, pkg) {
+    const container = card.querySelector('.package-tags');
+    if (!container) return;
+
+    const addChip = (className, text) => {
+        const chip = document.createElement('span');
+        chip.className = className;
+        chip.textContent = text;
+        container.appendChild(chip);
+    };
+    if (pkg.category) addChip('package-category', pkg.category);
+    getPackageTags(pkg).forEach(tag => addChip('package-tag', tag));
+}
+
+/**
+ * Works out the status of a status tab card from its badges
+ * @param {HTMLElement} card - The package card
+ * @returns {string|null} installed, not-installed, error, outdated or checking; null for editor cards
+ */
+function getPackageCardStatus(card) {
+    const badge = card.querySelector('.status-badge');
+    if (!badge) return null;
+    if (badge.classList.contains('status-error')) return 'error';
+
+    const updateBadge = card.querySelector('.update-badge');
+    if (updateBadge && updateBadge.style.display !== 'none') return 'outdated';
+    if (badge.classList.contains('installed')) return 'installed';
+    if (badge.classList.contains('not-installed')) return 'not-installed';
+    return 'checking';
+}
+
+/**
+ * Checks a card against the search text, selected tags and status filter
+ * @param {HTMLElement} card - The package card
+ * @param {Object} filters - { search, tags, status }
+ */
+function matchesPackageFilters(card, filters) {
+    const name = (card.getAttribute('data-name') || '').toLowerCase();
+    const appId = (card.getAttribute('data-app-id') || '').toLowerCase();
+    const category = (card.getAttribute('data-category') || '').toLowerCase();
+    const tags = (card.getAttribute('data-tags') || '').split('|').filter(Boolean);
+
+    if (filters.search && !name.includes(filters.search) && !appId.includes(filters.search) &&
+        !category.includes(filters.search) && !tags.some(tag => tag.toLowerCase().includes(filters.search))) {
+        return false;
+    }
+    if (filters.tags.size > 0 && !tags.some(tag => filters.tags.has(tag))) {
+        return false;
+    }
+    if (filters.status && filters.status !== 'all') {
+        const status = getPackageCardStatus(card);
+        // Outdated packages are installed too
+        return status === filters.status || (filters.status === 'installed' && status === 'outdated');
+    }
+    return true;
+}
+
+/**
+ * Compares two cards for the selected sort order
+ * @param {string} sort - list, name, name-desc, id, category or status
+ */
+function comparePackageCards(sort) {
+    const text = (card, attribute) => (card.getAttribute(attribute) || '').toLowerCase();
+    const byName = (a, b) => text(a, 'data-name').localeCompare(text(b, 'data-name'));
+
+    switch (sort) {
+        case 'list':
+            return (a, b) => Number(a.getAttribute('data-order')) - Number(b.getAttribute('data-order'));
+        case 'name':
+            return byName;
+        case 'name-desc':
+            return (a, b) => byName(b, a);
+        case 'id':
+            return (a, b) => text(a, 'data-app-id').localeCompare(text(b, 'data-app-id'));
+        case 'category':
+            // Uncategorized packages go last
+            return (a, b) => {
+                const categoryA = text(a, 'data-category');
+                const categoryB = text(b, 'data-category');
+                return (!categoryA) - (!categoryB) || categoryA.localeCompare(categoryB) || byName(a, b);
+            };
+        case 'status':
+            return (a, b) => PACKAGE_STATUS_ORDER.indexOf(getPackageCardStatus(a)) - PACKAGE_STATUS_ORDER.indexOf(getPackageCardStatus(b)) || byName(a, b);
+        default:
+            return () => 0;
+    }
+}
+
+/**
+ * Filters, sorts and groups the cards of a package grid according to its toolbar
+ * @param {string} gridId - Id of the package grid
+ */
+function applyPackageFilters(gridId) {
+    const grid = document.getElementById(gridId);
+    const bar = document.querySelector(`.package-filter-bar[data-grid="${gridId}"]`);
+    if (!grid || !bar) return;
+
+    const state = getPackageFilterState(gridId);
+    const statusSelect = bar.querySelector('.filter-status');
+    const filters = {
+        search: bar.querySelector('.filter-search').value.trim().toLowerCase(),
+        tags: state.tags,
+        status: statusSelect ? statusSelect.value : 'all'
+    };
+    const groupByCategory = bar.querySelector('.filter-group').checked;
+    const cards = Array.from(grid.querySelectorAll('[data-app-id][data-name]'));
+    cards.forEach(card => {
+        if (!card.hasAttribute('data-order')) {
+            card.setAttribute('data-order', nextPackageCardOrder++);
+        }
+    });
+    cards.sort(comparePackageCards(bar.querySelector('.filter-sort').value));
+
+    renderTagChips(gridId, cards);
+    grid.querySelectorAll('.package-group, .filter-empty').forEach(element => element.remove());
+
+    let visibleCount = 0;
+    cards.forEach(card => {
+        const visible = matchesPackageFilters(card, filters);
+        card.classList.toggle('filtered-out', !visible);
+        if (visible) visibleCount++;
+    });
+
+    if (groupByCategory) {
+        const groups = new Map();
+        cards.forEach(card => {
+            const category = card.getAttribute('data-category') || UNCATEGORIZED;
+            if (!groups.has(category)) groups.set(category, []);
+            groups.get(category).push(card);
+        });
+
+        Array.from(groups.keys())
+            .sort((a, b) => (a === UNCATEGORIZED) - (b === UNCATEGORIZED) || a.localeCompare(b))
+            .forEach(category => {
+                const groupCards = groups.get(category);
+                const visibleInGroup = groupCards.filter(card => !card.classList.contains('filtered-out')).length;
+                const group = document.createElement('div');
+                group.className = `package-group ${state.collapsed.has(category) ? 'collapsed' : ''}`;
+                group.style.display = visibleInGroup > 0 ? '' : 'none';
+                group.innerHTML = `
+                    <button type="button" class="package-group-header">
+                        <span class="package-group-arrow">▾</span>
+                    </button>
+                    <div class="package-group-body"></div>
+                `;
+                const header = group.querySelector('.package-group-header');
+                header.appendChild(document.createTextNode(` ${category} (${visibleInGroup})`));
+                header.addEventListener('click', () => togglePackageGroup(gridId, category));
+                const body = group.querySelector('.package-group-body');
+                groupCards.forEach(card => body.appendChild(card));
+                grid.appendChild(group);
+            });
+    } else {
+        cards.forEach(card => grid.appendChild(card));
+    }
+
+    if (cards.length > 0 && visibleCount === 0) {
+        grid.insertAdjacentHTML('beforeend', '<div class="no-packages filter-empty">No packages match the filters</div>');
+    }
+
+    const count = bar.querySelector('.filter-count');
+    count.textContent = visibleCount < cards.length ? `Showing ${visibleCount} of ${cards.length}` : '';
+}
+
+/**
+ * Re-applies a grid's filters shortly after a card changed
+ * Status updates arrive in bursts during a bulk check, so they are coalesced.
+ * @param {HTMLElement} card - The card whose status changed
+ */
+function schedulePackageFilters(card) {
+    const grid = card.closest('.package-grid, .package-editor-grid');
+    if (!grid) return;
+
+    clearTimeout(packageFilterTimers.get(grid.id));
+    packageFilterTimers.set(grid.id, setTimeout(() => applyPackageFilters(grid.id), 200));
+}
+
+/**
+ * Renders a chip for every tag used in a grid
+ * @param {string} gridId - Id of the package grid
+ * @param {HTMLElement[]} cards - The grid's cards
+ */
+function renderTagChips(gridId, cards) {
+    const bar = document.querySelector(`.package-filter-bar[data-grid="${gridId}"]`);
+    const container = bar.querySelector('.tag-chips');
+    const state = getPackageFilterState(gridId);
+    const tags = new Set();
+    cards.forEach(card => (card.getAttribute('data-tags') || '').split('|').filter(Boolean).forEach(tag => tags.add(tag)));
+
+    // Forget selected tags that no card has anymore
+    Array.from(state.tags).filter(tag => !tags.has(tag)).forEach(tag => state.tags.delete(tag));
+
+    container.innerHTML = '';
+    Array.from(tags).sort((a, b) => a.localeCompare(b)).forEach(tag => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = `tag-chip ${state.tags.has(tag) ? 'active' : ''}`;
+        chip.dataset.tag = tag;
+        chip.textContent = tag;
+        chip.addEventListener('click', () => togglePackageTag(gridId, chip.dataset.tag));
+        container.appendChild(chip);
+    });
+}
+
+/**
+ * Selects or deselects a tag chip
+ * @param {string} gridId - Id of the package grid
+ * @param {string} tag - The tag
+ */
+function togglePackageTag(gridId, tag) {
+    const state = getPackageFilterState(gridId);
+    if (state.tags.has(tag)) {
+        state.tags.delete(tag);
+    } else {
+        state.tags.add(tag);
+    }
+    applyPackageFilters(gridId);
+}
+
+/**
+ * Collapses or expands a category group
+ * @param {string} gridId - Id of the package grid
+ * @param {string} category - The category
+ */
+function togglePackageGroup(gridId, category) {
+    const state = getPackageFilterState(gridId);
+    if (state.collapsed.has(category)) {
+        state.collapsed.delete(category);
+    } else {
+        state.collapsed.add(category);
+    }
+    applyPackageFilters(gridId);
+}
+
+/**
+ * Clears the search, tags and status filter of a grid
+ * @param {string} gridId - Id of the package grid
+ */
+function clearPackageFilters(gridId) {
+    const bar = document.querySelector(`.package-filter-bar[data-grid="${gridId}"]`);
+    bar.querySelector('.filter-search').value = '';
+    const statusSelect = bar.querySelector('.filter-status');
+    if (statusSelect) statusSelect.value = 'all';
+    getPackageFilterState(gridId).tags.clear();
+    applyPackageFilters(gridId);
+}
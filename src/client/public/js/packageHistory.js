@@ -0,0 +1,249 @@
+/**
+ * Package History
+ * Audit trail of installs, uninstalls, upgrades and package list edits. The
+ * server records every event in operation_history.jsonl and pushes new ones
+ * over the live event stream; the History tab filters, searches and exports
+ * them, and queues failed operations again.
+ */
+let historyEvents = null;  // Newest first; null until loaded
+
+// Labels for the action column
+const HISTORY_ACTIONS = {
+    install: 'Install',
+    uninstall: 'Uninstall',
+    upgrade: 'Upgrade',
+    'list-add': 'Added to list',
+    'list-remove': 'Removed from list',
+    'list-update': 'List entry edited'
+};
+
+// Columns of the CSV export, in order
+const HISTORY_EXPORT_FIELDS = ['id', 'timestamp', 'type', 'manager', 'appId', 'action', 'result', 'requestedVersion',
+    'versionBefore', 'versionAfter', 'durationMs', 'exitCode', 'jobId', 'error', 'details'];
+
+/**
+ * Fills the manager filter and shows the history, loading it the first time
+ */
+function initializeHistoryView() {
+    const managerSelect = document.getElementById('history-manager');
+    if (managerSelect.options.length === 1) {
+        packageManagers.forEach(manager => managerSelect.add(new Option(manager.label, manager.name)));
+    }
+
+    if (historyEvents) {
+        renderHistory();
+    } else {
+        loadHistory();
+    }
+}
+
+/**
+ * Loads the recorded history from the server
+ */
+async function loadHistory() {
+    const results = document.getElementById('history-results');
+    results.innerHTML = '<div class="no-packages">Loading history...</div>';
+
+    try {
+        const response = await apiFetch('/api/history');
+        const data = await response.json();
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to load history');
+        }
+        historyEvents = data.events || [];
+        addLogEntry(`Loaded ${historyEvents.length} of ${data.total} history events`, 'DEBUG');
+        renderHistory();
+    } catch (error) {
+        results.innerHTML = '<div class="no-packages"></div>';
+        results.firstChild.textContent = `Failed to load history: ${error.message}`;
+        addLogEntry(`Failed to load history: ${error.message}`, 'ERROR');
+    }
+}
+
+/**
+ * Adds a pushed history event
+ * @param {Object} event - The recorded event
+ */
+function addHistoryEvent(event) {
+    if (!historyEvents) return;
+
+    historyEvents.unshift(event);
+    if (document.getElementById('history').classList.contains('active')) {
+        renderHistory();
+    }
+}
+
+/**
+ * Gets the events that match the History tab filters
+ * @returns {Object[]} Matching events, newest first
+ */
+function getFilteredHistory() {
+    const search = document.getElementById('history-search').value.trim().toLowerCase();
+    const manager = document.getElementById('history-manager').value;
+    const action = document.getElementById('history-action').value;
+    const result = document.getElementById('history-result').value;
+
+    return (historyEvents || []).filter(event =>
+        (manager === 'all' || event.manager === manager) &&
+        (action === 'all' || (action === 'list' ? event.type === 'list' : event.action === action)) &&
+        (result === 'all' || event.result === result) &&
+        (!search || [event.appId, event.error, event.details].some(text => text && String(text).toLowerCase().includes(search))));
+}
+
+/**
+ * Formats how long an operation took
+ * @param {number|null} durationMs - Duration in milliseconds
+ */
+function formatHistoryDuration(durationMs) {
+    if (durationMs === null || durationMs === undefined) return '';
+    if (durationMs < 1000) return `${durationMs} ms`;
+
+    const seconds = Math.round(durationMs / 1000);
+    return seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+}
+
+/**
+ * Formats the version change of an event
+ * @param {Object} event - The recorded event
+ * @returns {string} e.g. "1.2 → 1.3", empty without versions
+ */
+function formatHistoryVersions(event) {
+    if (!event.versionBefore && !event.versionAfter) return '';
+    if (event.versionBefore === event.versionAfter) return event.versionBefore;
+    return `${event.versionBefore || '—'} → ${event.versionAfter || '—'}`;
+}
+
+/**
+ * Checks whether an event is an operation that can be queued again
+ * @param {Object} event - The recorded event
+ */
+function canRerunHistoryEvent(event) {
+    return event.type === 'operation' && event.result !== 'completed' &&
+        packageManagers.has(event.manager) && Boolean(PACKAGE_ACTIONS[event.action]);
+}
+
+/**
+ * Renders the history table for the current filters
+ */
+function renderHistory() {
+    const results = document.getElementById('history-results');
+    const count = document.getElementById('history-count');
+    if (!historyEvents) return;
+
+    const visible = getFilteredHistory();
+    count.textContent = visible.length < historyEvents.length ? `Showing ${visible.length} of ${historyEvents.length}` : '';
+
+    if (visible.length === 0) {
+        results.innerHTML = `<div class="no-packages">${historyEvents.length === 0 ? 'No operations or list edits recorded yet' : 'No events match the filters'}</div>`;
+        return;
+    }
+
+    results.innerHTML = `
+        <table class="discover-table history-table">
+            <thead>
+                <tr>
+                    <th>Time</th><th>Manager</th><th>Package ID</th><th>Action</th><th>Result</th>
+                    <th>Version</th><th>Duration</th><th>Exit code</th><th>Error / details</th><th></th>
+                </tr>
+            </thead>
+            <tbody></tbody>
+        </table>
+    `;
+
+    // Ids, results and installer errors are recorded from the operations, so every cell is set as text
+    const tbody = results.querySelector('tbody');
+    visible.forEach(event => {
+        const row = tbody.insertRow();
+        const addCell = (text, className) => {
+            const cell = row.insertCell();
+            cell.textContent = text;
+            if (className) cell.className = className;
+            return cell;
+        };
+
+        addCell(new Date(event.timestamp).toLocaleString()).title = event.timestamp;
+        addCell(packageManagers.has(event.manager) ? getPackageManager(event.manager).label : event.manager);
+        addCell(event.appId, 'package-id');
+        addCell(HISTORY_ACTIONS[event.action] || event.action);
+        const result = document.createElement('span');
+        result.className = `history-result result-${event.result}`;
+        result.textContent = event.result;
+        row.insertCell().appendChild(result);
+        addCell(formatHistoryVersions(event));
+        addCell(formatHistoryDuration(event.durationMs));
+        addCell(event.exitCode === null || event.exitCode === undefined ? '' : event.exitCode);
+        addCell(event.error || event.details || '', 'history-message');
+
+        const actionCell = row.insertCell();
+        if (canRerunHistoryEvent(event)) {
+            const button = document.createElement('button');
+            button.className = 'discover-add-btn history-rerun-btn';
+            button.textContent = 'Re-run';
+            button.addEventListener('click', () => rerunHistoryEvent(event.id, button));
+            actionCell.appendChild(button);
+        }
+    });
+}
+
+/**
+ * Queues a failed or cancelled operation again
+ * @param {number} eventId - Id of the history event
+ * @param {HTMLButtonElement} button - The clicked Re-run button
+ */
+function rerunHistoryEvent(eventId, button) {
+    const event = historyEvents.find(item => item.id === eventId);
+    if (!event || !canRerunHistoryEvent(event)) return;
+
+    const manager = getPackageManager(event.manager);
+    button.disabled = true;
+    button.textContent = 'Queued';
+    addLogEntry(`Re-running ${event.action} of ${manager.label} package ${event.appId}`, 'INFO');
+
+    // The queue logs the outcome, and the new attempt shows up as its own event
+    queuePackageOperation(manager.name, event.appId, event.action, { version: event.requestedVersion || null })
+        .catch(error => {
+            if (error.message === 'Operation already in progress') {
+                addLogEntry(`An operation for ${event.appId} is already queued`, 'WARNING');
+            }
+        })
+        .finally(() => {
+            button.disabled = false;
+            button.textContent = 'Re-run';
+        });
+}
+
+/**
+ * Downloads the filtered history
+ * @param {string} format - csv or json
+ */
+function exportHistory(format) {
+    const events = getFilteredHistory();
+    if (events.length === 0) {
+        addLogEntry('No history events to export', 'WARNING');
+        return;
+    }
+
+    const csvValue = value => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    const content = format === 'csv'
+        ? [HISTORY_EXPORT_FIELDS.join(','), ...events.map(event => HISTORY_EXPORT_FIELDS.map(field => csvValue(event[field])).join(','))].join('\n')
+        : JSON.stringify(events, null, 2);
+
+    const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+
+    const timestamp = new Date().toISOString().slice(0, 19).replace(/[:]/g, '-');
+    a.href = url;
+    a.download = `package_history_${timestamp}.${format}`;
+    document.body.appendChild(a);
+    a.click();
+
+    window.URL.revokeObjectURL(url);
+    document.body.removeChild(a);
+    addLogEntry(`Exported ${events.length} history events as ${format.toUpperCase()}`, 'SUCCESS');
+}
+
+serverEvents.on('history', addHistoryEvent);
@@ -0,0 +1,187 @@
+/**
+ * Package List Formats
+ * Parsers and serializers for the list formats the Package Lists Editor can
+ * import and export. Every format turns a file into plain entries
+ * ({ app_id, app_name?, app_desc?, version? }) and a package list back into
+ * file text. Formats limited to one manager list it in `managers`.
+ */
+const packageListFormats = [];
+
+/**
+ * Registers a package list format
+ * @param {Object} format - Format definition (see the native format below for the full shape)
+ */
+function registerPackageListFormat(format) {
+    packageListFormats.push(format);
+}
+
+/**
+ * Gets a registered package list format by id
+ * @param {string} id - Format id
+ * @returns {Object} The format
+ */
+function getPackageListFormat(id) {
+    const format = packageListFormats.find(f => f.id === id);
+    if (!format) {
+        throw new Error(`Unknown package list format: ${id}`);
+    }
+    return format;
+}
+
+/**
+ * Gets the formats that can hold packages of a manager
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+function getPackageListFormatsFor(managerName) {
+    return packageListFormats.filter(format => !format.managers || format.managers.includes(managerName));
+}
+
+/**
+ * Finds the format of a file from its content
+ * Formats are tried in registration order; plain text accepts anything.
+ * @param {string} text - File content
+ * @returns {Object} The detected format
+ */
+function detectPackageListFormat(text) {
+    return packageListFormats.find(format => format.detect(text));
+}
+
+/**
+ * Parses JSON without throwing
+ * @param {string} text - JSON text
+ * @returns {*} The parsed value, or null when the text is not JSON
+ */
+function tryParseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+registerPackageListFormat({
+    id: 'native',
+    label: 'Twin Tool JSON',
+    extension: 'json',
+    mimeType: 'application/json',
+
+    // { packages: [{ app_id, app_name, app_desc, version?, pinned? }] }
+    detect(text) {
+        const data = tryParseJson(text);
+        return Boolean(data) && Array.isArray(data.packages);
+    },
+
+    parse(text) {
+        const data = tryParseJson(text);
+        if (!data || !Array.isArray(data.packages)) {
+            throw new Error('Expected a JSON object with a "packages" array');
+        }
+        return data.packages;
+    },
+
+    serialize(packages) {
+        return JSON.stringify({ packages }, null, 4);
+    }
+});
+
+registerPackageListFormat({
+    id: 'winget-export',
+    label: 'winget export (JSON)',
+    extension: 'json',
+    mimeType: 'application/json',
+    managers: ['winget'],
+
+    // { Sources: [{ Packages: [{ PackageIdentifier, Version? }], SourceDetails }] }
+    detect(text) {
+        const data = tryParseJson(text);
+        return Boolean(data) && Array.isArray(data.Sources);
+    },
+
+    parse(text) {
+        const data = tryParseJson(text);
+        if (!data || !Array.isArray(data.Sources)) {
+            throw new Error('Expected a winget export file with a "Sources" array');
+        }
+        return data.Sources.flatMap(source => (source.Packages || []).map(pkg => ({
+            app_id: pkg.PackageIdentifier,
+            version: pkg.Version
+        })));
+    },
+
+    serialize(packages) {
+        return JSON.stringify({
+            $schema: 'https://aka.ms/winget-packages.schema.2.0.json',
+            CreationDate: new Date().toISOString(),
+            Sources: [{
+                Packages: packages.map(pkg => (pkg.version
+                    ? { PackageIdentifier: pkg.app_id, Version: pkg.version }
+                    : { PackageIdentifier: pkg.app_id })),
+                SourceDetails: {
+                    Argument: 'https://cdn.winget.microsoft.com/cache',
+                    Identifier: 'Microsoft.Winget.Source_8wekyb3d8bbwe',
+                    Name: 'winget',
+                    Type: 'Microsoft.PreIndexed.Package'
+                }
+            }]
+        }, null, 4);
+    }
+});
+
+registerPackageListFormat({
+    id: 'packages-config',
+    label: 'Chocolatey packages.config',
+    extension: 'config',
+    mimeType: 'application/xml',
+    managers: ['choco'],
+
+    // <packages><package id="..." version="..." /></packages>
+    detect(text) {
+        return /<packages[\s>]/.test(text);
+    },
+
+    parse(text) {
+        const xml = new DOMParser().parseFromString(text, 'application/xml');
+        if (xml.querySelector('parsererror')) {
+            throw new Error('The packages.config file is not valid XML');
+        }
+        return Array.from(xml.getElementsByTagName('package')).map(element => ({
+            app_id: element.getAttribute('id'),
+            version: element.getAttribute('version') || undefined
+        }));
+    },
+
+    serialize(packages) {
+        const escapeAttribute = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+        const lines = packages.map(pkg =>
+            `  <package id="${escapeAttribute(pkg.app_id)}"${pkg.version ? ` version="${escapeAttribute(pkg.version)}"` : ''} />`
+        );
+        return `<?xml version="1.0" encoding="utf-8"?>\n<packages>\n${lines.join('\n')}\n</packages>\n`;
+    }
+});
+
+registerPackageListFormat({
+    id: 'text',
+    label: 'Plain text (one id per line)',
+    extension: 'txt',
+    mimeType: 'text/plain',
+
+    // One id per line; blank lines and lines starting with # are ignored
+    detect() {
+        return true;
+    },
+
+    parse(text) {
+        return text.split(/\r?\n/)
+            .map(line => line.trim())
+            .filter(line => line && !line.startsWith('#'))
+            .map(line => ({ app_id: line.split(/\s+/)[0] }));
+    },
+
+    serialize(packages) {
+        return `${packages.map(pkg => pkg.app_id).join('\n')}\n`;
+    }
+});
@@ -0,0 +1,286 @@
+/**
+ * Package List Revisions
+ * Every save of a package list is kept by the server as a numbered revision.
+ * The History button of the Package Lists Editor lists the revisions of the
+ * list being edited, shows what changed between any two of them and restores
+ * a chosen revision in one step (which is saved as a new revision).
+ */
+let listRevisions = [];          // { revision, savedAt, note, count }, newest first
+let selectedListRevision = null;
+const listRevisionEntries = new Map();  // "manager:revision" -> entries; revisions never change
+
+/**
+ * Opens the list history of the list shown in the editor
+ */
+async function showListHistoryModal() {
+    const manager = getPackageManager(currentPackageType);
+    document.getElementById('list-history-title').textContent = `${manager.label} List History`;
+    document.getElementById('list-history-modal').style.display = 'block';
+    document.getElementById('revision-diff').innerHTML = '<div class="no-packages">Loading revisions...</div>';
+    showListHistoryMessage('');
+
+    await loadListRevisions();
+    selectListRevision(listRevisions.length > 0 ? listRevisions[0].revision : null);
+}
+
+/**
+ * Closes the list history
+ */
+function closeListHistoryModal() {
+    document.getElementById('list-history-modal').style.display = 'none';
+    selectedListRevision = null;
+}
+
+/**
+ * Shows a message in the list history
+ * @param {string} message - Message text; empty hides the message
+ * @param {string} type - error, warning or success
+ */
+function showListHistoryMessage(message, type = 'error') {
+    const container = document.getElementById('list-history-message');
+    container.textContent = message;
+    container.className = message ? `form-message ${type}` : 'form-message';
+}
+
+/**
+ * Loads the revisions of the list shown in the editor
+ */
+async function loadListRevisions() {
+    const manager = getPackageManager(currentPackageType);
+    try {
+        const response = await apiFetch(`/api/${manager.name}/list-revisions`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+        listRevisions = data.revisions || [];
+    } catch (error) {
+        listRevisions = [];
+        showListHistoryMessage(`Failed to load revisions: ${error.message}`);
+        addLogEntry(`Failed to load ${manager.label} list revisions: ${error.message}`, 'ERROR');
+    }
+    renderListRevisions();
+}
+
+/**
+ * Gets the entries of a revision
+ * @param {number} revision - Revision number
+ * @returns {Promise<Object[]>} Package entries
+ */
+async function fetchListRevision(revision) {
+    const key = `${currentPackageType}:${revision}`;
+    if (!listRevisionEntries.has(key)) {
+        const response = await apiFetch(`/api/${currentPackageType}/list-revisions/${revision}`);
+        const data = await response.json();
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+        listRevisionEntries.set(key, data.packages || []);
+    }
+    return listRevisionEntries.get(key);
+}
+
+/**
+ * Renders the revisions on the left of the list history
+ */
+function renderListRevisions() {
+    const list = document.getElementById('revision-list');
+    list.innerHTML = listRevisions.length === 0
+        ? '<div class="no-packages">No revisions yet; every save of the list adds one</div>'
+        : listRevisions.map(item => `
+            <button type="button" class="profile-list-item ${item.revision === selectedListRevision ? 'active' : ''}" onclick="selectListRevision(${item.revision})">
+                <strong>Revision ${item.revision}${item === listRevisions[0] ? ' (current)' : ''}</strong>
+                <span>${new Date(item.savedAt).toLocaleString()}</span>
+                <span class="revision-note"></span>
+            </button>
+        `).join('');
+    // Notes name the added or removed package ids, so they are set as text
+    list.querySelectorAll('.revision-note').forEach((note, index) => {
+        note.textContent = `${listRevisions[index].note} · ${listRevisions[index].count} packages`;
+    });
+
+    const compare = document.getElementById('revision-compare');
+    compare.innerHTML = listRevisions.map(item =>
+        `<option value="${item.revision}">Revision ${item.revision} (${new Date(item.savedAt).toLocaleString()})</option>`).join('');
+}
+
+/**
+ * Selects a revision and compares it with the one before it
+ * @param {number|null} revision - Revision number
+ */
+function selectListRevision(revision) {
+    selectedListRevision = revision;
+    renderListRevisions();
+
+    const index = listRevisions.findIndex(item => item.revision === revision);
+    const previous = listRevisions[index + 1];
+    const compare = document.getElementById('revision-compare');
+    compare.value = previous ? previous.revision : revision;
+    compare.disabled = revision === null;
+    document.getElementById('revision-restore-btn').disabled = revision === null || index === 0;
+
+    renderRevisionDiff();
+}
+
+/**
+ * Compares two package lists by package id
+ * @param {Object[]} before - Entries of the older list
+ * @param {Object[]} after - Entries of the newer list
+ * @returns {Object[]} [{ appId, name, change: added|removed|changed, fields: [{ field, before, after }] }]
+ */
+function diffPackageLists(before, after) {
+    const previous = new Map(before.map(pkg => [pkg.app_id.toLowerCase(), pkg]));
+    const changes = [];
+
+    after.forEach(pkg => {
+        const old = previous.get(pkg.app_id.toLowerCase());
+        previous.delete(pkg.app_id.toLowerCase());
+        if (!old) {
+            changes.push({ appId: pkg.app_id, name: pkg.app_name, change: 'added', fields: [] });
+            return;
+        }
+
+        const fields = Array.from(new Set([...Object.keys(old), ...Object.keys(pkg)]))
+            .filter(field => JSON.stringify(old[field]) !== JSON.stringify(pkg[field]))
+            .map(field => ({ field, before: old[field], after: pkg[field] }));
+        if (fields.length > 0) {
+            changes.push({ appId: pkg.app_id, name: pkg.app_name, change: 'changed', fields });
+        }
+    });
+
+    previous.forEach(pkg => changes.push({ appId: pkg.app_id, name: pkg.app_name, change: 'removed', fields: [] }));
+    return changes;
+}
+
+/**
+ * Formats a field value of a package entry for the diff
+ * @param {*} value - The value
+ */
+function formatRevisionValue(value) {
+    if (value === undefined || value === null || value === '') return '(none)';
+    return Array.isArray(value) ? value.join(', ') : String(value);
+}
+
+/**
+ * Renders the changes found by diffPackageLists as a table
+ * Ids, names and field values come from the list, so the cells are set as text.
+ * @param {Object[]} changes - Result of diffPackageLists
+ * @returns {HTMLTableElement}
+ */
+function renderPackageListChanges(changes) {
+    const table = document.createElement('table');
+    table.className = 'import-table revision-diff-table';
+    table.innerHTML = `
+        <thead>
+            <tr><th>Package ID</th><th>Name</th><th>Change</th></tr>
+        </thead>
+        <tbody></tbody>
+    `;
+
+    const tbody = table.querySelector('tbody');
+    changes.forEach(item => {
+        const row = tbody.insertRow();
+        row.className = `revision-${item.change}`;
+        const idCell = row.insertCell();
+        idCell.className = 'package-id';
+        idCell.textContent = item.appId;
+        row.insertCell().textContent = item.name;
+
+        const changeCell = row.insertCell();
+        if (item.change !== 'changed') {
+            changeCell.textContent = item.change === 'added' ? 'Added' : 'Removed';
+            return;
+        }
+        item.fields.forEach(field => {
+            const line = document.createElement('div');
+            const name = document.createElement('strong');
+            name.textContent = field.field;
+            line.append(name, `: ${formatRevisionValue(field.before)} → ${formatRevisionValue(field.after)}`);
+            changeCell.appendChild(line);
+        });
+    });
+    return table;
+}
+
+/**
+ * Shows what changed from the compared revision to the selected one
+ */
+async function renderRevisionDiff() {
+    const container = document.getElementById('revision-diff');
+    if (selectedListRevision === null) {
+        container.innerHTML = '';
+        return;
+    }
+
+    const selected = selectedListRevision;
+    const compared = Number(document.getElementById('revision-compare').value);
+    container.innerHTML = '<div class="no-packages">Comparing...</div>';
+
+    try {
+        const [older, newer] = compared <= selected ? [compared, selected] : [selected, compared];
+        const changes = diffPackageLists(await fetchListRevision(older), await fetchListRevision(newer));
+        if (selectedListRevision !== selected) return;
+
+        if (older === newer) {
+            container.innerHTML = '<div class="no-packages">Pick another revision to compare with</div>';
+            return;
+        }
+        if (changes.length === 0) {
+            container.innerHTML = `<div class="no-packages">Revisions ${older} and ${newer} contain the same packages</div>`;
+            return;
+        }
+
+        const counts = ['added', 'removed', 'changed'].map(change =>
+            `${changes.filter(item => item.change === change).length} ${change}`);
+        container.innerHTML = `<div class="import-summary">From revision ${older} to ${newer}: ${counts.join(', ')}</div>`;
+        container.appendChild(renderPackageListChanges(changes));
+    } catch (error) {
+        container.innerHTML = '<div class="no-packages"></div>';
+        container.firstChild.textContent = `Failed to compare revisions: ${error.message}`;
+        addLogEntry(`Failed to compare list revisions: ${error.message}`, 'ERROR');
+    }
+}
+
+/**
+ * Makes the selected revision the current list
+ */
+async function restoreListRevision() {
+    const manager = getPackageManager(currentPackageType);
+    const revision = selectedListRevision;
+    if (revision === null || !confirm(`Replace the ${manager.label} package list with revision ${revision}?`)) {
+        return;
+    }
+
+    const restoreButton = document.getElementById('revision-restore-btn');
+    restoreButton.disabled = true;
+    try {
+        addLogEntry(`Restoring revision ${revision} of the ${manager.label} package list...`, 'INFO');
+        // Refused with 409 if the list changed since the editor loaded it
+        const response = await apiFetch(`/api/${manager.name}/list-revisions/${revision}/restore`, {
+            method: 'POST',
+            headers: currentListETag ? { 'If-Match': currentListETag } : {}
+        });
+        const data = await response.json();
+        if (response.status === 409) {
+            await loadPackages();
+            await loadListRevisions();
+            selectListRevision(revision);
+            showListHistoryMessage(`The ${manager.label} package list was changed in another window since it was loaded, so nothing was restored. The list and its revisions are reloaded; check them and restore again.`, 'warning');
+            addLogEntry(`Restore of revision ${revision} refused: the ${manager.label} package list changed`, 'WARNING');
+            return;
+        }
+        if (!response.ok || !data.success) {
+            throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+        }
+
+        addLogEntry(`Restored revision ${revision} of the ${manager.label} package list as revision ${data.revision}`, 'SUCCESS');
+        showListHistoryMessage(`Revision ${revision} restored as revision ${data.revision}.`, 'success');
+        await loadPackages();
+        await loadListRevisions();
+        selectListRevision(data.revision);
+    } catch (error) {
+        restoreButton.disabled = false;
+        showListHistoryMessage(`Failed to restore revision ${revision}: ${error.message}`);
+        addLogEntry(`Failed to restore revision ${revision}: ${error.message}`, 'ERROR');
+    }
+}
@@ -0,0 +1,221 @@
+/**
+ * Package Manager Adapters
+ * Registry of the package managers driven by the status tabs. Each adapter
+ * describes a manager's endpoints, the shape of its status responses and its
+ * capabilities, so main.js can render and operate every manager through a
+ * single code path. Adding a manager (e.g. Scoop) means registering an adapter
+ * here and adding its tab to index.html.
+ */
+const packageManagers = new Map();
+
+/**
+ * Registers a package manager adapter
+ * @param {Object} adapter - Adapter definition (see the winget adapter below for the full shape)
+ */
+function registerPackageManager(adapter) {
+    packageManagers.set(adapter.name, adapter);
+}
+
+/**
+ * Gets a registered package manager adapter by name
+ * @param {string} name - Manager name (winget, choco, ...)
+ * @returns {Object} The adapter
+ */
+function getPackageManager(name) {
+    const adapter = packageManagers.get(name);
+    if (!adapter) {
+        throw new Error(`Unknown package manager: ${name}`);
+    }
+    return adapter;
+}
+
+/**
+ * Finds the package manager adapter that owns a status tab
+ * @param {string} tabId - Id of the tab content element
+ * @returns {Object|undefined} The adapter, if any
+ */
+function findPackageManagerByTab(tabId) {
+    return Array.from(packageManagers.values()).find(adapter => adapter.tabId === tabId);
+}
+
+/**
+ * Normalizes a raw status object into { installed, version, checkedAt }
+ * @param {Object} status - Status as returned by the server
+ */
+function normalizePackageStatus(status) {
+    return {
+        installed: Boolean(status && status.installed),
+        version: (status && status.version) || null,
+        checkedAt: (status && status.checkedAt) || null
+    };
+}
+
+/**
+ * Normalizes an outdated packages response into a Map of appId -> { version, available }
+ * @param {Object} data - { success, packages: [{ appId, version, available }] }
+ */
+function normalizeOutdatedPackages(data) {
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to check for updates');
+    }
+    return new Map((data.packages || []).map(pkg => [pkg.appId, {
+        version: pkg.version || null,
+        available: pkg.available
+    }]));
+}
+
+/**
+ * Normalizes a discover response into an array of installed packages missing from the list
+ * @param {Object} data - { success, packages: [{ appId, name, version, source, adoptable }] }
+ */
+function normalizeDiscoveredPackages(data) {
+    if (!data.success) {
+        throw new Error(data.error || 'Failed to list installed packages');
+    }
+    return (data.packages || []).map(pkg => ({
+        appId: pkg.appId,
+        name: pkg.name || pkg.appId,
+        version: pkg.version || null,
+        source: pkg.source || null,
+        adoptable: Boolean(pkg.adoptable)
+    }));
+}
+
+registerPackageManager({
+    name: 'winget',
+    label: 'Winget',
+    tabId: 'winget-status',
+    gridId: 'winget-package-grid',
+    endpoints: {
+        version: '/api/winget-version',
+        packagesList: '/api/winget/packages-list',
+        bulkStatus: '/api/winget/bulk-status',
+        statusStream: '/api/winget/status-stream',  // One list pass for every card, streamed as JSON lines
+        singleStatus: '/api/winget/single-package-status',
+        install: '/api/winget/install-package',
+        uninstall: '/api/winget/uninstall-package',
+        upgrade: '/api/winget/upgrade-package',
+        outdated: '/api/winget/outdated-packages',
+        search: '/api/winget/search',
+        packageInfo: '/api/winget/package-info',
+        discover: '/api/winget/discover',
+        cancel: '/api/winget/cancel-operation'
+    },
+    capabilities: {
+        progressStream: true,
+        cancel: true,
+        upgrade: true,
+        search: true,
+        discover: true
+    },
+
+    // { version: "v1.x" } or { version: "Error: ..." }
+    parseVersion(data) {
+        const installed = Boolean(data.version) && !data.version.includes('Error');
+        return { installed, version: installed ? data.version : null };
+    },
+
+    // { success, results: [{ appId, status }] }
+    parseBulkStatus(data) {
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to get status');
+        }
+        if (!data.results || data.results.length === 0) {
+            throw new Error('No status returned');
+        }
+        return normalizePackageStatus(data.results[0].status);
+    },
+
+    // { status }
+    parseSingleStatus(data) {
+        return normalizePackageStatus(data.status);
+    },
+
+    // { success, packages: [{ appId, name, version, available }] } from winget upgrade
+    parseOutdated(data) {
+        return normalizeOutdatedPackages(data);
+    },
+
+    // { success, packages: [{ appId, name, version, source, adoptable }] } from winget list;
+    // only packages from the winget source can be adopted
+    parseDiscover(data) {
+        return normalizeDiscoveredPackages(data);
+    },
+
+    // { success, installed | uninstalled | upgraded, finalStatus } or { success: false, cancelled?, error }
+    parseOperationResult(data) {
+        return {
+            success: Boolean(data.success),
+            cancelled: Boolean(data.cancelled),
+            error: data.error,
+            status: data.finalStatus ? normalizePackageStatus(data.finalStatus) : null
+        };
+    }
+});
+
+registerPackageManager({
+    name: 'choco',
+    label: 'Chocolatey',
+    tabId: 'choco-status',
+    gridId: 'choco-package-grid',
+    endpoints: {
+        version: '/api/choco-version',
+        packagesList: '/api/choco/packages-list',
+        bulkStatus: '/api/choco/bulk-package-status',
+        statusStream: '/api/choco/status-stream',
+        singleStatus: '/api/choco/single-package-status',
+        install: '/api/choco/install-package',
+        uninstall: '/api/choco/uninstall-package',
+        upgrade: '/api/choco/upgrade-package',
+        outdated: '/api/choco/outdated-packages',
+        search: '/api/choco/search',
+        packageInfo: '/api/choco/package-info',
+        discover: '/api/choco/discover',
+        cancel: '/api/choco/cancel-operation'
+    },
+    capabilities: {
+        progressStream: true,
+        cancel: true,
+        upgrade: true,
+        search: true,
+        discover: true
+    },
+
+    // { version: { installed, version } }
+    parseVersion(data) {
+        return normalizePackageStatus(data.version);
+    },
+
+    // { status }
+    parseBulkStatus(data) {
+        if (!data.status) {
+            throw new Error(data.error || 'Failed to get status');
+        }
+        return normalizePackageStatus(data.status);
+    },
+
+    // { status }
+    parseSingleStatus(data) {
+        return normalizePackageStatus(data.status);
+    },
+
+    // { success, packages: [{ appId, version, available, pinned }] } from choco outdated
+    parseOutdated(data) {
+        return normalizeOutdatedPackages(data);
+    },
+
+    // { success, packages: [{ appId, name, version, source, adoptable }] } from choco list
+    parseDiscover(data) {
+        return normalizeDiscoveredPackages(data);
+    },
+
+    // { success, message, status? } - failures carry the reason in error or message
+    parseOperationResult(data) {
+        return {
+            success: Boolean(data.success),
+            cancelled: Boolean(data.cancelled),
+            error: data.error || (!data.success ? data.message : undefined),
+            status: data.status ? normalizePackageStatus(data.status) : null
+        };
+    }
+});
@@ -0,0 +1,448 @@
+/**
+ * Package Profiles
+ * Named subsets of the package lists ("Developer", "Office", ...) stored in
+ * package_profiles.json. A profile references entries of any manager's list
+ * as { manager, app_id }. The Package Lists Editor maintains the profiles and
+ * the status tabs apply them, installing everything a profile contains.
+ */
+let packageProfiles = [];
+let editingProfileIndex = null;
+let profileApplyRun = null;
+
+/**
+ * Loads the package profiles from the server
+ * @returns {Promise<Object[]>} The profiles
+ */
+async function fetchPackageProfiles() {
+    const response = await apiFetch('/api/profiles');
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        throw new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+    }
+
+    packageProfiles = (data.profiles || []).map(profile => ({
+        name: profile.name,
+        description: profile.description || '',
+        packages: profile.packages || []
+    }));
+    return packageProfiles;
+}
+
+/**
+ * Saves every package profile
+ * @param {Object[]} profiles - The complete profile list
+ * @returns {Promise<Object>} The server response
+ */
+async function savePackageProfiles(profiles) {
+    addLogEntry(`Saving ${profiles.length} package profiles...`, 'INFO');
+    const response = await apiFetch('/api/save-profiles', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ profiles })
+    });
+    const data = await response.json();
+
+    if (!response.ok || !data.success) {
+        const error = new Error(data.error || `Server returned ${response.status}: ${response.statusText}`);
+        error.validationErrors = data.errors || [];
+        error.validationErrors.forEach(validationError => addLogEntry(`  ${validationError.message}`, 'ERROR'));
+        throw error;
+    }
+
+    (data.warnings || []).forEach(warning => addLogEntry(warning.message, 'WARNING'));
+    packageProfiles = profiles;
+    populateProfileSelects();
+    addLogEntry('Successfully saved package profiles', 'SUCCESS');
+    return data;
+}
+
+/**
+ * Gets the package list of a manager, preferring the copy cached by its status tab
+ * @param {string} managerName - The package manager (winget/choco)
+ * @param {boolean} useCache - Use the status tab's copy when there is one
+ * @returns {Promise<Object[]>} Package entries
+ */
+async function fetchManagerPackageList(managerName, useCache = true) {
+    const manager = getPackageManager(managerName);
+    const cachedData = useCache && sessionStorage.getItem(`${manager.name}PackageData`);
+    if (cachedData) {
+        return JSON.parse(cachedData).packages;
+    }
+
+    const response = await apiFetch(manager.endpoints.packagesList);
+    const data = await response.json();
+    if (!data.success) {
+        throw new Error(data.error || `Failed to load ${manager.label} packages list`);
+    }
+    return data.packages;
+}
+
+/**
+ * Fills the "Apply profile" dropdown of every status tab
+ */
+function populateProfileSelects() {
+    document.querySelectorAll('.profile-select').forEach(select => {
+        const selected = select.value;
+        select.innerHTML = '<option value="">Choose a profile...</option>' + packageProfiles
+            .map(profile => `<option value="${profile.name}">${profile.name} (${profile.packages.length})</option>`)
+            .join('');
+        select.value = packageProfiles.some(profile => profile.name === selected) ? selected : '';
+    });
+}
+
+/**
+ * Profile Manager
+ * Modal in the Package Lists Editor for creating, editing and deleting profiles
+ */
+
+/**
+ * Opens the profile manager
+ */
+async function showProfilesModal() {
+    document.getElementById('profiles-modal').style.display = 'block';
+    showProfileMessage('');
+
+    try {
+        await fetchPackageProfiles();
+        const lists = await Promise.all(Array.from(packageManagers.keys()).map(async managerName => ({
+            manager: getPackageManager(managerName),
+            packages: await fetchManagerPackageList(managerName)
+        })));
+        renderProfilePicker(lists);
+    } catch (error) {
+        showProfileMessage(`Failed to load profiles: ${error.message}`);
+        addLogEntry(`Failed to load package profiles: ${error.message}`, 'ERROR');
+    }
+
+    renderProfileList();
+    selectProfile(packageProfiles.length > 0 ? 0 : null);
+}
+
+/**
+ * Closes the profile manager
+ */
+function closeProfilesModal() {
+    document.getElementById('profiles-modal').style.display = 'none';
+    editingProfileIndex = null;
+}
+
+/**
+ * Shows a message in the profile manager
+ * @param {string} message - Message text; empty hides the message
+ * @param {string} type - error, warning or success
+ */
+function showProfileMessage(message, type = 'error') {
+    const container = document.getElementById('profile-message');
+    container.textContent = message;
+    container.className = `form-message ${type}`;
+    container.style.display = message ? 'block' : 'none';
+}
+
+/**
+ * Renders the list of profiles on the left of the profile manager
+ */
+function renderProfileList() {
+    const list = document.getElementById('profile-list');
+    list.innerHTML = packageProfiles.length === 0
+        ? '<div class="no-packages">No profiles yet</div>'
+        : packageProfiles.map((profile, index) => `
+            <button type="button" class="profile-list-item ${index === editingProfileIndex ? 'active' : ''}" onclick="selectProfile(${index})">
+                <strong>${profile.name}</strong>
+                <span>${profile.packages.length} packages</span>
+            </button>
+        `).join('');
+}
+
+/**
+ * Renders a checkbox for every entry of every manager's package list
+ * @param {Object[]} lists - [{ manager, packages }]
+ */
+function renderProfilePicker(lists) {
+    const picker = document.getElementById('profile-package-picker');
+    picker.innerHTML = lists.map(({ manager, packages }) => `
+        <fieldset class="profile-picker-group">
+            <legend>${manager.label}</legend>
+            ${packages.map(pkg => `
+                <label class="profile-picker-item">
+                    <input type="checkbox" data-manager="${manager.name}" value="${pkg.app_id}">
+                    ${pkg.app_name} <span class="package-id">${pkg.app_id}</span>
+                </label>
+            `).join('')}
+        </fieldset>
+    `).join('');
+}
+
+/**
+ * Loads a profile into the profile form
+ * @param {number|null} index - Profile index, or null for a new profile
+ */
+function selectProfile(index) {
+    const profile = index !== null ? packageProfiles[index] : { name: '', description: '', packages: [] };
+    editingProfileIndex = index;
+
+    document.getElementById('profile_name').value = profile.name;
+    document.getElementById('profile_desc').value = profile.description;
+    document.getElementById('profile-delete-btn').disabled = index === null;
+    document.querySelectorAll('#profile-package-picker input').forEach(input => {
+        input.checked = profile.packages.some(entry =>
+            entry.manager === input.getAttribute('data-manager') && entry.app_id === input.value);
+    });
+
+    // Entries that are no longer in a package list are kept but cannot be ticked
+    const missing = profile.packages.filter(entry =>
+        !document.querySelector(`#profile-package-picker input[data-manager="${entry.manager}"][value="${CSS.escape(entry.app_id)}"]`));
+    document.getElementById('profile-missing').textContent = missing.length > 0
+        ? `Not in the package lists: ${missing.map(entry => `${entry.app_id} (${entry.manager})`).join(', ')}`
+        : '';
+
+    renderProfileList();
+}
+
+/**
+ * Starts a new, empty profile
+ */
+function newProfile() {
+    selectProfile(null);
+    showProfileMessage('');
+    document.getElementById('profile_name').focus();
+}
+
+/**
+ * Saves the profile in the profile form
+ * @param {Event} event - Form submit event
+ */
+async function handleProfileSubmit(event) {
+    event.preventDefault();
+    showProfileMessage('');
+
+    const name = document.getElementById('profile_name').value.trim();
+    const previous = editingProfileIndex !== null ? packageProfiles[editingProfileIndex] : null;
+
+    if (!name) {
+        showProfileMessage('Profile name must not be empty');
+        return;
+    }
+    if (packageProfiles.some((profile, index) => index !== editingProfileIndex && profile.name.toLowerCase() === name.toLowerCase())) {
+        showProfileMessage(`A profile named "${name}" already exists`);
+        return;
+    }
+
+    const picked = Array.from(document.querySelectorAll('#profile-package-picker input:checked'))
+        .map(input => ({ manager: input.getAttribute('data-manager'), app_id: input.value }));
+    const kept = previous ? previous.packages.filter(entry =>
+        !document.querySelector(`#profile-package-picker input[data-manager="${entry.manager}"][value="${CSS.escape(entry.app_id)}"]`)) : [];
+
+    const profile = {
+        name,
+        description: document.getElementById('profile_desc').value.trim(),
+        packages: [...picked, ...kept]
+    };
+
+    const profiles = [...packageProfiles];
+    if (editingProfileIndex !== null) {
+        profiles[editingProfileIndex] = profile;
+    } else {
+        profiles.push(profile);
+    }
+
+    try {
+        await savePackageProfiles(profiles);
+        selectProfile(editingProfileIndex !== null ? editingProfileIndex : profiles.length - 1);
+        showProfileMessage(`Saved profile "${name}"`, 'success');
+    } catch (error) {
+        showProfileMessage(`Failed to save profiles: ${error.message}`);
+    }
+}
+
+/**
+ * Deletes the profile in the profile form
+ */
+async function deleteProfile() {
+    if (editingProfileIndex === null) return;
+
+    const profile = packageProfiles[editingProfileIndex];
+    if (!confirm(`Are you sure you want to delete the profile "${profile.name}"?`)) return;
+
+    try {
+        await savePackageProfiles(packageProfiles.filter((_, index) => index !== editingProfileIndex));
+        selectProfile(packageProfiles.length > 0 ? 0 : null);
+        showProfileMessage(`Deleted profile "${profile.name}"`, 'success');
+    } catch (error) {
+        showProfileMessage(`Failed to delete profile: ${error.message}`);
+    }
+}
+
+/**
+ * Profile Apply
+ * Installs every package of a profile across managers and tracks the run
+ */
+
+/**
+ * Gets the installed state of a package without starting a status check
+ * when one is already known
+ * @param {Object} manager - The package manager adapter
+ * @param {string} appId - The package identifier
+ * @returns {Promise<boolean>} Whether the package is installed
+ */
+async function isPackageInstalled(manager, appId) {
+    const card = getPackageCard(manager.name, appId);
+    const badge = card && card.querySelector('.status-badge');
+    if (badge && (badge.classList.contains('installed') || badge.classList.contains('not-installed'))) {
+        return card.querySelector('.package-toggle input').checked;
+    }
+
+    const cachedStatus = getCachedPackageStatus(manager.name, appId);
+    if (cachedStatus) return cachedStatus.installed;
+
+    return (await fetchPackageStatus(manager, appId)).installed;
+}
+
+/**
+ * Installs every package of the profile chosen on a status tab
+ * Installed packages and packages with an operation in progress are skipped.
+ * @param {string} managerName - The manager whose tab the action was started from
+ */
+async function applyProfile(managerName) {
+    const manager = getPackageManager(managerName);
+    const select = document.querySelector(`#${manager.tabId} .profile-select`);
+    const profile = packageProfiles.find(p => p.name === select.value);
+
+    if (!profile) {
+        addLogEntry('Choose a profile to apply', 'WARNING');
+        return;
+    }
+    if (profileApplyRun && !profileApplyRun.finished) {
+        addLogEntry(`Profile "${profileApplyRun.profile.name}" is still being applied`, 'WARNING');
+        return;
+    }
+
+    addLogEntry(`Applying profile "${profile.name}" (${profile.packages.length} packages)...`, 'INFO');
+    profileApplyRun = {
+        profile,
+        finished: false,
+        items: profile.packages.map(entry => ({ manager: entry.manager, appId: entry.app_id, status: 'checking', error: null }))
+    };
+    renderProfileApplyPanel();
+
+    const lists = new Map();
+    await Promise.all(profileApplyRun.items.map(async item => {
+        try {
+            const itemManager = getPackageManager(item.manager);
+            if (!lists.has(itemManager.name)) {
+                lists.set(itemManager.name, fetchManagerPackageList(itemManager.name));
+            }
+            const entry = (await lists.get(itemManager.name)).find(pkg => pkg.app_id === item.appId);
+            item.version = entry && entry.version && entry.version !== 'latest' ? entry.version : null;
+
+            if (entry && entry.ensure === 'absent') {
+                item.status = 'skipped';
+                item.error = 'Marked for removal in the package list';
+            } else if (operationQueue.isOperationInProgress(itemManager.name, item.appId)) {
+                item.status = 'skipped';
+                item.error = 'Operation already in progress';
+            } else if (await isPackageInstalled(itemManager, item.appId)) {
+                item.status = 'present';
+            } else {
+                item.status = 'queued';
+            }
+        } catch (error) {
+            item.status = 'failed';
+            item.error = error.message;
+        }
+        renderProfileApplyPanel();
+    }));
+
+    const installs = profileApplyRun.items.filter(item => item.status === 'queued');
+    addLogEntry(`Profile "${profile.name}": ${installs.length} to install, ${profileApplyRun.items.length - installs.length} already installed or skipped`, 'INFO');
+
+    await Promise.all(installs.map(item => queuePackageOperation(item.manager, item.appId, 'install', { version: item.version })
+        .then(() => { item.status = 'completed'; })
+        .catch(error => {
+            item.status = error.cancelled || error.message === 'Operation stopped by user' ? 'cancelled' : 'failed';
+            item.error = error.message;
+        })
+        .finally(renderProfileApplyPanel)));
+
+    profileApplyRun.finished = true;
+    renderProfileApplyPanel();
+
+    const count = status => profileApplyRun.items.filter(item => item.status === status).length;
+    const failed = count('failed');
+    addLogEntry(`Finished applying profile "${profile.name}": ${count('completed')} installed, ${count('present')} already installed, ${failed} failed, ${count('cancelled')} cancelled, ${count('skipped')} skipped`, failed > 0 ? 'WARNING' : 'SUCCESS');
+}
+
+// Labels of the states a profile apply item goes through
+const PROFILE_ITEM_LABELS = {
+    checking: 'Checking...',
+    queued: 'Queued',
+    running: 'Installing...',
+    retrying: 'Retrying...',
+    completed: 'Installed now',
+    present: 'Already installed',
+    skipped: 'Skipped',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+/**
+ * Renders the progress of the current profile apply run
+ */
+function renderProfileApplyPanel() {
+    const panel = document.getElementById('profile-apply-panel');
+    if (!profileApplyRun) {
+        panel.style.display = 'none';
+        return;
+    }
+
+    const items = profileApplyRun.items;
+    const done = items.filter(item => !['checking', 'queued', 'running', 'retrying'].includes(item.status)).length;
+
+    panel.style.display = 'block';
+    panel.querySelector('.profile-apply-title').textContent =
+        `${profileApplyRun.finished ? 'Applied' : 'Applying'} profile "${profileApplyRun.profile.name}" (${done}/${items.length})`;
+    panel.querySelector('.progress-bar-fill').style.width = `${items.length > 0 ? (done / items.length) * 100 : 100}%`;
+    panel.querySelector('.profile-apply-list').innerHTML = items.map(item => {
+        const manager = packageManagers.get(item.manager);
+        return `
+            <div class="queue-item profile-apply-item ${item.status}">
+                <span class="queue-item-manager">${manager ? manager.label : item.manager}</span>
+                <span class="queue-item-label">${item.appId}${item.version ? ` (${item.version})` : ''}</span>
+                <span class="queue-item-status">${PROFILE_ITEM_LABELS[item.status]}</span>
+                <span class="queue-item-error">${item.error && item.status !== 'completed' ? item.error : ''}</span>
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Hides the profile apply panel once the run has finished
+ */
+function closeProfileApplyPanel() {
+    if (profileApplyRun && !profileApplyRun.finished) return;
+    profileApplyRun = null;
+    renderProfileApplyPanel();
+}
+
+/**
+ * Mirrors queue progress (running, retrying) on the items of the current run
+ * Registered as an operation queue listener.
+ * @param {Object} op - The operation whose status changed
+ */
+function trackProfileOperation(op) {
+    if (!op || !profileApplyRun || op.action !== 'install') return;
+
+    const item = profileApplyRun.items.find(i => i.manager === op.manager && i.appId === op.appId);
+    if (item && (op.status === 'running' || op.status === 'retrying')) {
+        item.status = op.status;
+        item.error = op.status === 'retrying' ? op.error : null;
+        renderProfileApplyPanel();
+    }
+}
+
+operationQueue.subscribe(trackProfileOperation);
+
+serverDiscovery
+    .then(fetchPackageProfiles)
+    .then(populateProfileSelects)
+    .catch(error => addLogEntry(`Failed to load package profiles: ${error.message}`, 'ERROR'));
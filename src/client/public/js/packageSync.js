@@ -0,0 +1,327 @@
+/**
+ * Package Sync
+ * Treats the package lists as the desired state of the machine. Building a
+ * plan compares every list entry with its status from the bulk status
+ * endpoints and with the available updates; applying the plan queues the
+ * installs, upgrades and (optionally) removals that were left ticked.
+ * Entries with "ensure": "absent" are the ones Sync removes.
+ */
+let syncPlan = null;
+let syncBusy = false;
+
+// Plan sections in display order; `action` is the queued operation
+const SYNC_SECTIONS = [
+    { action: 'install', title: 'To install' },
+    { action: 'upgrade', title: 'To upgrade' },
+    { action: 'uninstall', title: 'To remove' },
+    { action: null, title: 'Leave alone' }
+];
+
+// Labels of the states a plan item goes through while the plan is applied
+const SYNC_ITEM_LABELS = {
+    planned: '',
+    queued: 'Queued',
+    running: 'Running...',
+    retrying: 'Retrying...',
+    completed: 'Done',
+    skipped: 'Skipped',
+    cancelled: 'Cancelled',
+    failed: 'Failed'
+};
+
+/**
+ * Shows the current plan when the Sync tab is opened
+ */
+function initializeSyncView() {
+    renderSyncPlan();
+}
+
+/**
+ * Works out the planned action for a list entry
+ * @param {Object} pkg - Package list entry
+ * @param {Object} status - Normalized status ({ installed, version })
+ * @param {Object|undefined} update - { version, available } when an update is available
+ * @returns {{ action: string|null, reason: string }}
+ */
+function planPackageAction(pkg, status, update) {
+    if (pkg.ensure === 'absent') {
+        return status.installed
+            ? { action: 'uninstall', reason: `Installed ${status.version || ''} but marked for removal` }
+            : { action: null, reason: 'Not installed (marked for removal)' };
+    }
+
+    if (!status.installed) {
+        return { action: 'install', reason: pkg.version ? `Version ${pkg.version}` : 'Latest version' };
+    }
+
+    if (pkg.version && status.version && status.version !== pkg.version) {
+        return { action: null, reason: `Installed ${status.version}, the list expects ${pkg.version}` };
+    }
+
+    if (update) {
+        return pkg.pinned
+            ? { action: null, reason: `Pinned at ${status.version || 'current version'}; ${update.available} available` }
+            : { action: 'upgrade', reason: `${update.version || status.version || 'unknown'} → ${update.available}` };
+    }
+
+    return { action: null, reason: `Installed ${status.version || ''}`.trim() };
+}
+
+/**
+ * Builds the sync plan from the package lists and the state of the machine
+ */
+async function buildSyncPlan() {
+    if (syncBusy) return;
+
+    const refresh = document.getElementById('sync-refresh').checked;
+    const progressContainer = document.querySelector('#sync .sync-progress');
+    syncBusy = true;
+    updateSyncControls();
+    document.querySelector('#sync .batch-summary').style.display = 'none';
+    showProgress(progressContainer, 'Loading package lists...');
+    addLogEntry('Building sync plan...', 'INFO');
+
+    try {
+        const entries = [];
+        const updates = new Map();
+
+        for (const manager of packageManagers.values()) {
+            const packages = await fetchManagerPackageList(manager.name, false);
+            packages.forEach(pkg => entries.push({ manager, pkg }));
+
+            if (manager.capabilities.upgrade) {
+                try {
+                    updates.set(manager.name, await fetchOutdatedPackages(manager));
+                } catch (error) {
+                    addLogEntry(`Sync plan has no upgrade information for ${manager.label}: ${error.message}`, 'WARNING');
+                }
+            }
+        }
+
+        const items = [];
+        let checked = 0;
+        await runWithConcurrency(entries, CONFIG.BULK_CHECK_CONCURRENCY, async ({ manager, pkg }) => {
+            const item = {
+                manager: manager.name,
+                appId: pkg.app_id,
+                name: pkg.app_name,
+                version: pkg.version && pkg.version !== 'latest' ? pkg.version : null,
+                action: null,
+                reason: '',
+                selected: true,
+                status: 'planned',
+                error: null
+            };
+
+            try {
+                const status = await fetchBulkPackageStatus(manager, pkg.app_id, refresh);
+                const update = updates.has(manager.name) ? updates.get(manager.name).get(pkg.app_id) : undefined;
+                Object.assign(item, planPackageAction(pkg, status, update));
+
+                // Keep the status tabs in step with what the plan saw
+                cachePackageStatus(manager.name, pkg.app_id, status);
+                const card = getPackageCard(manager.name, pkg.app_id);
+                if (card && !operationQueue.isOperationInProgress(manager.name, pkg.app_id)) {
+                    renderPackageStatus(card, status);
+                }
+            } catch (error) {
+                item.reason = `Status check failed: ${error.message}`;
+                addLogEntry(`Error checking ${manager.label} package ${pkg.app_id} for the sync plan: ${error.message}`, 'ERROR');
+            }
+
+            items.push(item);
+            checked++;
+            updateProgress(progressContainer, (checked / entries.length) * 100, `Checking packages (${checked}/${entries.length})...`);
+        });
+
+        // Keep list order regardless of which status check finished first
+        const order = new Map(entries.map(({ manager, pkg }, index) => [`${manager.name}:${pkg.app_id}`, index]));
+        items.sort((a, b) => order.get(`${a.manager}:${a.appId}`) - order.get(`${b.manager}:${b.appId}`));
+
+        syncPlan = { items, builtAt: new Date() };
+        const count = action => items.filter(item => item.action === action).length;
+        addLogEntry(`Sync plan: ${count('install')} to install, ${count('upgrade')} to upgrade, ${count('uninstall')} to remove, ${count(null)} to leave alone`, 'SUCCESS');
+    } catch (error) {
+        addLogEntry(`Failed to build sync plan: ${error.message}`, 'ERROR');
+    } finally {
+        hideProgress(progressContainer);
+        syncBusy = false;
+        renderSyncPlan();
+    }
+}
+
+/**
+ * Gets the plan items that applying the plan would queue
+ */
+function getSelectedSyncItems() {
+    if (!syncPlan) return [];
+    const includeRemovals = document.getElementById('sync-include-removals').checked;
+    return syncPlan.items.filter(item => item.action && item.selected && item.status === 'planned' &&
+        (item.action !== 'uninstall' || includeRemovals));
+}
+
+/**
+ * Enables the sync buttons according to the plan and the running state
+ */
+function updateSyncControls() {
+    const selectedCount = getSelectedSyncItems().length;
+    const applyBtn = document.querySelector('#sync .sync-apply-btn');
+
+    document.querySelector('#sync .sync-plan-btn').disabled = syncBusy;
+    applyBtn.disabled = syncBusy || selectedCount === 0;
+    applyBtn.textContent = selectedCount > 0 ? `Apply Plan (${selectedCount})` : 'Apply Plan';
+}
+
+/**
+ * Renders the sync plan, grouped by planned action
+ */
+function renderSyncPlan() {
+    const container = document.getElementById('sync-plan');
+    const includeRemovals = document.getElementById('sync-include-removals').checked;
+
+    if (!syncPlan) {
+        container.innerHTML = '<div class="no-packages">Build a plan to compare the package lists with this machine</div>';
+        updateSyncControls();
+        return;
+    }
+
+    container.innerHTML = SYNC_SECTIONS
+        .filter(section => section.action !== 'uninstall' || includeRemovals)
+        .map(section => {
+            const items = syncPlan.items.filter(item => item.action === section.action);
+            const actionable = section.action !== null;
+            const rows = items.map(item => {
+                const index = syncPlan.items.indexOf(item);
+                const manager = packageManagers.get(item.manager);
+                return `
+                    <div class="sync-item ${item.status}">
+                        ${actionable ? `<input type="checkbox" ${item.selected ? 'checked' : ''} ${item.status !== 'planned' || syncBusy ? 'disabled' : ''} onchange="toggleSyncItem(${index}, this.checked)">` : '<span></span>'}
+                        <span class="sync-item-manager">${manager ? manager.label : item.manager}</span>
+                        <span class="sync-item-name">${item.name} <span class="package-id">${item.appId}</span></span>
+                        <span class="sync-item-reason">${item.reason}</span>
+                        <span class="sync-item-status">${SYNC_ITEM_LABELS[item.status]}${item.error && item.status !== 'completed' ? `: ${item.error}` : ''}</span>
+                    </div>
+                `;
+            }).join('');
+
+            return `
+                <div class="sync-section ${section.action || 'none'}">
+                    <h4 class="sync-section-title">
+                        ${actionable && items.length > 0 ? `<input type="checkbox" ${items.every(item => item.selected) ? 'checked' : ''} ${syncBusy ? 'disabled' : ''} onchange="toggleSyncSection('${section.action}', this.checked)">` : ''}
+                        ${section.title} (${items.length})
+                    </h4>
+                    ${rows || '<div class="sync-empty">Nothing</div>'}
+                </div>
+            `;
+        }).join('') + `<div class="sync-built-at">Plan built ${syncPlan.builtAt.toLocaleTimeString()}</div>`;
+
+    updateSyncControls();
+}
+
+/**
+ * Ticks or unticks a single plan item
+ * @param {number} index - Index of the item in the plan
+ * @param {boolean} selected - Whether applying the plan should include it
+ */
+function toggleSyncItem(index, selected) {
+    syncPlan.items[index].selected = selected;
+    renderSyncPlan();
+}
+
+/**
+ * Ticks or unticks every item of a plan section
+ * @param {string} action - install, upgrade or uninstall
+ * @param {boolean} selected - Whether applying the plan should include the items
+ */
+function toggleSyncSection(action, selected) {
+    syncPlan.items
+        .filter(item => item.action === action && item.status === 'planned')
+        .forEach(item => { item.selected = selected; });
+    renderSyncPlan();
+}
+
+/**
+ * Queues every ticked item of the plan and waits for all of them to settle
+ */
+async function applySyncPlan() {
+    const items = getSelectedSyncItems();
+    if (syncBusy || items.length === 0) return;
+
+    const summary = { succeeded: [], failed: [], cancelled: [], skipped: [] };
+    syncBusy = true;
+    addLogEntry(`Applying sync plan (${items.length} operations)...`, 'INFO');
+
+    items.forEach(item => {
+        item.status = operationQueue.isOperationInProgress(item.manager, item.appId) ? 'skipped' : 'queued';
+        if (item.status === 'skipped') {
+            item.error = 'Operation already in progress';
+            summary.skipped.push(item.appId);
+        }
+    });
+    renderSyncPlan();
+
+    await Promise.all(items.filter(item => item.status === 'queued').map(item =>
+        queuePackageOperation(item.manager, item.appId, item.action, { version: item.version })
+            .then(() => {
+                item.status = 'completed';
+                summary.succeeded.push(item.appId);
+            })
+            .catch(error => {
+                item.error = error.message;
+                if (error.cancelled || error.message === 'Operation stopped by user') {
+                    item.status = 'cancelled';
+                    summary.cancelled.push(item.appId);
+                } else {
+                    item.status = 'failed';
+                    summary.failed.push({ appId: item.appId, error: error.message });
+                }
+            })
+            .finally(renderSyncPlan)));
+
+    syncBusy = false;
+    renderSyncPlan();
+    renderSyncSummary(summary);
+}
+
+/**
+ * Shows the outcome of applying the plan on the Sync tab
+ * @param {Object} summary - { succeeded, failed, cancelled, skipped }
+ */
+function renderSyncSummary(summary) {
+    const container = document.querySelector('#sync .batch-summary');
+    const failures = summary.failed
+        .map(failure => `<li><strong>${failure.appId}</strong>: ${failure.error}</li>`)
+        .join('');
+
+    container.className = `batch-summary ${summary.failed.length > 0 ? 'has-failures' : ''}`;
+    container.innerHTML = `
+        <span class="close-summary" onclick="this.parentElement.style.display = 'none'">&times;</span>
+        <strong>Sync finished:</strong>
+        ${summary.succeeded.length} succeeded, ${summary.failed.length} failed,
+        ${summary.cancelled.length} cancelled, ${summary.skipped.length} skipped
+        ${failures ? `<ul>${failures}</ul>` : ''}
+    `;
+    container.style.display = 'block';
+
+    const level = summary.failed.length > 0 ? 'WARNING' : 'SUCCESS';
+    addLogEntry(`Sync finished: ${summary.succeeded.length} succeeded, ${summary.failed.length} failed, ${summary.cancelled.length} cancelled, ${summary.skipped.length} skipped`, level);
+}
+
+/**
+ * Mirrors queue progress (running, retrying) on the items of the plan
+ * Registered as an operation queue listener.
+ * @param {Object} op - The operation whose status changed
+ */
+function trackSyncOperation(op) {
+    if (!op || !syncPlan) return;
+
+    const item = syncPlan.items.find(i => i.manager === op.manager && i.appId === op.appId &&
+        i.action === op.action && (i.status === 'queued' || i.status === 'running' || i.status === 'retrying'));
+    if (item && (op.status === 'running' || op.status === 'retrying')) {
+        item.status = op.status;
+        item.error = op.status === 'retrying' ? op.error : null;
+        renderSyncPlan();
+    }
+}
+
+operationQueue.subscribe(trackSyncOperation);
@@ -0,0 +1,244 @@
+/**
+ * Server Events
+ * One persistent server-sent event stream (/api/events) per tab. The server
+ * pushes package status changes, operation lifecycle events and terminal log
+ * lines, so several open windows stay consistent without a manual refresh.
+ * The stream reconnects with backoff and drives the connection indicator in
+ * the tab bar.
+ */
+const serverEvents = {
+    source: null,
+    state: 'connecting',  // connecting, live or reconnecting
+    handlers: new Map(),   // Event type -> handlers
+    startedAt: null,       // Server start time from the last hello event
+    retryDelay: CONFIG.EVENT_STREAM_RECONNECT_DELAY,
+    retryTimer: null,
+
+    /**
+     * Registers a handler for a pushed event type
+     * @param {string} type - status, operation or log
+     * @param {Function} handler - Receives the parsed event data
+     */
+    on: function (type, handler) {
+        if (!this.handlers.has(type)) {
+            this.handlers.set(type, []);
+            if (this.source) {
+                this.listen(this.source, type);
+            }
+        }
+        this.handlers.get(type).push(handler);
+    },
+
+    listen: function (source, type) {
+        source.addEventListener(type, event => {
+            const data = JSON.parse(event.data);
+            this.handlers.get(type).forEach(handler => {
+                try {
+                    handler(data);
+                } catch (error) {
+                    console.error(`Failed to handle ${type} event:`, error);
+                }
+            });
+        });
+    },
+
+    connect: function () {
+        clearTimeout(this.retryTimer);
+        this.retryTimer = null;
+        if (this.source) {
+            this.source.close();
+        }
+
+        const source = new EventSource(apiUrl('/api/events'));
+        this.source = source;
+        source.addEventListener('hello', event => this.handleHello(JSON.parse(event.data)));
+        this.handlers.forEach((handlers, type) => this.listen(source, type));
+
+        // EventSource gives up for good on some errors, so reconnects are handled here
+        source.onerror = () => {
+            if (this.source !== source) return;
+            source.close();
+            this.source = null;
+            if (this.state === 'live') {
+                addLogEntry('Lost the live connection to the server, reconnecting...', 'WARNING');
+            }
+            this.setState(this.startedAt ? 'reconnecting' : 'connecting');
+            this.scheduleReconnect();
+        };
+    },
+
+    scheduleReconnect: function () {
+        this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryDelay = Math.min(this.retryDelay * 2, CONFIG.MAX_BACKOFF);
+    },
+
+    /**
+     * Handles the first event of every connection
+     * Events sent while the tab was disconnected are lost, so package status
+     * is fetched again after a reconnect. Log lines kept while the server was
+     * unreachable are sent.
+     * @param {Object} info - { startedAt, clients }
+     */
+    handleHello: function (info) {
+        const reconnected = this.startedAt !== null;
+        const restarted = reconnected && info.startedAt !== this.startedAt;
+        this.startedAt = info.startedAt;
+        this.retryDelay = CONFIG.EVENT_STREAM_RECONNECT_DELAY;
+        this.setState('live');
+        logShipper.resume();
+
+        if (reconnected) {
+            addLogEntry(restarted ? 'Server restarted - refreshing package status' : 'Live connection restored - refreshing package status', 'INFO');
+            initializedManagers.forEach(managerName => resyncPackageStatus(managerName));
+        } else {
+            addLogEntry(`Live updates connected (${info.clients} open ${info.clients === 1 ? 'window' : 'windows'})`, 'DEBUG');
+        }
+    },
+
+    setState: function (state) {
+        this.state = state;
+        renderConnectionIndicator();
+    }
+};
+
+// Indicator text and tooltip for each connection state
+const CONNECTION_STATES = {
+    connecting: { label: 'Connecting...', title: 'Connecting to the server for live updates' },
+    live: { label: 'Live', title: 'Status changes, operations and server logs are pushed to this window' },
+    reconnecting: { label: 'Reconnecting...', title: 'Connection to the server lost; retrying' }
+};
+
+/**
+ * Shows the live connection state in the tab bar
+ */
+function renderConnectionIndicator() {
+    const indicator = document.getElementById('connection-indicator');
+    const state = CONNECTION_STATES[serverEvents.state];
+    indicator.className = `connection-indicator ${serverEvents.state}`;
+    indicator.textContent = state.label;
+    indicator.title = state.title;
+}
+
+/**
+ * Fetches the status of every card of a manager again
+ * Pushed status events update the other windows as well. Cards with an
+ * operation running in this window are left to the operation queue; cards the
+ * status stream does not cover are checked one by one.
+ * @param {string} managerName - The package manager (winget/choco)
+ */
+async function resyncPackageStatus(managerName) {
+    const manager = getPackageManager(managerName);
+    const cards = Array.from(document.querySelectorAll(`#${manager.gridId} .package-card`))
+        .filter(card => !operationQueue.isOperationInProgress(manager.name, card.getAttribute('data-app-id')));
+    const pending = new Map(cards.map(card => [card.getAttribute('data-app-id'), card]));
+
+    if (manager.endpoints.statusStream && pending.size > 0) {
+        try {
+            await streamPackageStatus(manager, Array.from(pending.keys()), false, (appId, status) => {
+                pending.delete(appId);
+                applyPackageStatusEvent({ manager: manager.name, appId, status });
+            });
+        } catch (error) {
+            addLogEntry(`${manager.label} status stream failed: ${error.message}`, 'WARNING');
+        }
+    }
+
+    await runWithConcurrency(Array.from(pending.keys()), CONFIG.BULK_CHECK_CONCURRENCY, async appId => {
+        try {
+            applyPackageStatusEvent({ manager: manager.name, appId, status: await fetchBulkPackageStatus(manager, appId) });
+        } catch (error) {
+            addLogEntry(`Error checking ${manager.label} package ${appId}: ${error.message}`, 'ERROR');
+        }
+    });
+}
+
+/**
+ * Renders a pushed package status
+ * @param {Object} event - { manager, appId, status: { installed, version } }
+ */
+function applyPackageStatusEvent(event) {
+    if (!packageManagers.has(event.manager) || operationQueue.isOperationInProgress(event.manager, event.appId)) {
+        return;
+    }
+
+    const status = normalizePackageStatus(event.status);
+    cachePackageStatus(event.manager, event.appId, status);
+
+    const card = getPackageCard(event.manager, event.appId);
+    if (card && !card.hasAttribute('data-remote-operation')) {
+        renderPackageStatus(card, status);
+    }
+}
+
+/**
+ * Renders a pushed operation lifecycle event
+ * Operations queued in this window are rendered by the operation queue and
+ * follow their own job stream. Operations started in another window lock the
+ * card until they finish.
+ * @param {Object} event - { jobId, manager, appId, action, state, progress?, status?, error? }
+ */
+function applyOperationEvent(event) {
+    if (!packageManagers.has(event.manager)) return;
+
+    const manager = getPackageManager(event.manager);
+    const card = getPackageCard(manager.name, event.appId);
+    if (!card) return;
+
+    if (operationQueue.isOperationInProgress(manager.name, event.appId)) return;
+
+    const progressContainer = card.querySelector('.package-progress');
+    if (event.state === 'progress') {
+        if (event.progress && card.hasAttribute('data-remote-operation')) {
+            updateProgress(progressContainer, event.progress, event.status || PACKAGE_ACTIONS[event.action].progress);
+        }
+        return;
+    }
+
+    const statusBadge = card.querySelector('.status-badge');
+    const toggle = card.querySelector('.package-toggle input');
+    const stopBtn = card.querySelector('.stop-btn');
+    const upgradeBtn = card.querySelector('.upgrade-btn');
+
+    if (event.state === 'started') {
+        card.setAttribute('data-remote-operation', event.action);
+        card.setAttribute('data-remote-job', event.jobId);
+        statusBadge.textContent = PACKAGE_ACTIONS[event.action].progress;
+        statusBadge.className = 'status-badge pending';
+        toggle.checked = event.action !== 'uninstall';
+        toggle.disabled = true;
+        upgradeBtn.disabled = true;
+        stopBtn.style.display = manager.capabilities.cancel ? 'flex' : 'none';
+        showProgress(progressContainer, 'Running in another window...');
+        startPackageConsole(manager.name, event.appId, event.jobId, event.action, true);
+        return;
+    }
+
+    // completed, failed or cancelled; the final status follows as a status event
+    card.removeAttribute('data-remote-operation');
+    card.removeAttribute('data-remote-job');
+    finishPackageConsole(manager.name, event.appId, { id: event.jobId, state: event.state });
+    updateProgress(progressContainer, 100, event.state === 'completed' ? 'Operation complete!' : (event.error || 'Cancelled'));
+    stopBtn.style.display = 'none';
+    if (event.state === 'completed' && event.action !== 'install') {
+        setPackageUpdate(manager.name, event.appId, null);
+    }
+    if (event.state === 'cancelled') {
+        // Cancelled operations report no final status
+        fetchPackageStatus(manager, event.appId)
+            .then(status => applyPackageStatusEvent({ manager: manager.name, appId: event.appId, status }))
+            .catch(() => renderPackageError(card));
+    }
+
+    setTimeout(() => {
+        hideProgress(progressContainer);
+        toggle.disabled = false;
+        upgradeBtn.disabled = false;
+    }, 1000);
+}
+
+serverEvents.on('status', applyPackageStatusEvent);
+serverEvents.on('operation', applyOperationEvent);
+serverEvents.on('log', addServerLogEntry);
+
+// Connect once the server has been located
+serverDiscovery.then(() => serverEvents.connect());
@@ -11,12 +11,16 @@ $rootPath = Split-Path -Parent (Split-Path -Parent $scriptPath)
 
 # Import all required services with full path
 . "$rootPath\src\services\logService.ps1"          # Logging functionality
-. "$rootPath\src\services\package_status_cache_service.ps1"  # Package status cache
+. "$rootPath\src\services\package_status_cache_service.ps1"  # Disk-backed package status cache
 . "$rootPath\src\services\wingetService.ps1"       # Winget operations
 . "$rootPath\src\services\chocoService.ps1"        # Chocolatey operations
 . "$rootPath\src\services\winget_package_status_Service.ps1"  # Package status management
 . "$rootPath\src\services\choco_package_status_Service.ps1"   # Chocolatey package status management
 . "$rootPath\src\services\packageEditorService.ps1"  # Package editor functionality
+. "$rootPath\src\services\packageOperationService.ps1"  # Background install/uninstall/upgrade jobs
+. "$rootPath\src\services\packageSearchService.ps1"  # Package source search
+. "$rootPath\src\services\historyService.ps1"  # Operation and list edit history
+. "$rootPath\src\services\eventStreamService.ps1"  # Push events to every open tab
 
 Write-TerminalLog "Starting server initialization..." "INFO"
 
@@ -51,6 +55,17 @@ $script:port = Get-AvailablePort
 $script:url = "http://localhost:$port/"
 $script:listener = $null
 $script:clientPath = Join-Path $rootPath "src\client\public"
+$script:startedAt = (Get-Date).ToString("o")
+$script:requestPollInterval = 250  # Milliseconds to wait for a request before polling running operations
+
+# The server runs elevated, so only pages it served itself may change anything.
+# Requests must name this server as Host (no DNS rebinding), may only come from
+# Twin Tool origins, and mutating ones must carry the per-session token that
+# is injected into index.html.
+$script:ApiTokenHeader = "X-Twin-Token"
+$script:AllowedHosts = @("localhost:$port", "127.0.0.1:$port")
+$script:TrustedOrigins = @(foreach ($trustedPort in 9000..9010) { "http://localhost:$trustedPort"; "http://127.0.0.1:$trustedPort" })
+$script:DiscoveryPaths = @('/api/server-info')  # Also answered to pages opened from disk (Origin: null) so they can find the server
 
 # MIME type mapping for static files
 $mimeTypes = @{
@@ -74,6 +89,62 @@ function Get-MimeType {
     return "application/octet-stream"
 }
 
+<#
+.SYNOPSIS
+    Creates the access token of this server session
+.RETURNS
+    64 hex characters from a cryptographic random number generator
+#>
+function New-ApiToken {
+    $bytes = New-Object byte[] 32
+    $generator = [System.Security.Cryptography.RandomNumberGenerator]::Create()
+    try {
+        $generator.GetBytes($bytes)
+    }
+    finally {
+        $generator.Dispose()
+    }
+    ($bytes | ForEach-Object { $_.ToString("x2") }) -join ''
+}
+
+$script:ApiToken = New-ApiToken
+
+<#
+.SYNOPSIS
+    Checks whether a request may be answered
+.DESCRIPTION
+    Rejects requests for another host name, requests from web pages that are
+    not Twin Tool pages (pages opened from disk may only use DiscoveryPaths),
+    and mutating requests (every POST; endpoints that
+    change anything only answer POST) without the session token.
+.PARAMETER Request
+    The HttpListenerRequest to check
+.RETURNS
+    Hashtable containing allowed, and the status code and error when rejected
+#>
+function Test-RequestAccess {
+    param(
+        [Parameter(Mandatory=$true)]
+        $Request
+    )
+
+    if ($script:AllowedHosts -notcontains $Request.Headers['Host']) {
+        return @{ allowed = $false; status = 403; error = "Host not allowed: $($Request.Headers['Host'])" }
+    }
+
+    $origin = $Request.Headers['Origin']
+    $discovery = $origin -eq 'null' -and $script:DiscoveryPaths -contains $Request.Url.AbsolutePath
+    if ($origin -and $script:TrustedOrigins -notcontains $origin -and -not $discovery) {
+        return @{ allowed = $false; status = 403; error = "Origin not allowed: $origin" }
+    }
+
+    if ($Request.HttpMethod -eq "POST" -and $Request.Headers[$script:ApiTokenHeader] -cne $script:ApiToken) {
+        return @{ allowed = $false; status = 401; error = "Missing or invalid access token; reload the page served by this server" }
+    }
+
+    @{ allowed = $true }
+}
+
 # Function to serve static files
 function Serve-StaticFile {
     param(
@@ -95,6 +166,11 @@ function Serve-StaticFile {
         if (Test-Path $filePath) {
             try {
                 $content = Get-Content $filePath -Raw -Encoding UTF8
+                if ($requestedPath -eq "/index.html") {
+                    # Hand the session token to the page; never cache it across restarts
+                    $content = $content.Replace("{{API_TOKEN}}", $script:ApiToken)
+                    $Response.Headers.Add("Cache-Control", "no-store")
+                }
                 $buffer = [System.Text.Encoding]::UTF8.GetBytes($content)
                 
                 $Response.ContentType = Get-MimeType -FilePath $filePath
@@ -119,21 +195,52 @@ function Serve-StaticFile {
     }
 }
 
-# CORS Configuration
+# CORS Configuration (only Twin Tool origins are allowed, see TrustedOrigins)
 $corsHeaders = @{
-    'Access-Control-Allow-Origin' = '*'
     'Access-Control-Allow-Methods' = 'GET, POST, OPTIONS'
-    'Access-Control-Allow-Headers' = 'Content-Type'
+    'Access-Control-Allow-Headers' = "Content-Type, If-Match, $($script:ApiTokenHeader)"
     'Access-Control-Max-Age' = '86400'  # Cache preflight for 24 hours
+    'Vary' = 'Origin'
 }
 
 function Add-CorsHeaders {
-    param($response)
+    param($request, $response)
+    $origin = $request.Headers['Origin']
+    if ($origin -and $script:TrustedOrigins -contains $origin) {
+        $response.Headers.Add('Access-Control-Allow-Origin', $origin)
+    } elseif ($origin -eq 'null' -and $script:DiscoveryPaths -contains $request.Url.AbsolutePath) {
+        $response.Headers.Add('Access-Control-Allow-Origin', 'null')
+    }
     foreach ($header in $corsHeaders.GetEnumerator()) {
         $response.Headers.Add($header.Key, $header.Value)
     }
 }
 
+<#
+.SYNOPSIS
+    Writes one line of a newline-delimited JSON response
+.DESCRIPTION
+    Used by endpoints that stream their results. The line is flushed right
+    away so the GUI can render it before the response is complete.
+.PARAMETER Response
+    The HttpListenerResponse to write to (SendChunked)
+.PARAMETER Data
+    Hashtable serialized as the line
+#>
+function Write-JsonLine {
+    param(
+        [Parameter(Mandatory=$true)]
+        $Response,
+
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Data
+    )
+
+    $buffer = [System.Text.Encoding]::UTF8.GetBytes(($Data | ConvertTo-Json -Depth 10 -Compress) + "`n")
+    $Response.OutputStream.Write($buffer, 0, $buffer.Length)
+    $Response.OutputStream.Flush()
+}
+
 <#
 .SYNOPSIS
     Initializes and starts the HTTP server for handling GUI requests
@@ -155,15 +262,28 @@ function Start-PackageServer {
         Write-TerminalLog "Server started successfully at $url" "SUCCESS"
         
         # Main request handling loop
+        # Requests are awaited with a timeout so package job updates can be
+        # forwarded, event streams kept alive and the status cache saved
+        # between requests
+        $contextTask = $script:listener.GetContextAsync()
         while ($script:listener.IsListening) {
             try {
-                # Wait for and get request context
-                $context = $script:listener.GetContext()
+                Update-PackageJobs
+                Send-EventStreamHeartbeat
+                Save-PackageStatusCache
+                if (-not $contextTask.Wait($script:requestPollInterval)) {
+                    continue
+                }
+                
+                # Get request context and start waiting for the next one
+                $context = $contextTask.Result
+                $contextTask = $script:listener.GetContextAsync()
                 $request = $context.Request
                 $response = $context.Response
+                $responseDeferred = $false
                 
                 # Add CORS headers to all responses
-                Add-CorsHeaders $response
+                Add-CorsHeaders $request $response
                 
                 # Handle preflight requests efficiently
                 if ($request.HttpMethod -eq "OPTIONS") {
@@ -175,6 +295,19 @@ function Start-PackageServer {
                 # Log incoming request details
                 Write-TerminalLog "Received $($request.HttpMethod) request: $($request.RawUrl)" "REQUEST"
                 
+                # Refuse other host names, foreign web pages and mutating requests without the token
+                $access = Test-RequestAccess -Request $request
+                if (-not $access.allowed) {
+                    Write-TerminalLog "Rejected $($request.HttpMethod) $($request.RawUrl): $($access.error)" "WARNING"
+                    $buffer = [System.Text.Encoding]::UTF8.GetBytes((@{ success = $false; error = $access.error } | ConvertTo-Json -Compress))
+                    $response.StatusCode = $access.status
+                    $response.ContentType = "application/json; charset=utf-8"
+                    $response.ContentLength64 = $buffer.Length
+                    $response.OutputStream.Write($buffer, 0, $buffer.Length)
+                    $response.Close()
+                    continue
+                }
+                
                 # Try to serve static files first
                 if ($request.HttpMethod -eq "GET" -and -not $request.RawUrl.StartsWith("/api/")) {
                     $served = Serve-StaticFile -Request $request -Response $response
@@ -187,6 +320,18 @@ function Start-PackageServer {
                 
                 # Handle API endpoints
                 $result = switch -Regex ($request.RawUrl) {
+                    # Server Info Endpoint (client handshake / port discovery)
+                    '^/api/server-info$' {
+                        Write-TerminalLog "Processing server info request" "DEBUG"
+                        @{
+                            app = "twin-tool"
+                            port = $script:port
+                            url = $script:url
+                            pid = $PID
+                            startedAt = $script:startedAt
+                        }
+                    }
+                    
                     # Winget Version Endpoint
                     '/api/winget-version' {
                         Write-TerminalLog "Processing Winget version check request" "DEBUG"
@@ -196,13 +341,15 @@ function Start-PackageServer {
                     }
                     
                     # Winget Package List Endpoint
-                    '/api/winget/packages-list' {
+                    '^/api/winget/packages-list$' {
                         Write-TerminalLog "Processing Winget packages list request" "DEBUG"
                         $result = Get-PackageList -PackageType 'winget'
                         if ($result.success) {
+                            $response.Headers.Add("ETag", $result.etag)
                             @{
                                 success = $true
                                 packages = $result.packages
+                                etag = $result.etag
                             }
                         } else {
                             $response.StatusCode = 500
@@ -234,8 +381,10 @@ function Start-PackageServer {
                             $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                             $data = $body | ConvertFrom-Json
                             Write-TerminalLog "Processing single package status request for: $($data.appId)" "DEBUG"
+                            $status = Get-WingetSinglePackageStatus -AppId $data.appId -ForceRefresh:$data.refresh
+                            Send-PackageStatusEvent -Manager 'winget' -AppId $data.appId -Status $status
                             @{
-                                status = Get-WingetSinglePackageStatus -AppId $data.appId -ForceRefresh:$data.refresh
+                                status = $status
                             }
                         } else {
                             $response.StatusCode = 405
@@ -243,31 +392,7 @@ function Start-PackageServer {
                         }
                     }
                     
-                    # Winget Package Installation Endpoint
-                    '/api/winget/install-package' {
-                        if ($request.HttpMethod -eq "POST") {
-                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
-                            $data = $body | ConvertFrom-Json
-                            Write-TerminalLog "Processing package installation request for: $($data.appId)" "DEBUG"
-                            Install-WingetPackage -AppId $data.appId
-                        } else {
-                            $response.StatusCode = 405
-                            @{ error = "Method not allowed" }
-                        }
-                    }
                     
-                    # Winget Package Uninstallation Endpoint
-                    '/api/winget/uninstall-package' {
-                        if ($request.HttpMethod -eq "POST") {
-                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
-                            $data = $body | ConvertFrom-Json
-                            Write-TerminalLog "Processing package uninstallation request for: $($data.appId)" "DEBUG"
-                            Uninstall-WingetPackage -AppId $data.appId
-                        } else {
-                            $response.StatusCode = 405
-                            @{ error = "Method not allowed" }
-                        }
-                    }
                     
                     # Winget Bulk Status Endpoint
                     '/api/winget/bulk-status' {
@@ -284,6 +409,9 @@ function Start-PackageServer {
                                     $result = Get-WingetBulkPackageStatus -AppIds @($data.appId) -ForceRefresh:$true
                                     
                                     if ($result.success) {
+                                        foreach ($item in $result.results) {
+                                            Send-PackageStatusEvent -Manager 'winget' -AppId $item.appId -Status $item.status
+                                        }
                                         @{
                                             success = $true
                                             results = $result.results
@@ -313,6 +441,9 @@ function Start-PackageServer {
                                     $result = Get-WingetBulkPackageStatus -AppIds $appIds -ForceRefresh:$true
                                     
                                     if ($result.success) {
+                                        foreach ($item in $result.results) {
+                                            Send-PackageStatusEvent -Manager 'winget' -AppId $item.appId -Status $item.status
+                                        }
                                         @{
                                             success = $true
                                             results = $result.results
@@ -339,40 +470,46 @@ function Start-PackageServer {
                         }
                     }
                     
-                    # Operation Progress Endpoint
-                    '/api/winget/operation-progress/{appId}' {
-                        if ($request.HttpMethod -eq "GET") {
-                            $response.Headers.Add("Content-Type", "text/event-stream")
+                    
+                    # Status Stream Endpoint (one list pass, newline-delimited JSON)
+                    '^/api/(winget|choco)/status-stream$' {
+                        if ($request.HttpMethod -eq "POST") {
+                            $managerName = $matches[1]
+                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
+                            $data = $body | ConvertFrom-Json
+                            $appIds = @($data.appIds | Where-Object { $_ })
+                            if ($appIds.Count -eq 0) {
+                                $packagesList = Get-PackageList -PackageType $managerName
+                                $appIds = @($packagesList.packages | ForEach-Object { $_.app_id })
+                            }
+                            Write-TerminalLog "Processing $managerName status stream request for $($appIds.Count) packages" "DEBUG"
+
+                            $response.ContentType = "application/x-ndjson; charset=utf-8"
                             $response.Headers.Add("Cache-Control", "no-cache")
-                            $response.Headers.Add("Connection", "keep-alive")
-                            
-                            try {
-                                $appId = $request.Url.Segments[-1]
-                                $progressFile = Join-Path $env:TEMP "winget_progress_$appId.txt"
-                                
-                                while ($true) {
-                                    if (Test-Path $progressFile) {
-                                        $progress = Get-Content $progressFile | ConvertFrom-Json
-                                        $data = @{
-                                            progress = $progress.percentage
-                                            status = $progress.status
-                                        } | ConvertTo-Json
-                                        
-                                        $message = "data: $data`n`n"
-                                        $buffer = [System.Text.Encoding]::UTF8.GetBytes($message)
-                                        $response.OutputStream.Write($buffer, 0, $buffer.Length)
-                                        $response.OutputStream.Flush()
-                                        
-                                        if ($progress.complete) {
-                                            Remove-Item $progressFile
-                                            break
-                                        }
-                                    }
-                                    Start-Sleep -Milliseconds 100
+                            $response.SendChunked = $true
+                            Write-JsonLine -Response $response -Data @{ type = 'start'; total = $appIds.Count }
+
+                            $result = if ($appIds.Count -eq 0) {
+                                @{ success = $true; source = 'list'; results = @() }
+                            } elseif ($managerName -eq 'winget') {
+                                Get-WingetListedPackageStatus -AppIds $appIds -ForceRefresh:$data.refresh
+                            } else {
+                                Get-ChocoListedPackageStatus -AppIds $appIds -ForceRefresh:$data.refresh
+                            }
+
+                            # Headers are already sent, so failures are reported in the stream
+                            if ($result.success) {
+                                foreach ($item in $result.results) {
+                                    Write-JsonLine -Response $response -Data @{ type = 'status'; appId = $item.appId; status = $item.status }
+                                    Send-PackageStatusEvent -Manager $managerName -AppId $item.appId -Status $item.status
                                 }
-                            } catch {
-                                Write-TerminalLog "Error in progress stream: $($_.Exception.Message)" "ERROR"
+                                Write-JsonLine -Response $response -Data @{ type = 'complete'; checked = $result.results.Count; source = $result.source }
+                            } else {
+                                Write-JsonLine -Response $response -Data @{ type = 'error'; error = $result.error }
                             }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
                         }
                     }
                     
@@ -385,13 +522,15 @@ function Start-PackageServer {
                     }
                     
                     # Chocolatey Package List Endpoint
-                    '/api/choco/packages-list' {
+                    '^/api/choco/packages-list$' {
                         Write-TerminalLog "Processing Chocolatey packages list request" "DEBUG"
                         $result = Get-PackageList -PackageType 'choco'
                         if ($result.success) {
+                            $response.Headers.Add("ETag", $result.etag)
                             @{
                                 success = $true
                                 packages = $result.packages
+                                etag = $result.etag
                             }
                         } else {
                             $response.StatusCode = 500
@@ -408,8 +547,10 @@ function Start-PackageServer {
                             $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                             $data = $body | ConvertFrom-Json
                             Write-TerminalLog "Processing Chocolatey bulk package status request for: $($data.appId)" "DEBUG"
+                            $status = Get-ChocoBulkPackageStatus -AppId $data.appId -ForceRefresh:$data.refresh
+                            Send-PackageStatusEvent -Manager 'choco' -AppId $data.appId -Status $status
                             @{
-                                status = Get-ChocoBulkPackageStatus -AppId $data.appId -ForceRefresh:$data.refresh
+                                status = $status
                             }
                         } else {
                             $response.StatusCode = 405
@@ -423,8 +564,38 @@ function Start-PackageServer {
                             $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                             $data = $body | ConvertFrom-Json
                             Write-TerminalLog "Processing Chocolatey single package status request for: $($data.appId)" "DEBUG"
+                            $status = Get-ChocoSinglePackageStatus -AppId $data.appId -ForceRefresh:$data.refresh
+                            Send-PackageStatusEvent -Manager 'choco' -AppId $data.appId -Status $status
+                            @{
+                                status = $status
+                            }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
+                    
+                    
+                    # Chocolatey Installation Endpoint
+                    '^/api/choco-install$' {
+                        if ($request.HttpMethod -eq "POST") {
+                            Write-TerminalLog "Processing Chocolatey installation request" "DEBUG"
+                            @{
+                                result = Install-Chocolatey
+                            }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
+                    # Chocolatey Uninstallation Endpoint
+                    '^/api/choco-uninstall$' {
+                        if ($request.HttpMethod -eq "POST") {
+                            Write-TerminalLog "Processing Chocolatey uninstallation request" "DEBUG"
                             @{
-                                status = Get-ChocoSinglePackageStatus -AppId $data.appId -ForceRefresh:$data.refresh
+                                result = Uninstall-Chocolatey
                             }
                         } else {
                             $response.StatusCode = 405
@@ -432,87 +603,205 @@ function Start-PackageServer {
                         }
                     }
                     
-                    # Chocolatey Package Installation Endpoint
-                    '/api/choco/install-package' {
+                    
+                    # Package Installation/Uninstallation/Upgrade Endpoint
+                    # Answers right away with the id of the background job
+                    '^/api/(winget|choco)/(install|uninstall|upgrade)-package$' {
+                        $manager = $matches[1]
+                        $action = $matches[2]
                         if ($request.HttpMethod -eq "POST") {
                             $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                             $data = $body | ConvertFrom-Json
-                            Write-TerminalLog "Processing Chocolatey package installation request for: $($data.appId)" "DEBUG"
-                            Install-ChocoPackage -AppId $data.appId
+                            Write-TerminalLog "Processing $manager package $action request for: $($data.appId)" "DEBUG"
+                            $result = Start-PackageJob -Manager $manager -AppId $data.appId -Action $action -Version $data.version
+                            $response.StatusCode = if ($result.success) { 202 } else { 409 }
+                            $result
                         } else {
                             $response.StatusCode = 405
                             @{ error = "Method not allowed" }
                         }
                     }
                     
-                    # Chocolatey Package Uninstallation Endpoint
-                    '/api/choco/uninstall-package' {
+                    # Outdated Packages Endpoint (winget upgrade / choco outdated)
+                    '^/api/(winget|choco)/outdated-packages$' {
+                        $manager = $matches[1]
+                        Write-TerminalLog "Processing $manager outdated packages request" "DEBUG"
+                        $result = if ($manager -eq 'winget') { Get-WingetOutdatedPackages } else { Get-ChocoOutdatedPackages }
+                        if (-not $result.success) {
+                            $response.StatusCode = 500
+                        }
+                        $result
+                    }
+                    
+                    # Discover Endpoint (installed packages missing from the package list)
+                    '^/api/(winget|choco)/discover$' {
+                        $manager = $matches[1]
+                        Write-TerminalLog "Processing $manager discover request" "DEBUG"
+                        $result = Get-UnmanagedPackages -PackageType $manager
+                        if (-not $result.success) {
+                            $response.StatusCode = 500
+                        }
+                        $result
+                    }
+                    
+                    # Package Search Endpoint (winget search / choco search)
+                    '^/api/(winget|choco)/search$' {
+                        $manager = $matches[1]
                         if ($request.HttpMethod -eq "POST") {
                             $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                             $data = $body | ConvertFrom-Json
-                            Write-TerminalLog "Processing Chocolatey package uninstallation request for: $($data.appId)" "DEBUG"
-                            Uninstall-ChocoPackage -AppId $data.appId
+                            if ([string]::IsNullOrWhiteSpace($data.query)) {
+                                $response.StatusCode = 400
+                                @{ success = $false; error = "Search query is required" }
+                            } else {
+                                Write-TerminalLog "Processing $manager search request for: $($data.query)" "DEBUG"
+                                $result = if ($manager -eq 'winget') { Search-WingetPackages -Query $data.query.Trim() } else { Search-ChocoPackages -Query $data.query.Trim() }
+                                if (-not $result.success) {
+                                    $response.StatusCode = 500
+                                }
+                                $result
+                            }
                         } else {
                             $response.StatusCode = 405
                             @{ error = "Method not allowed" }
                         }
                     }
                     
-                    # Chocolatey Installation Endpoint
-                    '/api/choco-install' {
-                        Write-TerminalLog "Processing Chocolatey installation request" "DEBUG"
-                        @{
-                            result = Install-Chocolatey
+                    # Package Details Endpoint (winget show / choco info)
+                    '^/api/(winget|choco)/package-info$' {
+                        $manager = $matches[1]
+                        if ($request.HttpMethod -eq "POST") {
+                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
+                            $data = $body | ConvertFrom-Json
+                            Write-TerminalLog "Processing $manager package info request for: $($data.appId)" "DEBUG"
+                            $result = if ($manager -eq 'winget') { Get-WingetPackageInfo -AppId $data.appId } else { Get-ChocoPackageInfo -AppId $data.appId }
+                            if (-not $result.success) {
+                                $response.StatusCode = 404
+                            }
+                            $result
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
                         }
                     }
                     
-                    # Chocolatey Uninstallation Endpoint
-                    '/api/choco-uninstall' {
-                        Write-TerminalLog "Processing Chocolatey uninstallation request" "DEBUG"
-                        @{
-                            result = Uninstall-Chocolatey
+                    # Operation Cancellation Endpoint
+                    '^/api/(winget|choco)/cancel-operation$' {
+                        $manager = $matches[1]
+                        if ($request.HttpMethod -eq "POST") {
+                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
+                            $data = $body | ConvertFrom-Json
+                            Write-TerminalLog "Processing $manager cancel request for: $($data.appId)" "DEBUG"
+                            $job = Find-ActivePackageJob -Manager $manager -AppId $data.appId
+                            if ($job) {
+                                $result = Stop-PackageJob -Job $job
+                                if (-not $result.success) {
+                                    $response.StatusCode = 409
+                                }
+                                $result
+                            } else {
+                                $response.StatusCode = 404
+                                @{ success = $false; error = "No running operation for $($data.appId)" }
+                            }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
                         }
                     }
                     
-                    # Operation Progress Endpoint
-                    '/api/choco/operation-progress/{appId}' {
-                        if ($request.HttpMethod -eq "GET") {
-                            $response.Headers.Add("Content-Type", "text/event-stream")
-                            $response.Headers.Add("Cache-Control", "no-cache")
-                            $response.Headers.Add("Connection", "keep-alive")
-                            
-                            try {
-                                $appId = $request.Url.Segments[-1]
-                                $progressFile = Join-Path $env:TEMP "choco_progress_$appId.txt"
-                                
-                                while ($true) {
-                                    if (Test-Path $progressFile) {
-                                        $progress = Get-Content $progressFile | ConvertFrom-Json
-                                        $data = @{
-                                            progress = $progress.percentage
-                                            status = $progress.status
-                                        } | ConvertTo-Json
-                                        
-                                        $message = "data: $data`n`n"
-                                        $buffer = [System.Text.Encoding]::UTF8.GetBytes($message)
-                                        $response.OutputStream.Write($buffer, 0, $buffer.Length)
-                                        $response.OutputStream.Flush()
-                                        
-                                        if ($progress.complete) {
-                                            Remove-Item $progressFile
-                                            break
-                                        }
-                                    }
-                                    Start-Sleep -Milliseconds 100
+                    # Job List Endpoint
+                    '^/api/jobs$' {
+                        Write-TerminalLog "Processing job list request" "DEBUG"
+                        Get-PackageJobs
+                    }
+                    
+                    # Job Details Endpoint
+                    '^/api/jobs/(\d+)$' {
+                        $job = Get-PackageJob -Id $matches[1]
+                        if ($job) {
+                            @{
+                                success = $true
+                                job = ConvertTo-PackageJobSummary -Job $job -IncludeOutput
+                            }
+                        } else {
+                            $response.StatusCode = 404
+                            @{ success = $false; error = "Job $($matches[1]) not found" }
+                        }
+                    }
+                    
+                    # Job Event Stream Endpoint (server-sent events)
+                    '^/api/jobs/(\d+)/events$' {
+                        $job = Get-PackageJob -Id $matches[1]
+                        if ($job) {
+                            Add-PackageJobSubscriber -Job $job -Response $response
+                            $responseDeferred = $true
+                        } else {
+                            $response.StatusCode = 404
+                            @{ success = $false; error = "Job $($matches[1]) not found" }
+                        }
+                    }
+                    
+                    # Job Cancellation Endpoint
+                    '^/api/jobs/(\d+)/cancel$' {
+                        if ($request.HttpMethod -eq "POST") {
+                            $job = Get-PackageJob -Id $matches[1]
+                            if ($job) {
+                                $result = Stop-PackageJob -Job $job
+                                if (-not $result.success) {
+                                    $response.StatusCode = 409
                                 }
-                            } catch {
-                                Write-TerminalLog "Error in progress stream: $($_.Exception.Message)" "ERROR"
+                                $result
+                            } else {
+                                $response.StatusCode = 404
+                                @{ success = $false; error = "Job $($matches[1]) not found" }
                             }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
+                    # History Endpoint
+                    '^/api/history$' {
+                        Write-TerminalLog "Processing history request" "DEBUG"
+                        $result = Get-HistoryEvents
+                        if (-not $result.success) {
+                            $response.StatusCode = 500
+                        }
+                        $result
+                    }
+                    
+                    # Log Files Endpoint (terminal_*.log and gui_*.log in logs/)
+                    '^/api/logs$' {
+                        $result = Get-LogFiles
+                        if (-not $result.success) {
+                            $response.StatusCode = 500
+                        }
+                        $result
+                    }
+                    
+                    # Log File Entries Endpoint (?tail=N reads the last N lines)
+                    '^/api/logs/([^/?]+)(\?.*)?$' {
+                        $logName = [System.Uri]::UnescapeDataString($matches[1])
+                        $tail = 5000
+                        if (-not [int]::TryParse($request.QueryString['tail'], [ref]$tail) -or $tail -lt 1) {
+                            $tail = 5000
+                        }
+                        $result = Get-LogFileEntries -Name $logName -Tail $tail
+                        if (-not $result.success) {
+                            $response.StatusCode = if ($result.error -like 'Log file not found*') { 404 } else { 400 }
                         }
+                        $result
+                    }
+                    
+                    # Live Event Stream Endpoint (server-sent events for status, operations and logs)
+                    '^/api/events$' {
+                        Add-EventStreamClient -Response $response
+                        $responseDeferred = $true
                     }
                     
                     # GUI Logging Endpoint
-                    '/api/log' {
+                    '^/api/log$' {
                         if ($request.HttpMethod -eq "POST") {
                             $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                             $data = $body | ConvertFrom-Json
@@ -526,13 +815,142 @@ function Start-PackageServer {
                         }
                     }
                     
+                    # Batched GUI Logging Endpoint (lines the client queued or kept while offline)
+                    '^/api/log/batch$' {
+                        if ($request.HttpMethod -eq "POST") {
+                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
+                            $data = $body | ConvertFrom-Json
+                            $entries = @($data.entries | Where-Object { $_ -and $_.message })
+                            foreach ($entry in $entries) {
+                                $type = if ($LogColors.ContainsKey([string]$entry.type)) { [string]$entry.type } else { "INFO" }
+                                Write-GuiLog -Message $entry.message -Type $type -Timestamp $entry.timestamp
+                            }
+                            @{
+                                success = $true
+                                received = $entries.Count
+                            }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
+                    # Package List Revisions Endpoint (every save keeps a revision)
+                    '^/api/(winget|choco)/list-revisions$' {
+                        $manager = $matches[1]
+                        $result = Get-PackageListRevisions -PackageType $manager
+                        if (-not $result.success) {
+                            $response.StatusCode = 500
+                        }
+                        $result
+                    }
+                    
+                    # Package List Revision Endpoint (entries of one revision)
+                    '^/api/(winget|choco)/list-revisions/(\d+)$' {
+                        $manager = $matches[1]
+                        $revision = [int]$matches[2]
+                        $result = Get-PackageListRevision -PackageType $manager -Revision $revision
+                        if (-not $result.success) {
+                            $response.StatusCode = if ($result.found) { 500 } else { 404 }
+                        }
+                        $result
+                    }
+                    
+                    # Restore Package List Revision Endpoint
+                    '^/api/(winget|choco)/list-revisions/(\d+)/restore$' {
+                        $manager = $matches[1]
+                        $revision = [int]$matches[2]
+                        if ($request.HttpMethod -eq "POST") {
+                            $previous = Get-PackageList -PackageType $manager
+                            $conflict = if ($previous.success) { Get-PackageListConflict -List $previous -ETag $request.Headers['If-Match'] }
+                            if ($conflict) {
+                                Write-TerminalLog "Refused to restore revision $revision of the $manager package list: it changed since it was loaded" "WARNING"
+                                $response.StatusCode = 409
+                                $conflict
+                            } else {
+                                $result = Restore-PackageListRevision -PackageType $manager -Revision $revision
+                                if ($result.success) {
+                                    if ($previous.success) {
+                                        Add-PackageListHistory -PackageType $manager -Before @($previous.packages) -After @($result.packages)
+                                    }
+                                } else {
+                                    $response.StatusCode = if ($result.found -eq $false) { 404 } else { 500 }
+                                }
+                                $result
+                            }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
+                    # Package List Entry Endpoints (add, update or delete one entry)
+                    '^/api/(winget|choco)/packages-list/(add|update|delete)$' {
+                        $manager = $matches[1]
+                        $action = $matches[2]
+                        if ($request.HttpMethod -eq "POST") {
+                            try {
+                                $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
+                                $data = $body | ConvertFrom-Json
+                                $appId = if ($action -eq 'add') { $data.package.app_id } else { $data.appId }
+                                if (-not $appId -or ($action -ne 'delete' -and -not $data.package)) {
+                                    $response.StatusCode = 400
+                                    @{
+                                        success = $false
+                                        error = if ($action -eq 'delete') { "appId is required" } else { "A package entry with an app_id is required" }
+                                    }
+                                } else {
+                                    $result = Edit-PackageListEntry -PackageType $manager -Action $action -AppId $appId -Package $data.package -ETag $request.Headers['If-Match']
+                                    if (-not $result.success) {
+                                        $response.StatusCode = if ($result.conflict) { 409 } elseif ($result.found -eq $false) { 404 } elseif ($result.errors) { 422 } else { 500 }
+                                    }
+                                    $result
+                                }
+                            }
+                            catch {
+                                Write-TerminalLog "Error changing the $manager package list: $($_.Exception.Message)" "ERROR"
+                                $response.StatusCode = 500
+                                @{
+                                    success = $false
+                                    error = $_.Exception.Message
+                                }
+                            }
+                        }
+                        else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
                     # Save Package List Endpoint
                     '/api/save-package-list' {
                         if ($request.HttpMethod -eq "POST") {
                             try {
                                 $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
                                 $data = $body | ConvertFrom-Json
-                                Save-PackageList -PackageType $data.packageType -Packages $data.packages
+                                $previous = Get-PackageList -PackageType $data.packageType
+                                $conflict = if ($previous.success) { Get-PackageListConflict -List $previous -ETag $request.Headers['If-Match'] }
+                                $validation = if (-not $conflict) { Test-PackageList -PackageType $data.packageType -Packages @($data.packages) }
+                                if ($conflict) {
+                                    Write-TerminalLog "Refused to save the $($data.packageType) package list: it changed since it was loaded" "WARNING"
+                                    $response.StatusCode = 409
+                                    $conflict
+                                } elseif ($validation.valid) {
+                                    $result = Save-PackageList -PackageType $data.packageType -Packages $data.packages
+                                    if ($result.success -and $previous.success) {
+                                        Add-PackageListHistory -PackageType $data.packageType -Before @($previous.packages) -After @($data.packages)
+                                    }
+                                    $result.warnings = $validation.warnings
+                                    $result
+                                } else {
+                                    $response.StatusCode = 422
+                                    @{
+                                        success = $false
+                                        error = "Package list validation failed"
+                                        errors = $validation.errors
+                                        warnings = $validation.warnings
+                                    }
+                                }
                             }
                             catch {
                                 Write-TerminalLog "Error saving package list: $($_.Exception.Message)" "ERROR"
@@ -549,6 +967,41 @@ function Start-PackageServer {
                         }
                     }
                     
+                    # Package Profiles Endpoint
+                    '^/api/profiles$' {
+                        Write-TerminalLog "Processing package profiles request" "DEBUG"
+                        $result = Get-PackageProfiles
+                        if (-not $result.success) {
+                            $response.StatusCode = 500
+                        }
+                        $result
+                    }
+                    
+                    # Save Package Profiles Endpoint
+                    '^/api/save-profiles$' {
+                        if ($request.HttpMethod -eq "POST") {
+                            $body = [System.IO.StreamReader]::new($request.InputStream).ReadToEnd()
+                            $data = $body | ConvertFrom-Json
+                            $validation = Test-PackageProfiles -Profiles @($data.profiles)
+                            if ($validation.valid) {
+                                $result = Save-PackageProfiles -Profiles @($data.profiles)
+                                $result.warnings = $validation.warnings
+                                $result
+                            } else {
+                                $response.StatusCode = 422
+                                @{
+                                    success = $false
+                                    error = "Package profile validation failed"
+                                    errors = $validation.errors
+                                    warnings = $validation.warnings
+                                }
+                            }
+                        } else {
+                            $response.StatusCode = 405
+                            @{ error = "Method not allowed" }
+                        }
+                    }
+                    
                     # Static file serving
                     default {
                         Write-TerminalLog "Received request for unknown endpoint: $($request.RawUrl)" "WARNING"
@@ -574,11 +1027,13 @@ function Start-PackageServer {
                     $response.OutputStream.Flush()
                 }
                 
-                # Always close the response
-                $response.Close()
-                
-                # Log response details
-                Write-TerminalLog "Sent response: $($response.StatusCode)" "RESPONSE"
+                # Close the response unless it is answered later (running operations, event streams)
+                if (-not $responseDeferred) {
+                    $response.Close()
+                    
+                    # Log response details
+                    Write-TerminalLog "Sent response: $($response.StatusCode)" "RESPONSE"
+                }
             }
             catch {
                 # Handle request processing errors
@@ -608,6 +1063,8 @@ function Start-PackageServer {
     finally {
         # Ensure server is properly shut down
         if ($script:listener) {
+            Close-EventStreamClients
+            Save-PackageStatusCache
             $script:listener.Stop()
             Write-TerminalLog "Server stopped" "INFO"
             Cleanup-LogService
@@ -626,6 +1083,8 @@ function Stop-PackageServer {
     Write-TerminalLog "Stopping package management server..." "INFO"
     try {
         if ($script:listener) {
+            Close-EventStreamClients
+            Save-PackageStatusCache
             $script:listener.Stop()
             $script:listener.Close()
             Write-TerminalLog "Server stopped successfully" "SUCCESS"
@@ -102,7 +102,7 @@ function Get-ChocoSinglePackageStatus {
     Write-TerminalLog "Checking single Chocolatey package status: $AppId" "DEBUG"
     
     if (-not $ForceRefresh) {
-        $cachedStatus = Get-CachedPackageStatus -AppId $AppId
+        $cachedStatus = Get-CachedPackageStatus -Manager 'choco' -AppId $AppId
         if ($cachedStatus) {
             Write-TerminalLog "Returning cached status for Chocolatey package: $AppId" "DEBUG"
             return $cachedStatus
@@ -120,7 +120,7 @@ function Get-ChocoSinglePackageStatus {
                 installed = $false
                 version = $null
             }
-            Set-CachedPackageStatus -AppId $AppId -Status $status
+            Set-CachedPackageStatus -Manager 'choco' -AppId $AppId -Status $status
             Write-TerminalLog "Chocolatey package $AppId status: Not Installed" "INFO"
             return $status
         }
@@ -140,7 +140,7 @@ function Get-ChocoSinglePackageStatus {
                 version = $version
             }
             
-            Set-CachedPackageStatus -AppId $AppId -Status $status
+            Set-CachedPackageStatus -Manager 'choco' -AppId $AppId -Status $status
             Write-TerminalLog "Chocolatey package $AppId status: Installed v$version" "INFO"
             return $status
         }
@@ -150,7 +150,7 @@ function Get-ChocoSinglePackageStatus {
             installed = $false
             version = $null
         }
-        Set-CachedPackageStatus -AppId $AppId -Status $status
+        Set-CachedPackageStatus -Manager 'choco' -AppId $AppId -Status $status
         Write-TerminalLog "Chocolatey package $AppId status: Not Installed" "INFO"
         return $status
     }
@@ -161,63 +161,114 @@ function Get-ChocoSinglePackageStatus {
             installed = $false
             version = $null
         }
-        Set-CachedPackageStatus -AppId $AppId -Status $status
+        Set-CachedPackageStatus -Manager 'choco' -AppId $AppId -Status $status
         return $status
     }
 }
 
 <#
 .SYNOPSIS
-    Installs a package using Chocolatey
+    Gets the choco arguments for an install/uninstall/upgrade
+.PARAMETER AppId
+    The unique identifier of the package
+.PARAMETER Action
+    The operation to perform (install, uninstall or upgrade)
+.PARAMETER Version
+    Exact version to install; omit or pass "latest" for the newest version
+.RETURNS
+    Array of command line arguments
+#>
+function Get-ChocoOperationArguments {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('install', 'uninstall', 'upgrade')]
+        [string]$Action,
+
+        [string]$Version
+    )
+
+    $versionArguments = if ($Version -and $Version -ne 'latest') { @('--version', $Version) } else { @() }
+
+    switch ($Action) {
+        'install' {
+            return @('install', $AppId, '-y', '--ignore-checksums', '--no-progress') + $versionArguments
+        }
+        'upgrade' {
+            return @('upgrade', $AppId, '-y', '--ignore-checksums', '--no-progress')
+        }
+    }
+    return @('uninstall', $AppId, '-y')
+}
+
+<#
+.SYNOPSIS
+    Verifies the result of a finished Chocolatey install/uninstall/upgrade
 .DESCRIPTION
-    Initiates package installation and clears status cache
+    Scans the choco output for known error patterns and re-checks the
+    package status to build the operation result
 .PARAMETER AppId
-    The unique identifier of the package to install
+    The unique identifier of the package
+.PARAMETER Action
+    The operation that was performed (install, uninstall or upgrade)
+.PARAMETER ExitCode
+    Exit code of the choco process
+.PARAMETER Output
+    Captured choco output
 .RETURNS
-    Hashtable containing success status and message
+    Hashtable containing success status, message and package status
 #>
-function Install-ChocoPackage {
+function Complete-ChocoPackageOperation {
     param (
         [Parameter(Mandatory=$true)]
-        [string]$AppId
+        [string]$AppId,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('install', 'uninstall', 'upgrade')]
+        [string]$Action,
+
+        $ExitCode,
+
+        [string]$Output = ""
     )
-    
-    Write-TerminalLog "Starting installation of Chocolatey package: $AppId" "INFO"
-    
-    try {
-        # Clear the cache before installation
-        Clear-PackageStatusCache
+
+    Write-TerminalLog "Chocolatey $Action output (exit code $ExitCode): $Output" "DEBUG"
+
+    # Check for various error patterns
+    if ($Output -match "ERROR: (.+)" -or 
+        $Output -match "The (?:install|uninstall|upgrade) of .+ was NOT successful\." -or
+        $Output -match "Access to the path .+ is denied") {
+        # Only the ERROR: pattern captures the message; the others report the matched text
+        $errorMessage = if ($matches[1]) { $matches[1] } else { $matches[0] }
+        Write-TerminalLog "$Action error detected: $errorMessage" "ERROR"
         
-        # Run the installation command
-        Write-TerminalLog "Running choco install command for $AppId" "DEBUG"
-        $installResult = choco install $AppId -y --ignore-checksums --no-progress | Out-String
-        Write-TerminalLog "Chocolatey install output: $installResult" "DEBUG"
-
-        # Check for various error patterns
-        if ($installResult -match "ERROR: (.+)" -or 
-            $installResult -match "The install of .+ was NOT successful." -or
-            $installResult -match "Access to the path .+ is denied") {
-            $errorMessage = if ($matches[1]) { $matches[1] } else { $installResult }
-            Write-TerminalLog "Installation error detected: $errorMessage" "ERROR"
-            
+        return @{
+            success = $false
+            message = "$Action failed"
+            error = $errorMessage
+            status = Get-ChocoSinglePackageStatus -AppId $AppId -ForceRefresh
+        }
+    }
+
+    # Verify the result using single package status check
+    Write-TerminalLog "Verifying $Action status for $AppId" "DEBUG"
+    $status = Get-ChocoSinglePackageStatus -AppId $AppId -ForceRefresh
+
+    if ($Action -eq 'upgrade') {
+        if ($status.installed -and $ExitCode -eq 0) {
+            Write-TerminalLog "Successfully upgraded Chocolatey package $AppId to v$($status.version)" "SUCCESS"
             return @{
-                success = $false
-                message = "Installation failed"
-                error = $errorMessage
-                status = @{
-                    installed = $false
-                    version = $null
-                }
+                success = $true
+                message = "Package upgraded successfully"
+                version = $status.version
+                status = $status
             }
         }
-
-        # Wait a moment for installation to complete
-        Start-Sleep -Seconds 2
-        
-        # Check installation status using Get-ChocoSinglePackageStatus
-        Write-TerminalLog "Verifying installation status for $AppId" "DEBUG"
-        $status = Get-ChocoSinglePackageStatus -AppId $AppId -ForceRefresh
-        
+        $errorMsg = "Package upgrade failed with exit code $ExitCode"
+    }
+    elseif ($Action -eq 'install') {
         if ($status.installed) {
             Write-TerminalLog "Successfully installed Chocolatey package $AppId v$($status.version)" "SUCCESS"
             return @{
@@ -226,15 +277,56 @@ function Install-ChocoPackage {
                 version = $status.version
                 status = $status
             }
-        } else {
-            $errorMsg = "Package installation verification failed - package not found after install"
-            Write-TerminalLog $errorMsg "ERROR"
+        }
+        $errorMsg = "Package installation verification failed - package not found after install"
+    }
+    else {
+        if (-not $status.installed) {
+            Write-TerminalLog "Successfully uninstalled Chocolatey package $AppId" "SUCCESS"
             return @{
-                success = $false
-                message = $errorMsg
+                success = $true
+                message = "Package uninstalled successfully"
                 status = $status
             }
         }
+        $errorMsg = "Package uninstallation verification failed - package still appears to be installed"
+    }
+
+    Write-TerminalLog $errorMsg "ERROR"
+    return @{
+        success = $false
+        message = $errorMsg
+        status = $status
+    }
+}
+
+<#
+.SYNOPSIS
+    Installs a package using Chocolatey
+.DESCRIPTION
+    Runs the installation and waits for it to finish. The server starts
+    installs through Start-PackageJob instead, which runs them in the background.
+.PARAMETER AppId
+    The unique identifier of the package to install
+.PARAMETER Version
+    Exact version to install; omit or pass "latest" for the newest version
+.RETURNS
+    Hashtable containing success status and message
+#>
+function Install-ChocoPackage {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [string]$Version
+    )
+    
+    Write-TerminalLog "Starting installation of Chocolatey package: $AppId" "INFO"
+    
+    try {
+        $arguments = Get-ChocoOperationArguments -AppId $AppId -Action 'install' -Version $Version
+        $output = choco @arguments | Out-String
+        return Complete-ChocoPackageOperation -AppId $AppId -Action 'install' -ExitCode $LASTEXITCODE -Output $output
     }
     catch {
         $errorMsg = "Installation failed: $($_.Exception.Message)"
@@ -255,7 +347,8 @@ function Install-ChocoPackage {
 .SYNOPSIS
     Uninstalls a package using Chocolatey
 .DESCRIPTION
-    Initiates package uninstallation and clears status cache
+    Runs the uninstallation and waits for it to finish. The server starts
+    uninstalls through Start-PackageJob instead, which runs them in the background.
 .PARAMETER AppId
     The unique identifier of the package to uninstall
 .RETURNS
@@ -270,34 +363,162 @@ function Uninstall-ChocoPackage {
     Write-TerminalLog "Starting uninstallation of Chocolatey package: $AppId" "INFO"
     
     try {
-        # Run the uninstallation command
-        Write-TerminalLog "Running choco uninstall command for $AppId" "DEBUG"
-        $uninstallResult = choco uninstall $AppId -y | Out-String
-        Write-TerminalLog "Chocolatey uninstall output: $uninstallResult" "DEBUG"
-
-        # Verify uninstallation using single package status check
-        Write-TerminalLog "Verifying uninstallation status for $AppId" "DEBUG"
-        $verificationStatus = Get-ChocoSinglePackageStatus -AppId $AppId -ForceRefresh
-        
-        if (-not $verificationStatus.installed) {
-            Write-TerminalLog "Successfully uninstalled Chocolatey package $AppId" "SUCCESS"
-            return @{
-                success = $true
-                message = "Package uninstalled successfully"
+        $arguments = Get-ChocoOperationArguments -AppId $AppId -Action 'uninstall'
+        $output = choco @arguments | Out-String
+        return Complete-ChocoPackageOperation -AppId $AppId -Action 'uninstall' -ExitCode $LASTEXITCODE -Output $output
+    }
+    catch {
+        Write-TerminalLog "Failed to uninstall Chocolatey package: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            message = "Uninstallation failed: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets the installed Chocolatey packages that have an update available
+.DESCRIPTION
+    Runs choco outdated once and parses its limited output
+    (id|current|available|pinned)
+.RETURNS
+    Hashtable containing success status and packages array
+    ({ appId, version, available, pinned })
+#>
+function Get-ChocoOutdatedPackages {
+    Write-TerminalLog "Checking for Chocolatey package updates..." "DEBUG"
+
+    try {
+        $output = choco outdated --limit-output --ignore-unfound | Out-String
+        Write-TerminalLog "Raw choco outdated output:`n$output" "DEBUG"
+
+        $packages = @($output -split "`n" | ForEach-Object { $_.Trim() } | Where-Object { $_ -match '^[^|]+\|[^|]*\|[^|]*\|(true|false)$' } | ForEach-Object {
+            $parts = $_ -split '\|'
+            @{
+                appId = $parts[0]
+                version = $parts[1]
+                available = $parts[2]
+                pinned = $parts[3] -eq 'true'
             }
-        } else {
-            Write-TerminalLog "Package uninstallation verification failed for $AppId" "ERROR"
-            return @{
-                success = $false
-                message = "Package uninstallation verification failed - package still appears to be installed"
+        })
+
+        Write-TerminalLog "Found $($packages.Count) Chocolatey packages with updates available" "INFO"
+        return @{
+            success = $true
+            packages = $packages
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to check for Chocolatey updates: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to check for updates: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets every package installed on the machine through Chocolatey
+.DESCRIPTION
+    Runs choco list once and parses its limited output (id|version)
+.RETURNS
+    Hashtable containing success status and packages array
+    ({ appId, name, version, source })
+#>
+function Get-ChocoInstalledPackages {
+    Write-TerminalLog "Listing installed Chocolatey packages..." "DEBUG"
+
+    try {
+        $output = choco list --limit-output | Out-String
+        Write-TerminalLog "Raw choco list output:`n$output" "DEBUG"
+
+        $packages = @($output -split "`n" | ForEach-Object { $_.Trim() } | Where-Object { $_ -match '^[^|]+\|[^|]+$' } | ForEach-Object {
+            $parts = $_ -split '\|'
+            @{
+                appId = $parts[0]
+                name = $parts[0]
+                version = $parts[1]
+                source = 'chocolatey'
             }
+        })
+
+        Write-TerminalLog "Found $($packages.Count) installed Chocolatey packages" "INFO"
+        return @{
+            success = $true
+            packages = $packages
         }
     }
     catch {
-        Write-TerminalLog "Failed to uninstall Chocolatey package: $($_.Exception.Message)" "ERROR"
+        Write-TerminalLog "Failed to list installed Chocolatey packages: $($_.Exception.Message)" "ERROR"
         return @{
             success = $false
-            message = "Uninstallation failed: $($_.Exception.Message)"
+            error = "Failed to list installed packages: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets the status of many Chocolatey packages from a single choco list call
+.DESCRIPTION
+    Runs choco list once and matches every requested id against its output
+    instead of running choco list per package. Results are served from the
+    package status cache when every id has a cache entry.
+.PARAMETER AppIds
+    The unique identifiers of the packages to check
+.PARAMETER ForceRefresh
+    If true, bypasses cache and performs fresh check
+.RETURNS
+    Hashtable containing success status, results array ({ appId, status })
+    and source (list or cache)
+#>
+function Get-ChocoListedPackageStatus {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string[]]$AppIds,
+        [switch]$ForceRefresh
+    )
+
+    if (-not $ForceRefresh) {
+        $cached = @($AppIds | ForEach-Object { @{ appId = $_; status = Get-CachedPackageStatus -Manager 'choco' -AppId $_ } })
+        if (-not ($cached | Where-Object { -not $_.status })) {
+            Write-TerminalLog "Returning cached status for $($AppIds.Count) Chocolatey packages" "DEBUG"
+            return @{
+                success = $true
+                source = 'cache'
+                results = $cached
+            }
         }
     }
-} 
\ No newline at end of file
+
+    $installed = Get-ChocoInstalledPackages
+    if (-not $installed.success) {
+        return $installed
+    }
+
+    # Hashtable keys compare case-insensitively, like package ids
+    $installedIds = @{}
+    foreach ($package in $installed.packages) {
+        $installedIds[$package.appId] = $package
+    }
+
+    $results = @(foreach ($appId in $AppIds) {
+        $package = $installedIds[$appId]
+        $status = @{
+            installed = [bool]$package
+            version = if ($package) { $package.version } else { $null }
+        }
+        Set-CachedPackageStatus -Manager 'choco' -AppId $appId -Status $status
+        @{ appId = $appId; status = $status }
+    })
+
+    $installedCount = @($results | Where-Object { $_.status.installed }).Count
+    Write-TerminalLog "Chocolatey list pass: $installedCount of $($AppIds.Count) packages installed" "INFO"
+    return @{
+        success = $true
+        source = 'list'
+        results = $results
+    }
+}
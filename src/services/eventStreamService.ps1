@@ -0,0 +1,191 @@
+# Event Stream Service Module
+# Keeps one server-sent event stream open per browser tab and pushes package
+# status changes, operation lifecycle events and terminal log lines to all of
+# them, so every open tab shows the same state without polling.
+
+#Requires -Version 5.0
+
+# Import required services
+. "$PSScriptRoot\logService.ps1"
+
+# Open event streams (HttpListenerResponse objects)
+$script:EventStreamClients = New-Object System.Collections.ArrayList
+$script:NextServerEventId = 1
+$script:EventStreamHeartbeatInterval = 15  # Seconds between keep-alive comments
+$script:LastEventStreamHeartbeat = Get-Date
+$script:EventStreamRetryDelay = 3000  # Reconnect delay suggested to EventSource clients (milliseconds)
+
+<#
+.SYNOPSIS
+    Writes raw event stream text to every connected client
+.DESCRIPTION
+    Clients whose connection is gone are aborted and dropped. Nothing is
+    logged here, because every terminal log line is itself sent through this
+    function.
+.PARAMETER Text
+    Event stream text, including the terminating blank line
+#>
+function Write-EventStreamText {
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$Text
+    )
+
+    $buffer = [System.Text.Encoding]::UTF8.GetBytes($Text)
+    foreach ($client in @($script:EventStreamClients)) {
+        try {
+            $client.OutputStream.Write($buffer, 0, $buffer.Length)
+            $client.OutputStream.Flush()
+        }
+        catch {
+            # Release the connection of the closed tab
+            try { $client.Abort() } catch { }
+            $script:EventStreamClients.Remove($client)
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Pushes an event to every connected tab
+.PARAMETER Type
+    Event name (status, operation, log)
+.PARAMETER Data
+    Hashtable serialized as the event data
+#>
+function Send-ServerEvent {
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$Type,
+
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Data
+    )
+
+    if ($script:EventStreamClients.Count -eq 0) {
+        return
+    }
+
+    $json = $Data | ConvertTo-Json -Depth 10 -Compress
+    Write-EventStreamText "id: $($script:NextServerEventId)`nevent: $Type`ndata: $json`n`n"
+    $script:NextServerEventId++
+}
+
+<#
+.SYNOPSIS
+    Pushes the current status of a package to every connected tab
+.PARAMETER Manager
+    The package manager (winget or choco)
+.PARAMETER AppId
+    The unique identifier of the package
+.PARAMETER Status
+    Status as returned by the status services ({ installed, version, checkedAt, ... })
+#>
+function Send-PackageStatusEvent {
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$Manager,
+
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        $Status
+    )
+
+    if (-not $Status) {
+        return
+    }
+
+    Send-ServerEvent -Type 'status' -Data @{
+        manager = $Manager
+        appId = $AppId
+        status = @{
+            installed = [bool]$Status.installed
+            version = $Status.version
+            checkedAt = $Status.checkedAt
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Turns an HTTP response into a persistent event stream
+.DESCRIPTION
+    The response stays open until the tab closes or the server stops. The
+    first event (hello) carries the server start time so clients can tell a
+    reconnect from a server restart.
+.PARAMETER Response
+    The HttpListenerResponse to stream to
+#>
+function Add-EventStreamClient {
+    param(
+        [Parameter(Mandatory=$true)]
+        $Response
+    )
+
+    $Response.ContentType = "text/event-stream"
+    $Response.Headers.Add("Cache-Control", "no-cache")
+    $Response.SendChunked = $true
+
+    $hello = @{
+        startedAt = $script:startedAt
+        clients = $script:EventStreamClients.Count + 1
+    } | ConvertTo-Json -Compress
+    $buffer = [System.Text.Encoding]::UTF8.GetBytes("retry: $($script:EventStreamRetryDelay)`nevent: hello`ndata: $hello`n`n")
+
+    try {
+        $Response.OutputStream.Write($buffer, 0, $buffer.Length)
+        $Response.OutputStream.Flush()
+        $null = $script:EventStreamClients.Add($Response)
+        Write-TerminalLog "Event stream opened ($($script:EventStreamClients.Count) connected)" "DEBUG"
+    }
+    catch {
+        Write-TerminalLog "Failed to open event stream: $($_.Exception.Message)" "WARNING"
+    }
+}
+
+<#
+.SYNOPSIS
+    Keeps idle event streams alive and drops disconnected ones
+.DESCRIPTION
+    Called by the server loop. Sends a comment line every
+    EventStreamHeartbeatInterval seconds; writing to a closed tab fails and
+    removes it from the client list.
+#>
+function Send-EventStreamHeartbeat {
+    if (((Get-Date) - $script:LastEventStreamHeartbeat).TotalSeconds -lt $script:EventStreamHeartbeatInterval) {
+        return
+    }
+
+    $script:LastEventStreamHeartbeat = Get-Date
+    if ($script:EventStreamClients.Count -gt 0) {
+        Write-EventStreamText ": heartbeat`n`n"
+    }
+}
+
+<#
+.SYNOPSIS
+    Closes every open event stream
+.DESCRIPTION
+    Called on server shutdown so tabs notice the disconnect right away.
+#>
+function Close-EventStreamClients {
+    foreach ($client in @($script:EventStreamClients)) {
+        try {
+            $client.Close()
+        }
+        catch {
+            # The tab is already gone
+        }
+    }
+    $script:EventStreamClients.Clear()
+}
+
+# Forward terminal log lines to the connected tabs. GUI log lines come from
+# the tabs themselves and are not echoed back.
+Register-LogListener {
+    param($Entry)
+    if ($Entry.source -eq 'TERMINAL') {
+        Send-ServerEvent -Type 'log' -Data $Entry
+    }
+}
@@ -0,0 +1,183 @@
+# History Service Module
+# Keeps a persistent audit trail of package operations (install, uninstall,
+# upgrade) and package list edits in operation_history.jsonl, one JSON event
+# per line, so the History tab can show what changed, when and with what
+# result across server restarts.
+
+#Requires -Version 5.0
+
+# Import required services
+. "$PSScriptRoot\logService.ps1"
+
+$script:HistoryFilePath = Join-Path (Split-Path -Parent (Split-Path -Parent $PSScriptRoot)) "operation_history.jsonl"
+$script:MaxHistoryEvents = 5000  # Most recent events returned to the History tab
+
+# Services dot-source this module again, so count the saved events only once
+if ($null -eq $script:NextHistoryEventId) {
+    $script:NextHistoryEventId = 1
+    if (Test-Path $script:HistoryFilePath) {
+        $script:NextHistoryEventId = @(Get-Content $script:HistoryFilePath | Where-Object { $_ -match '\S' }).Count + 1
+    }
+}
+
+<#
+.SYNOPSIS
+    Records an event in the history
+.DESCRIPTION
+    Gives the event an id and timestamp, appends it to the history file and
+    pushes it to every open tab as a 'history' event.
+.PARAMETER Entry
+    Hashtable with type (operation or list), manager, appId, action, result
+    and the optional fields versionBefore, versionAfter, durationMs,
+    exitCode, error, jobId, requestedVersion and details
+#>
+function Add-HistoryEvent {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Entry
+    )
+
+    $Entry.id = $script:NextHistoryEventId
+    $script:NextHistoryEventId++
+    if (-not $Entry.timestamp) {
+        $Entry.timestamp = (Get-Date).ToString("o")
+    }
+
+    try {
+        Add-Content -Path $script:HistoryFilePath -Value ($Entry | ConvertTo-Json -Depth 5 -Compress) -Encoding UTF8
+    }
+    catch {
+        Write-TerminalLog "Failed to write history event: $($_.Exception.Message)" "WARNING"
+    }
+
+    Send-ServerEvent -Type 'history' -Data $Entry
+}
+
+<#
+.SYNOPSIS
+    Gets the most recent history events
+.RETURNS
+    Hashtable containing success status, events array (newest first) and
+    the total number of recorded events
+#>
+function Get-HistoryEvents {
+    if (-not (Test-Path $script:HistoryFilePath)) {
+        return @{
+            success = $true
+            events = @()
+            total = 0
+        }
+    }
+
+    try {
+        $lines = @(Get-Content $script:HistoryFilePath -Encoding UTF8 | Where-Object { $_ -match '\S' })
+        $recent = @($lines | Select-Object -Last $script:MaxHistoryEvents)
+        [array]::Reverse($recent)
+
+        $events = @(foreach ($line in $recent) {
+            try {
+                $line | ConvertFrom-Json
+            }
+            catch {
+                Write-TerminalLog "Skipping unreadable history line: $line" "DEBUG"
+            }
+        })
+
+        @{
+            success = $true
+            events = $events
+            total = $lines.Count
+        }
+    }
+    catch {
+        Write-TerminalLog "Error reading history: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            error = $_.Exception.Message
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Records the differences between two versions of a package list
+.DESCRIPTION
+    Writes one list-add, list-remove or list-update event per entry that
+    changed. Updates name the changed fields in details.
+.PARAMETER PackageType
+    The package list that was saved (winget or choco)
+.PARAMETER Before
+    Entries of the list before the save
+.PARAMETER After
+    Entries of the list after the save
+#>
+function Add-PackageListHistory {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType,
+
+        [array]$Before = @(),
+
+        [array]$After = @()
+    )
+
+    # An empty list reads as $null
+    $Before = @($Before | Where-Object { $_ })
+    $After = @($After | Where-Object { $_ })
+
+    # Hashtable keys compare case-insensitively, like package ids
+    $previous = @{}
+    foreach ($package in $Before) {
+        $previous[$package.app_id] = $package
+    }
+
+    $current = @{}
+    foreach ($package in $After) {
+        $current[$package.app_id] = $package
+        $old = $previous[$package.app_id]
+
+        if (-not $old) {
+            Add-HistoryEvent -Entry @{
+                type = 'list'
+                manager = $PackageType
+                appId = $package.app_id
+                action = 'list-add'
+                result = 'completed'
+                versionAfter = $package.version
+                details = "Added $($package.app_name)"
+            }
+            continue
+        }
+
+        $fields = @(@($old.PSObject.Properties.Name) + @($package.PSObject.Properties.Name) | Select-Object -Unique | Where-Object {
+            (ConvertTo-Json -InputObject $old.$_ -Depth 5 -Compress) -ne (ConvertTo-Json -InputObject $package.$_ -Depth 5 -Compress)
+        })
+        if ($fields.Count -gt 0) {
+            Add-HistoryEvent -Entry @{
+                type = 'list'
+                manager = $PackageType
+                appId = $package.app_id
+                action = 'list-update'
+                result = 'completed'
+                versionBefore = $old.version
+                versionAfter = $package.version
+                details = "Changed $($fields -join ', ')"
+            }
+        }
+    }
+
+    foreach ($package in $Before) {
+        if (-not $current.ContainsKey($package.app_id)) {
+            Add-HistoryEvent -Entry @{
+                type = 'list'
+                manager = $PackageType
+                appId = $package.app_id
+                action = 'list-remove'
+                result = 'completed'
+                versionBefore = $package.version
+                details = "Removed $($package.app_name)"
+            }
+        }
+    }
+}
@@ -25,6 +25,13 @@ $timestamp = Get-Date -Format "yyyy-MM-dd_HH-mm-ss"
 $terminalLogFile = Join-Path $logsPath "terminal_$timestamp.log"
 $guiLogFile = Join-Path $logsPath "gui_$timestamp.log"
 
+# Callbacks invoked with every log entry (see Register-LogListener).
+# Services dot-source this module again, so keep listeners registered earlier.
+if ($null -eq $script:LogListeners) {
+    $script:LogListeners = New-Object System.Collections.ArrayList
+}
+$script:NotifyingLogListeners = $false
+
 # Create mutexes for file access synchronization
 $script:terminalLogMutex = New-Object System.Threading.Mutex($false, "Global\TerminalLogMutex")
 $script:guiLogMutex = New-Object System.Threading.Mutex($false, "Global\GuiLogMutex")
@@ -49,6 +56,9 @@ if (-not (Test-Path $guiLogFile)) {
     The type of message (INFO, DEBUG, SUCCESS, WARNING, ERROR, REQUEST, RESPONSE)
 .PARAMETER Source
     The source of the log (TERMINAL or GUI)
+.PARAMETER Timestamp
+    Time of the entry as "yyyy-MM-dd HH:mm:ss" (defaults to now); GUI lines
+    sent in batches keep the time they were logged
 #>
 function Write-Log {
     param(
@@ -59,11 +69,16 @@ function Write-Log {
         [string]$Type = "INFO",
         
         [Parameter(Mandatory=$false)]
-        [string]$Source = "TERMINAL"
+        [string]$Source = "TERMINAL",
+        
+        [Parameter(Mandatory=$false)]
+        [string]$Timestamp
     )
 
-    $timestamp = Get-Date -Format "yyyy-MM-dd HH:mm:ss"
-    $logMessage = "[$timestamp] $Type : $Message"
+    if ($Timestamp -notmatch '^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$') {
+        $Timestamp = Get-Date -Format "yyyy-MM-dd HH:mm:ss"
+    }
+    $logMessage = "[$Timestamp] $Type : $Message"
     
     # Write to console with color
     $color = $LogColors[$Type]
@@ -92,6 +107,28 @@ function Write-Log {
     catch {
         Write-Host "Error writing to log file: $($_.Exception.Message)" -ForegroundColor Red
     }
+
+    # Listeners that log themselves must not be called again for their own lines
+    if ($script:LogListeners.Count -gt 0 -and -not $script:NotifyingLogListeners) {
+        $script:NotifyingLogListeners = $true
+        try {
+            $entry = @{
+                timestamp = $Timestamp
+                level = $Type
+                source = $Source
+                message = $Message
+            }
+            foreach ($listener in @($script:LogListeners)) {
+                & $listener $entry
+            }
+        }
+        catch {
+            Write-Host "Error in log listener: $($_.Exception.Message)" -ForegroundColor Red
+        }
+        finally {
+            $script:NotifyingLogListeners = $false
+        }
+    }
 }
 
 <#
@@ -124,10 +161,31 @@ function Write-GuiLog {
         [string]$Message,
         
         [Parameter(Mandatory=$false)]
-        [string]$Type = "INFO"
+        [string]$Type = "INFO",
+        
+        [Parameter(Mandatory=$false)]
+        [string]$Timestamp
     )
     
-    Write-Log -Message $Message -Type $Type -Source "GUI"
+    Write-Log -Message $Message -Type $Type -Source "GUI" -Timestamp $Timestamp
+}
+
+<#
+.SYNOPSIS
+    Registers a callback for every log entry
+.DESCRIPTION
+    The callback receives a hashtable with timestamp, level, source
+    (TERMINAL or GUI) and message after the entry has been written.
+.PARAMETER Listener
+    Script block called with the log entry
+#>
+function Register-LogListener {
+    param(
+        [Parameter(Mandatory=$true)]
+        [scriptblock]$Listener
+    )
+
+    $null = $script:LogListeners.Add($Listener)
 }
 
 <#
@@ -143,6 +201,114 @@ function Get-CurrentLogFiles {
     }
 }
 
+<#
+.SYNOPSIS
+    Lists the log files in the logs directory
+.DESCRIPTION
+    Returns every terminal_*.log and gui_*.log file, newest first, marking
+    the files written by the current session.
+.RETURNS
+    Hashtable containing success status and a files array (name, source,
+    session, size, modified, current)
+#>
+function Get-LogFiles {
+    try {
+        $current = @((Split-Path -Leaf $terminalLogFile), (Split-Path -Leaf $guiLogFile))
+        $files = @(Get-ChildItem -Path $logsPath -File | Where-Object { $_.Name -match '^(terminal|gui)_([\d_-]+)\.log$' } | Sort-Object LastWriteTime -Descending | ForEach-Object {
+            $null = $_.Name -match '^(terminal|gui)_([\d_-]+)\.log$'
+            @{
+                name = $_.Name
+                source = $matches[1]
+                session = $matches[2]
+                size = $_.Length
+                modified = $_.LastWriteTime.ToString("o")
+                current = $current -contains $_.Name
+            }
+        })
+
+        @{
+            success = $true
+            files = $files
+        }
+    }
+    catch {
+        Write-TerminalLog "Error listing log files: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            error = $_.Exception.Message
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Reads the entries of a log file
+.DESCRIPTION
+    Parses "[timestamp] TYPE : message" lines; lines without that prefix
+    continue the message of the entry before them.
+.PARAMETER Name
+    File name in the logs directory (terminal_*.log or gui_*.log)
+.PARAMETER Tail
+    Number of lines to read from the end of the file
+.RETURNS
+    Hashtable containing success status and an entries array (timestamp,
+    level, source, message), oldest first
+#>
+function Get-LogFileEntries {
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$Name,
+
+        [int]$Tail = 5000
+    )
+
+    # Only plain file names of the logs directory, so no other file can be read
+    if ($Name -notmatch '^(terminal|gui)_[\d_-]+\.log$') {
+        return @{
+            success = $false
+            error = "Invalid log file name: $Name"
+        }
+    }
+    $source = $matches[1].ToUpper()
+
+    $path = Join-Path $logsPath $Name
+    if (-not (Test-Path $path)) {
+        return @{
+            success = $false
+            error = "Log file not found: $Name"
+        }
+    }
+
+    try {
+        $entries = New-Object System.Collections.ArrayList
+        foreach ($line in @(Get-Content -Path $path -Tail $Tail)) {
+            if ($line -match '^\[(\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2})\] (\w+) : (.*)$') {
+                $null = $entries.Add(@{
+                    timestamp = $matches[1]
+                    level = $matches[2]
+                    source = $source
+                    message = $matches[3]
+                })
+            } elseif ($entries.Count -gt 0) {
+                $entries[$entries.Count - 1].message += "`n$line"
+            }
+        }
+
+        @{
+            success = $true
+            name = $Name
+            entries = @($entries)
+        }
+    }
+    catch {
+        Write-TerminalLog "Error reading log file ${Name}: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            error = $_.Exception.Message
+        }
+    }
+}
+
 # Cleanup function to dispose of mutexes
 function Cleanup-LogService {
     if ($script:terminalLogMutex) {
@@ -1,5 +1,12 @@
 # Package Editor Service
-# Provides functionality for managing package lists for both Winget and Chocolatey
+# Provides functionality for managing package lists for both Winget and Chocolatey.
+# Every save also keeps a numbered revision of the list in
+# list_revisions\<manager>\<revision>.json, so earlier versions can be
+# compared and restored. Lists carry an entity tag (a hash of the file) so
+# that saves based on an outdated copy are refused instead of overwriting
+# changes made elsewhere.
+
+$script:MaxListRevisions = 200  # Oldest revisions beyond this are deleted
 
 <#
 .SYNOPSIS
@@ -31,6 +38,7 @@ function Get-PackageList {
         @{
             success = $true
             packages = $data.packages
+            etag = Get-PackageListETag -Path $filePath
         }
     }
     catch {
@@ -46,11 +54,15 @@ function Get-PackageList {
 .SYNOPSIS
     Saves the package list for the specified package type
 .DESCRIPTION
-    Saves the provided package list to the appropriate JSON file
+    Saves the provided package list to the appropriate JSON file and keeps
+    it as a new revision. The first save of a list that has no revisions yet
+    also keeps the list as it was before.
 .PARAMETER PackageType
     The type of packages to save (winget or choco)
 .PARAMETER Packages
     The array of packages to save
+.PARAMETER Note
+    Short description of the change stored with the revision
 #>
 function Save-PackageList {
     param(
@@ -59,7 +71,10 @@ function Save-PackageList {
         [string]$PackageType,
 
         [Parameter(Mandatory=$true)]
-        [array]$Packages
+        [AllowEmptyCollection()]
+        [array]$Packages,
+
+        [string]$Note = "Saved"
     )
 
     try {
@@ -71,15 +86,25 @@ function Save-PackageList {
         if (Test-Path $filePath) {
             Copy-Item -Path $filePath -Destination $backupPath -Force
             Write-TerminalLog "Created backup of $fileName" "DEBUG"
+
+            if ((Get-PackageListRevisionFiles -PackageType $PackageType).Count -eq 0) {
+                $original = Get-PackageList -PackageType $PackageType
+                if ($original.success) {
+                    $null = Add-PackageListRevision -PackageType $PackageType -Packages @($original.packages | Where-Object { $_ }) -Note "Before the first tracked save"
+                }
+            }
         }
 
         # Save new data
         @{ packages = $Packages } | ConvertTo-Json -Depth 10 | Set-Content -Path $filePath
         Write-TerminalLog "Successfully saved package list to $fileName" "SUCCESS"
+        $revision = Add-PackageListRevision -PackageType $PackageType -Packages $Packages -Note $Note
 
         @{
             success = $true
             message = "Package list saved successfully"
+            revision = $revision
+            etag = Get-PackageListETag -Path $filePath
         }
     }
     catch {
@@ -89,4 +114,656 @@ function Save-PackageList {
             error = $_.Exception.Message
         }
     }
-} 
\ No newline at end of file
+} 
+
+<#
+.SYNOPSIS
+    Gets the entity tag of a package list file
+.DESCRIPTION
+    The tag is a hash of the file content, so every change of the list gives
+    a new tag, including restores and edits made outside Twin Tool.
+.PARAMETER Path
+    Path of the package list file
+#>
+function Get-PackageListETag {
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$Path
+    )
+
+    '"' + (Get-FileHash -Path $Path -Algorithm SHA256).Hash.Substring(0, 16).ToLower() + '"'
+}
+
+<#
+.SYNOPSIS
+    Checks whether a change was based on the current package list
+.PARAMETER List
+    Result of Get-PackageList for the current list
+.PARAMETER ETag
+    Entity tag of the list the change was based on (the If-Match header);
+    empty or "*" skips the check
+.RETURNS
+    $null when the change may be saved, otherwise a failed result with
+    conflict = $true and the current packages and etag
+#>
+function Get-PackageListConflict {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$List,
+
+        [string]$ETag
+    )
+
+    if (-not $ETag -or $ETag -eq '*' -or $ETag -eq $List.etag) {
+        return $null
+    }
+
+    @{
+        success = $false
+        conflict = $true
+        error = "The package list was changed since it was loaded"
+        etag = $List.etag
+        packages = @($List.packages | Where-Object { $_ })
+    }
+}
+
+<#
+.SYNOPSIS
+    Adds, updates or deletes one entry of a package list
+.DESCRIPTION
+    Applies the change to the saved list, validates the result (not for
+    deletes), saves it as a new revision and records the change in the
+    history.
+.PARAMETER PackageType
+    The package list (winget or choco)
+.PARAMETER Action
+    add, update or delete
+.PARAMETER AppId
+    Id of the entry to update or delete
+.PARAMETER Package
+    The new or updated entry
+.PARAMETER ETag
+    Entity tag of the list the change was based on; the change is refused
+    with conflict = $true when the list changed since
+.RETURNS
+    Hashtable containing success status, revision, etag and warnings; found
+    is $false for unknown ids and errors holds validation errors
+#>
+function Edit-PackageListEntry {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('add', 'update', 'delete')]
+        [string]$Action,
+
+        [string]$AppId,
+
+        $Package,
+
+        [string]$ETag
+    )
+
+    $current = Get-PackageList -PackageType $PackageType
+    if (-not $current.success) {
+        return $current
+    }
+
+    $conflict = Get-PackageListConflict -List $current -ETag $ETag
+    if ($conflict) {
+        Write-TerminalLog "Refused to $Action $AppId in the $PackageType package list: the list changed since it was loaded" "WARNING"
+        return $conflict
+    }
+
+    $packages = @($current.packages | Where-Object { $_ })
+    if ($Action -ne 'add' -and -not ($packages | Where-Object { $_.app_id -eq $AppId })) {
+        return @{
+            success = $false
+            found = $false
+            error = "Package '$AppId' is not in the $PackageType package list"
+        }
+    }
+
+    if ($Action -eq 'add') {
+        $updated = $packages + @($Package)
+        $note = "Added $($Package.app_id)"
+    } elseif ($Action -eq 'update') {
+        $updated = @($packages | ForEach-Object { if ($_.app_id -eq $AppId) { $Package } else { $_ } })
+        $note = "Edited $AppId"
+    } else {
+        $updated = @($packages | Where-Object { $_.app_id -ne $AppId })
+        $note = "Removed $AppId"
+    }
+
+    $warnings = @()
+    if ($Action -ne 'delete') {
+        $validation = Test-PackageList -PackageType $PackageType -Packages $updated
+        if (-not $validation.valid) {
+            return @{
+                success = $false
+                error = "Package list validation failed"
+                errors = $validation.errors
+                warnings = $validation.warnings
+            }
+        }
+        $warnings = $validation.warnings
+    }
+
+    $result = Save-PackageList -PackageType $PackageType -Packages $updated -Note $note
+    if ($result.success) {
+        Add-PackageListHistory -PackageType $PackageType -Before $packages -After $updated
+        $result.warnings = $warnings
+    }
+    $result
+}
+
+<#
+.SYNOPSIS
+    Gets the folder holding the revisions of a package list
+.PARAMETER PackageType
+    The package list (winget or choco)
+.RETURNS
+    Path of list_revisions\<manager>, created if missing
+#>
+function Get-PackageListRevisionFolder {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType
+    )
+
+    $folder = Join-Path $rootPath "list_revisions\$PackageType"
+    if (-not (Test-Path $folder)) {
+        New-Item -ItemType Directory -Path $folder -Force | Out-Null
+    }
+    $folder
+}
+
+<#
+.SYNOPSIS
+    Gets the revision files of a package list, newest first
+.PARAMETER PackageType
+    The package list (winget or choco)
+#>
+function Get-PackageListRevisionFiles {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType
+    )
+
+    @(Get-ChildItem -Path (Get-PackageListRevisionFolder -PackageType $PackageType) -Filter '*.json' |
+        Where-Object { $_.BaseName -match '^\d+$' } |
+        Sort-Object { [int]$_.BaseName } -Descending)
+}
+
+<#
+.SYNOPSIS
+    Keeps a copy of a package list as a new revision
+.DESCRIPTION
+    Revisions are numbered per list. Only the newest MaxListRevisions are
+    kept.
+.PARAMETER PackageType
+    The package list (winget or choco)
+.PARAMETER Packages
+    The entries of the list
+.PARAMETER Note
+    Short description of the change
+.RETURNS
+    The number of the new revision
+#>
+function Add-PackageListRevision {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType,
+
+        [Parameter(Mandatory=$true)]
+        [AllowEmptyCollection()]
+        [array]$Packages,
+
+        [string]$Note = "Saved"
+    )
+
+    $files = Get-PackageListRevisionFiles -PackageType $PackageType
+    $revision = if ($files.Count -gt 0) { [int]$files[0].BaseName + 1 } else { 1 }
+
+    $path = Join-Path (Get-PackageListRevisionFolder -PackageType $PackageType) "$revision.json"
+    @{
+        revision = $revision
+        savedAt = (Get-Date).ToString("o")
+        note = $Note
+        packages = $Packages
+    } | ConvertTo-Json -Depth 10 | Set-Content -Path $path
+    Write-TerminalLog "Kept $PackageType package list as revision $revision ($Note)" "DEBUG"
+
+    $files | Select-Object -Skip ($script:MaxListRevisions - 1) | ForEach-Object {
+        Remove-Item -Path $_.FullName -Force
+        Write-TerminalLog "Deleted old $PackageType package list revision $($_.BaseName)" "DEBUG"
+    }
+
+    $revision
+}
+
+<#
+.SYNOPSIS
+    Lists the revisions of a package list
+.PARAMETER PackageType
+    The package list (winget or choco)
+.RETURNS
+    Hashtable containing success status and a revisions array (revision,
+    savedAt, note, count), newest first
+#>
+function Get-PackageListRevisions {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType
+    )
+
+    try {
+        $revisions = @(foreach ($file in (Get-PackageListRevisionFiles -PackageType $PackageType)) {
+            $data = Get-Content $file.FullName -Raw | ConvertFrom-Json
+            @{
+                revision = [int]$data.revision
+                savedAt = $data.savedAt
+                note = $data.note
+                count = @($data.packages | Where-Object { $_ }).Count
+            }
+        })
+
+        @{
+            success = $true
+            revisions = $revisions
+        }
+    }
+    catch {
+        Write-TerminalLog "Error reading $PackageType package list revisions: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            error = $_.Exception.Message
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets one revision of a package list
+.PARAMETER PackageType
+    The package list (winget or choco)
+.PARAMETER Revision
+    The revision number
+.RETURNS
+    Hashtable containing success status, revision, savedAt, note and
+    packages; found is $false when the revision does not exist
+#>
+function Get-PackageListRevision {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType,
+
+        [Parameter(Mandatory=$true)]
+        [int]$Revision
+    )
+
+    $path = Join-Path (Get-PackageListRevisionFolder -PackageType $PackageType) "$Revision.json"
+    if (-not (Test-Path $path)) {
+        return @{
+            success = $false
+            found = $false
+            error = "Revision $Revision of the $PackageType package list does not exist"
+        }
+    }
+
+    try {
+        $data = Get-Content $path -Raw | ConvertFrom-Json
+        @{
+            success = $true
+            found = $true
+            revision = [int]$data.revision
+            savedAt = $data.savedAt
+            note = $data.note
+            packages = @($data.packages | Where-Object { $_ })
+        }
+    }
+    catch {
+        Write-TerminalLog "Error reading $PackageType package list revision ${Revision}: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            found = $true
+            error = $_.Exception.Message
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Makes an earlier revision the current package list
+.DESCRIPTION
+    Saves the entries of the revision as the list, which keeps them as a new
+    revision; later revisions stay available.
+.PARAMETER PackageType
+    The package list (winget or choco)
+.PARAMETER Revision
+    The revision to restore
+#>
+function Restore-PackageListRevision {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType,
+
+        [Parameter(Mandatory=$true)]
+        [int]$Revision
+    )
+
+    $saved = Get-PackageListRevision -PackageType $PackageType -Revision $Revision
+    if (-not $saved.success) {
+        return $saved
+    }
+
+    Write-TerminalLog "Restoring revision $Revision of the $PackageType package list" "INFO"
+    $result = Save-PackageList -PackageType $PackageType -Packages $saved.packages -Note "Restored revision $Revision"
+    $result.packages = $saved.packages
+    $result
+}
+
+<#
+.SYNOPSIS
+    Validates a package list before it is saved
+.DESCRIPTION
+    Rejects entries with empty or whitespace-only fields, ids containing
+    spaces and duplicate app_ids. Ids that are not in the saved list yet must
+    resolve in the package manager's source. Names shared by several entries
+    only produce a warning.
+.PARAMETER PackageType
+    The type of packages to validate (winget or choco)
+.PARAMETER Packages
+    The array of packages to validate
+.RETURNS
+    Hashtable containing the valid flag plus errors and warnings
+    ({ index, appId, field, message })
+#>
+function Test-PackageList {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType,
+
+        [Parameter(Mandatory=$true)]
+        [AllowEmptyCollection()]
+        [array]$Packages
+    )
+
+    Write-TerminalLog "Validating $($Packages.Count) $PackageType packages" "DEBUG"
+    $errors = @()
+    $warnings = @()
+    $seenIds = @{}
+    $seenNames = @{}
+    $idsToResolve = @()
+
+    # Ids that are already saved were checked when they were added
+    $savedIds = @{}
+    $savedList = Get-PackageList -PackageType $PackageType
+    if ($savedList.success) {
+        foreach ($saved in @($savedList.packages)) {
+            if ($saved.app_id) {
+                $savedIds[$saved.app_id] = $true
+            }
+        }
+    }
+
+    for ($i = 0; $i -lt $Packages.Count; $i++) {
+        $package = $Packages[$i]
+        $appId = "$($package.app_id)".Trim()
+
+        foreach ($field in @('app_id', 'app_name', 'app_desc')) {
+            if ([string]::IsNullOrWhiteSpace($package.$field)) {
+                $errors += @{ index = $i; appId = $appId; field = $field; message = "$field must not be empty" }
+            }
+        }
+
+        if (-not $appId) {
+            continue
+        }
+
+        if ($appId -match '\s') {
+            $errors += @{ index = $i; appId = $appId; field = 'app_id'; message = "Package id '$appId' must not contain spaces" }
+            continue
+        }
+
+        if ($seenIds.ContainsKey($appId)) {
+            $errors += @{ index = $i; appId = $appId; field = 'app_id'; message = "Package id '$appId' is already in the list" }
+            continue
+        }
+        $seenIds[$appId] = $true
+
+        if ($package.ensure -and $package.ensure -notin @('present', 'absent')) {
+            $errors += @{ index = $i; appId = $appId; field = 'ensure'; message = "ensure of '$appId' must be 'present' or 'absent'" }
+        }
+
+        if ($null -ne $package.tags -and $package.tags -isnot [array]) {
+            $errors += @{ index = $i; appId = $appId; field = 'tags'; message = "tags of '$appId' must be a list of strings" }
+        }
+
+        $name = "$($package.app_name)".Trim()
+        if ($name) {
+            if ($seenNames.ContainsKey($name)) {
+                $warnings += @{ index = $i; appId = $appId; field = 'app_name'; message = "Name '$name' is also used by $($seenNames[$name])" }
+            } else {
+                $seenNames[$name] = $appId
+            }
+        }
+
+        if (-not $savedIds.ContainsKey($appId)) {
+            $idsToResolve += @{ index = $i; appId = $appId }
+        }
+    }
+
+    foreach ($entry in $idsToResolve) {
+        $info = if ($PackageType -eq 'winget') { Get-WingetPackageInfo -AppId $entry.appId } else { Get-ChocoPackageInfo -AppId $entry.appId }
+        if (-not $info.success) {
+            $errors += @{ index = $entry.index; appId = $entry.appId; field = 'app_id'; message = "Package id '$($entry.appId)' was not found in the $PackageType source" }
+        }
+    }
+
+    if ($errors.Count -gt 0) {
+        Write-TerminalLog "Package list validation failed with $($errors.Count) errors" "WARNING"
+    }
+
+    @{
+        valid = $errors.Count -eq 0
+        errors = $errors
+        warnings = $warnings
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets installed packages that are not in the package list
+.DESCRIPTION
+    Lists everything the manager reports as installed and leaves out the ids
+    the package list already contains. Chocolatey itself is left out since it
+    is managed from the Package Managers tab. Packages without an installable
+    source are returned with adoptable = $false.
+.PARAMETER PackageType
+    The package manager to ask (winget or choco)
+.RETURNS
+    Hashtable containing success status and packages array
+    ({ appId, name, version, source, adoptable })
+#>
+function Get-UnmanagedPackages {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$PackageType
+    )
+
+    $installed = if ($PackageType -eq 'winget') { Get-WingetInstalledPackages } else { Get-ChocoInstalledPackages }
+    if (-not $installed.success) {
+        return $installed
+    }
+
+    $list = Get-PackageList -PackageType $PackageType
+    if (-not $list.success) {
+        return $list
+    }
+
+    # Hashtable keys compare case-insensitively, like package ids
+    $listedIds = @{}
+    foreach ($package in @($list.packages)) {
+        $listedIds[$package.app_id] = $true
+    }
+
+    $packages = @($installed.packages | Where-Object {
+        -not $listedIds.ContainsKey($_.appId) -and $_.appId -ne 'chocolatey'
+    } | ForEach-Object {
+        $_.adoptable = if ($PackageType -eq 'winget') { $_.source -eq 'winget' } else { $true }
+        $_
+    })
+
+    Write-TerminalLog "Found $($packages.Count) installed $PackageType packages that are not in the package list" "INFO"
+    @{
+        success = $true
+        packages = $packages
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets the named package profiles
+.DESCRIPTION
+    Reads package_profiles.json. A profile groups entries from either
+    package list ({ manager, app_id }) under a name such as "Developer".
+#>
+function Get-PackageProfiles {
+    try {
+        $filePath = Join-Path $rootPath 'package_profiles.json'
+
+        if (-not (Test-Path $filePath)) {
+            Write-TerminalLog "Creating new package profiles file" "INFO"
+            @{ profiles = @() } | ConvertTo-Json | Set-Content $filePath
+        }
+
+        $data = Get-Content $filePath -Raw | ConvertFrom-Json
+
+        @{
+            success = $true
+            profiles = @($data.profiles)
+        }
+    }
+    catch {
+        Write-TerminalLog "Error reading package profiles: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            error = $_.Exception.Message
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Validates package profiles before they are saved
+.DESCRIPTION
+    Profile names must be present and unique, and every entry needs a known
+    manager and an app_id. Entries that are not in the manager's package
+    list only produce a warning, since they can still be installed by id.
+.PARAMETER Profiles
+    The array of profiles to validate
+.RETURNS
+    Hashtable containing the valid flag plus errors and warnings ({ profile, appId, message })
+#>
+function Test-PackageProfiles {
+    param(
+        [Parameter(Mandatory=$true)]
+        [AllowEmptyCollection()]
+        [array]$Profiles
+    )
+
+    $errors = @()
+    $warnings = @()
+    $seenNames = @{}
+    $listIds = @{}
+
+    foreach ($manager in @('winget', 'choco')) {
+        $listIds[$manager] = @{}
+        $list = Get-PackageList -PackageType $manager
+        if ($list.success) {
+            foreach ($package in @($list.packages)) {
+                $listIds[$manager][$package.app_id] = $true
+            }
+        }
+    }
+
+    foreach ($packageProfile in $Profiles) {
+        $name = "$($packageProfile.name)".Trim()
+        if (-not $name) {
+            $errors += @{ profile = $name; message = "Profile name must not be empty" }
+            continue
+        }
+        if ($seenNames.ContainsKey($name)) {
+            $errors += @{ profile = $name; message = "Profile '$name' exists more than once" }
+            continue
+        }
+        $seenNames[$name] = $true
+
+        foreach ($entry in @($packageProfile.packages)) {
+            if ($entry.manager -notin @('winget', 'choco')) {
+                $errors += @{ profile = $name; appId = $entry.app_id; message = "Unknown package manager '$($entry.manager)' in profile '$name'" }
+            }
+            elseif ([string]::IsNullOrWhiteSpace($entry.app_id)) {
+                $errors += @{ profile = $name; message = "Profile '$name' has an entry without app_id" }
+            }
+            elseif (-not $listIds[$entry.manager].ContainsKey($entry.app_id)) {
+                $warnings += @{ profile = $name; appId = $entry.app_id; message = "$($entry.app_id) in profile '$name' is not in the $($entry.manager) package list" }
+            }
+        }
+    }
+
+    @{
+        valid = $errors.Count -eq 0
+        errors = $errors
+        warnings = $warnings
+    }
+}
+
+<#
+.SYNOPSIS
+    Saves the named package profiles
+.PARAMETER Profiles
+    The array of profiles to save
+#>
+function Save-PackageProfiles {
+    param(
+        [Parameter(Mandatory=$true)]
+        [AllowEmptyCollection()]
+        [array]$Profiles
+    )
+
+    try {
+        $filePath = Join-Path $rootPath 'package_profiles.json'
+
+        if (Test-Path $filePath) {
+            Copy-Item -Path $filePath -Destination "$filePath.bak" -Force
+            Write-TerminalLog "Created backup of package_profiles.json" "DEBUG"
+        }
+
+        @{ profiles = $Profiles } | ConvertTo-Json -Depth 10 | Set-Content -Path $filePath
+        Write-TerminalLog "Successfully saved $($Profiles.Count) package profiles" "SUCCESS"
+
+        @{
+            success = $true
+            message = "Package profiles saved successfully"
+        }
+    }
+    catch {
+        Write-TerminalLog "Error saving package profiles: $($_.Exception.Message)" "ERROR"
+        @{
+            success = $false
+            error = $_.Exception.Message
+        }
+    }
+}
@@ -0,0 +1,829 @@
+# Package Operation Service Module
+# Runs package install/uninstall/upgrade commands as background jobs. Each job
+# runs in a runspace of a shared pool: it starts the package manager, reads its
+# output line by line and verifies the result, while the server loop stays free
+# to answer requests. Jobs have ids, can be listed and cancelled, and stream
+# their progress and output to per-job event streams. Lifecycle events
+# (started, progress, finished) are also pushed to every open tab through the
+# event stream service.
+
+#Requires -Version 5.0
+#Requires -RunAsAdministrator
+
+# Import required services
+. "$PSScriptRoot\logService.ps1"
+
+# Jobs keyed by id (as string; integer keys would index an ordered dictionary by position)
+$script:PackageJobs = [ordered]@{}
+$script:NextPackageJobId = 1
+$script:PackageJobRunspacePool = $null
+$script:MaxConcurrentPackageJobs = 4   # Matches the client's MAX_OPERATION_CONCURRENCY
+$script:MaxFinishedPackageJobs = 50    # Finished jobs kept for /api/jobs
+$script:MaxPackageJobOutputLines = 5000
+
+# Functions and settings copied into the job runspaces
+$script:PackageJobFunctions = @(
+    'Get-PackageOperationArguments',
+    'ConvertTo-ProcessArgument',
+    'Get-WingetOperationArguments',
+    'Get-ChocoOperationArguments',
+    'Get-PackageOutputProgress',
+    'Complete-WingetPackageOperation',
+    'Complete-ChocoPackageOperation',
+    'Get-WingetSinglePackageStatus',
+    'Get-ChocoSinglePackageStatus',
+    'Get-CachedPackageStatus',
+    'Set-CachedPackageStatus',
+    'Remove-CachedPackageStatus'
+)
+$script:PackageJobVariables = @('MaxInstallCheckRetries', 'RetryDelaySeconds', 'SingleCheckInterval', 'PackageStatusCacheTtl')
+
+# Body of every job. $Job is the synchronized state shared with the server loop.
+$script:PackageJobScript = {
+    param($Job)
+
+    # Log lines are handed to the server loop, which writes them through the log service
+    function Write-TerminalLog {
+        param([string]$Message, [string]$Type = "INFO")
+        $null = $Job.Log.Add(@{ message = $Message; type = $Type })
+    }
+
+    # Runspaces are reused, so status checks start from an empty cache; the
+    # server loop stores the verified status in the shared cache afterwards
+    $global:PackageStatusCache = @{}
+
+    if ($Job.Cancelled) {
+        $Job.Result = @{ success = $false; cancelled = $true; error = "Operation cancelled by user" }
+        return
+    }
+
+    $Job.State = 'running'
+    $Job.StartedAt = (Get-Date).ToString("o")
+    $Job.StatusText = switch ($Job.Action) {
+        'install' { "Installing..." }
+        'uninstall' { "Uninstalling..." }
+        'upgrade' { "Upgrading..." }
+    }
+
+    try {
+        $arguments = Get-PackageOperationArguments -Manager $Job.Manager -AppId $Job.AppId -Action $Job.Action -Version $Job.Version
+        Write-TerminalLog "Running $($Job.Manager) $($arguments -join ' ')" "DEBUG"
+
+        $startInfo = New-Object System.Diagnostics.ProcessStartInfo
+        $startInfo.FileName = (Get-Command $Job.Manager -ErrorAction Stop).Source
+        $startInfo.Arguments = ($arguments | ForEach-Object { ConvertTo-ProcessArgument -Value $_ }) -join ' '
+        $startInfo.UseShellExecute = $false
+        $startInfo.CreateNoWindow = $true
+        $startInfo.RedirectStandardOutput = $true
+        $startInfo.RedirectStandardError = $true
+        $startInfo.StandardOutputEncoding = [System.Text.Encoding]::UTF8
+        $startInfo.StandardErrorEncoding = [System.Text.Encoding]::UTF8
+
+        $process = [System.Diagnostics.Process]::Start($startInfo)
+        $Job.ProcessId = $process.Id
+        if ($Job.Cancelled) {
+            # Cancelled while the process was starting
+            $null = & taskkill.exe /PID $process.Id /T /F 2>&1
+        }
+        Write-TerminalLog "Started $($Job.Action) of $($Job.Manager) package $($Job.AppId) (job $($Job.Id), PID $($process.Id))" "INFO"
+
+        # Read both streams line by line so output and progress show up while the installer runs
+        $allOutput = New-Object System.Collections.Generic.List[string]
+        $readers = @{ stdout = $process.StandardOutput; stderr = $process.StandardError }
+        $pending = @{}
+        foreach ($stream in $readers.Keys) {
+            $pending[$stream] = $readers[$stream].ReadLineAsync()
+        }
+
+        while ($pending.Count -gt 0) {
+            $null = [System.Threading.Tasks.Task]::WaitAny([System.Threading.Tasks.Task[]]@($pending.Values), 250)
+            foreach ($stream in @($pending.Keys)) {
+                $task = $pending[$stream]
+                if (-not $task.IsCompleted) {
+                    continue
+                }
+
+                $line = $task.Result
+                if ($null -eq $line) {
+                    $pending.Remove($stream)
+                    continue
+                }
+                $pending[$stream] = $readers[$stream].ReadLineAsync()
+
+                # Skip spinner frames; progress bar lines only move the progress
+                if ($line -match '^\s*[-\\|/]?\s*$') {
+                    continue
+                }
+                $progress = Get-PackageOutputProgress -Line $line
+                if ($null -ne $progress) {
+                    $Job.Progress = $progress
+                    continue
+                }
+
+                $allOutput.Add($line)
+                if ($Job.Output.Count -lt $Job.MaxOutputLines) {
+                    $null = $Job.Output.Add(@{ stream = $stream; text = $line })
+                } elseif ($Job.Output.Count -eq $Job.MaxOutputLines) {
+                    $null = $Job.Output.Add(@{ stream = 'stderr'; text = "Output truncated after $($Job.MaxOutputLines) lines" })
+                }
+            }
+        }
+        $process.WaitForExit()
+        $Job.ExitCode = $process.ExitCode
+
+        if ($Job.Cancelled) {
+            Write-TerminalLog "$($Job.Action) of $($Job.Manager) package $($Job.AppId) was cancelled" "WARNING"
+            $Job.Result = @{ success = $false; cancelled = $true; error = "Operation cancelled by user" }
+            return
+        }
+
+        $Job.Progress = -1
+        $Job.StatusText = "Verifying..."
+        $output = $allOutput -join "`n"
+        $Job.Result = if ($Job.Manager -eq 'winget') {
+            Complete-WingetPackageOperation -AppId $Job.AppId -Action $Job.Action -ExitCode $process.ExitCode -Output $output
+        } else {
+            Complete-ChocoPackageOperation -AppId $Job.AppId -Action $Job.Action -ExitCode $process.ExitCode -Output $output
+        }
+    }
+    catch {
+        Write-TerminalLog "Job $($Job.Id) ($($Job.Action) of $($Job.AppId)) failed: $($_.Exception.Message)" "ERROR"
+        $Job.Result = @{ success = $false; error = "Failed to $($Job.Action): $($_.Exception.Message)" }
+    }
+}
+
+<#
+.SYNOPSIS
+    Reads the progress from a package manager output line
+.DESCRIPTION
+    Recognizes percentages (choco "Progress: ... 45%") and download sizes
+    (winget "12.0 MB / 40.0 MB").
+.PARAMETER Line
+    One line of package manager output
+.RETURNS
+    Percentage (0-100), or $null when the line carries no progress
+#>
+function Get-PackageOutputProgress {
+    param(
+        [string]$Line
+    )
+
+    if ($Line -match '(\d{1,3}(?:\.\d+)?)\s*%') {
+        $percent = [double]$matches[1]
+        if ($percent -le 100) {
+            return [int]$percent
+        }
+    }
+
+    if ($Line -match '([\d.]+)\s*([KMG]B)\s*/\s*([\d.]+)\s*([KMG]B)') {
+        $units = @{ KB = 1KB; MB = 1MB; GB = 1GB }
+        $done = [double]$matches[1] * $units[$matches[2]]
+        $total = [double]$matches[3] * $units[$matches[4]]
+        if ($total -gt 0) {
+            return [int][Math]::Min(100, $done / $total * 100)
+        }
+    }
+
+    return $null
+}
+
+<#
+.SYNOPSIS
+    Gets the runspace pool that runs package jobs
+.DESCRIPTION
+    Created on first use. Every runspace gets copies of the functions a job
+    needs (see PackageJobFunctions) instead of dot-sourcing the services,
+    which would open new log files.
+#>
+function Get-PackageJobRunspacePool {
+    if ($script:PackageJobRunspacePool) {
+        return $script:PackageJobRunspacePool
+    }
+
+    $sessionState = [System.Management.Automation.Runspaces.InitialSessionState]::CreateDefault()
+    foreach ($name in $script:PackageJobFunctions) {
+        $definition = (Get-Item "function:\$name").Definition
+        $sessionState.Commands.Add((New-Object System.Management.Automation.Runspaces.SessionStateFunctionEntry($name, $definition)))
+    }
+    foreach ($name in $script:PackageJobVariables) {
+        $value = Get-Variable -Name $name -Scope Script -ValueOnly
+        $sessionState.Variables.Add((New-Object System.Management.Automation.Runspaces.SessionStateVariableEntry($name, $value, $null)))
+    }
+
+    $script:PackageJobRunspacePool = [runspacefactory]::CreateRunspacePool(1, $script:MaxConcurrentPackageJobs, $sessionState, $Host)
+    $script:PackageJobRunspacePool.Open()
+    Write-TerminalLog "Opened package job runspace pool ($($script:MaxConcurrentPackageJobs) runspaces)" "DEBUG"
+    return $script:PackageJobRunspacePool
+}
+
+<#
+.SYNOPSIS
+    Gets the command line arguments for a package operation
+.PARAMETER Manager
+    The package manager (winget or choco)
+.PARAMETER AppId
+    The unique identifier of the package
+.PARAMETER Action
+    The operation to perform (install, uninstall or upgrade)
+.PARAMETER Version
+    Exact version to install; omit or pass "latest" for the newest version
+#>
+function Get-PackageOperationArguments {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$Manager,
+
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('install', 'uninstall', 'upgrade')]
+        [string]$Action,
+
+        [string]$Version
+    )
+
+    if ($Manager -eq 'winget') {
+        return Get-WingetOperationArguments -AppId $AppId -Action $Action -Version $Version
+    }
+    return Get-ChocoOperationArguments -AppId $AppId -Action $Action -Version $Version
+}
+
+<#
+.SYNOPSIS
+    Quotes one argument for ProcessStartInfo.Arguments
+.DESCRIPTION
+    Follows the Windows command line rules (CommandLineToArgvW): values with
+    whitespace or quotes are wrapped in quotes, embedded quotes are escaped
+    and the backslashes in front of a quote are doubled, so a value always
+    arrives as exactly one argument.
+.PARAMETER Value
+    The argument value
+#>
+function ConvertTo-ProcessArgument {
+    param(
+        [AllowEmptyString()]
+        [string]$Value
+    )
+
+    if ($Value -and $Value -notmatch '[\s"]') {
+        return $Value
+    }
+
+    # Backslashes before a quote, or before the closing quote, are doubled
+    $escaped = $Value -replace '(\\*)"', '$1$1\"' -replace '(\\+)$', '$1$1'
+    return "`"$escaped`""
+}
+
+<#
+.SYNOPSIS
+    Builds the public view of a job
+.PARAMETER Job
+    The job record
+.PARAMETER IncludeOutput
+    Adds the captured output lines ({ stream, text })
+.RETURNS
+    Hashtable with id, manager, appId, action, version, state, progress,
+    status, timestamps and, once finished, the operation result
+#>
+function ConvertTo-PackageJobSummary {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job,
+
+        [switch]$IncludeOutput
+    )
+
+    $state = $Job.State
+    $summary = @{
+        id = $state.Id
+        manager = $state.Manager
+        appId = $state.AppId
+        action = $state.Action
+        version = $state.Version
+        state = $state.State
+        progress = $state.Progress
+        status = $state.StatusText
+        createdAt = $state.CreatedAt
+        startedAt = $state.StartedAt
+        finishedAt = $state.FinishedAt
+        exitCode = $state.ExitCode
+    }
+    if ($Job.Finished) {
+        $summary.result = $state.Result
+    }
+    if ($IncludeOutput) {
+        $summary.output = @($state.Output)
+    }
+    return $summary
+}
+
+<#
+.SYNOPSIS
+    Gets a job by id
+.PARAMETER Id
+    The job id
+.RETURNS
+    The job record, or $null if there is no such job
+#>
+function Get-PackageJob {
+    param(
+        [Parameter(Mandatory=$true)]
+        [int]$Id
+    )
+
+    return $script:PackageJobs["$Id"]
+}
+
+<#
+.SYNOPSIS
+    Lists queued, running and recently finished jobs
+.RETURNS
+    Hashtable containing success status and jobs array, newest first
+#>
+function Get-PackageJobs {
+    $jobs = @($script:PackageJobs.Values | ForEach-Object { ConvertTo-PackageJobSummary -Job $_ })
+    [array]::Reverse($jobs)
+    return @{
+        success = $true
+        jobs = $jobs
+    }
+}
+
+<#
+.SYNOPSIS
+    Finds the unfinished job of a package
+.PARAMETER Manager
+    The package manager (winget or choco)
+.PARAMETER AppId
+    The unique identifier of the package
+.RETURNS
+    The job record, or $null if no job is queued or running for the package
+#>
+function Find-ActivePackageJob {
+    param(
+        [Parameter(Mandatory=$true)]
+        [string]$Manager,
+
+        [Parameter(Mandatory=$true)]
+        [string]$AppId
+    )
+
+    return $script:PackageJobs.Values | Where-Object {
+        -not $_.Finished -and $_.State.Manager -eq $Manager -and $_.State.AppId -eq $AppId
+    } | Select-Object -First 1
+}
+
+<#
+.SYNOPSIS
+    Writes an event to every stream subscribed to a job
+.PARAMETER Job
+    The job record
+.PARAMETER Type
+    Event name (state, progress, output, complete)
+.PARAMETER Data
+    Hashtable serialized as the event data
+.PARAMETER Close
+    Closes the streams after the event
+#>
+function Send-PackageJobEvent {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job,
+
+        [Parameter(Mandatory=$true)]
+        [string]$Type,
+
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Data,
+
+        [switch]$Close
+    )
+
+    $json = $Data | ConvertTo-Json -Depth 10 -Compress
+    $buffer = [System.Text.Encoding]::UTF8.GetBytes("event: $Type`ndata: $json`n`n")
+
+    foreach ($subscriber in @($Job.Subscribers)) {
+        try {
+            $subscriber.OutputStream.Write($buffer, 0, $buffer.Length)
+            $subscriber.OutputStream.Flush()
+            if ($Close) {
+                $subscriber.Close()
+            }
+        }
+        catch {
+            Write-TerminalLog "Dropping closed event stream of job $($Job.State.Id)" "DEBUG"
+            try { $subscriber.Abort() } catch { }
+            $Job.Subscribers.Remove($subscriber)
+        }
+    }
+    if ($Close) {
+        $Job.Subscribers.Clear()
+    }
+}
+
+<#
+.SYNOPSIS
+    Pushes an operation lifecycle event to every open tab
+.PARAMETER Job
+    The job record
+.PARAMETER State
+    started, progress, completed, failed or cancelled
+.PARAMETER Details
+    Extra event fields (progress, status text, error)
+#>
+function Send-PackageOperationEvent {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('started', 'progress', 'completed', 'failed', 'cancelled')]
+        [string]$State,
+
+        [hashtable]$Details = @{}
+    )
+
+    $data = @{
+        jobId = $Job.State.Id
+        manager = $Job.State.Manager
+        appId = $Job.State.AppId
+        action = $Job.State.Action
+        state = $State
+    }
+    foreach ($key in $Details.Keys) {
+        $data[$key] = $Details[$key]
+    }
+    Send-ServerEvent -Type 'operation' -Data $data
+}
+
+<#
+.SYNOPSIS
+    Queues an install/uninstall/upgrade as a background job
+.DESCRIPTION
+    Returns right away with the job id. The job runs as soon as a runspace of
+    the pool is free; follow it with /api/jobs/{id} or its event stream.
+.PARAMETER Manager
+    The package manager (winget or choco)
+.PARAMETER AppId
+    The unique identifier of the package
+.PARAMETER Action
+    The operation to perform (install, uninstall or upgrade)
+.PARAMETER Version
+    Exact version to install; omit or pass "latest" for the newest version
+.RETURNS
+    Hashtable containing success status and the job id and summary, or the
+    error if a job for the package is already queued or running
+#>
+function Start-PackageJob {
+    param(
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('winget', 'choco')]
+        [string]$Manager,
+
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('install', 'uninstall', 'upgrade')]
+        [string]$Action,
+
+        [string]$Version
+    )
+
+    # Ids and versions end up on the package manager's command line
+    if ($AppId -notmatch '^[\w.+-]+$') {
+        Write-TerminalLog "Rejected $Action of invalid package id '$AppId'" "WARNING"
+        return @{ success = $false; error = "Invalid package id: $AppId" }
+    }
+    if ($Version -and $Version -notmatch '^[\w.+-]+$') {
+        Write-TerminalLog "Rejected $Action of $AppId with invalid version '$Version'" "WARNING"
+        return @{ success = $false; error = "Invalid version: $Version" }
+    }
+
+    $activeJob = Find-ActivePackageJob -Manager $Manager -AppId $AppId
+    if ($activeJob) {
+        Write-TerminalLog "Rejected $Action of $AppId - job $($activeJob.State.Id) is already running for it" "WARNING"
+        return @{
+            success = $false
+            error = "An operation for $AppId is already running (job $($activeJob.State.Id))"
+            jobId = $activeJob.State.Id
+        }
+    }
+
+    try {
+        $id = $script:NextPackageJobId
+        $script:NextPackageJobId++
+
+        # Recorded in the history with the version after the operation
+        $before = Get-CachedPackageStatus -Manager $Manager -AppId $AppId -AllowExpired
+
+        $state = [hashtable]::Synchronized(@{
+            Id = $id
+            Manager = $Manager
+            AppId = $AppId
+            Action = $Action
+            Version = $Version
+            State = 'queued'
+            Progress = -1
+            StatusText = "Queued"
+            ProcessId = $null
+            ExitCode = $null
+            VersionBefore = if ($before -and $before.installed) { $before.version } else { $null }
+            Cancelled = $false
+            CreatedAt = (Get-Date).ToString("o")
+            StartedAt = $null
+            FinishedAt = $null
+            Output = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+            Log = [System.Collections.ArrayList]::Synchronized((New-Object System.Collections.ArrayList))
+            MaxOutputLines = $script:MaxPackageJobOutputLines
+            Result = $null
+        })
+
+        $powershell = [powershell]::Create()
+        $powershell.RunspacePool = Get-PackageJobRunspacePool
+        $null = $powershell.AddScript($script:PackageJobScript.ToString()).AddArgument($state)
+
+        $job = @{
+            State = $state
+            PowerShell = $powershell
+            AsyncResult = $powershell.BeginInvoke()
+            Subscribers = New-Object System.Collections.ArrayList
+            LogIndex = 0
+            OutputIndex = 0
+            LastProgress = $null
+            Finished = $false
+        }
+        $script:PackageJobs["$id"] = $job
+
+        Write-TerminalLog "Queued $Action of $Manager package $AppId as job $id" "INFO"
+        Send-PackageOperationEvent -Job $job -State 'started'
+        return @{
+            success = $true
+            jobId = $id
+            job = ConvertTo-PackageJobSummary -Job $job
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to start $Action of $Manager package $AppId : $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to start $Action : $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Forwards what a job reported since the last call
+.DESCRIPTION
+    Writes the job's log lines through the log service and sends new output
+    lines and progress changes to its subscribers.
+.PARAMETER Job
+    The job record
+#>
+function Receive-PackageJobUpdates {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job
+    )
+
+    $state = $Job.State
+    while ($Job.LogIndex -lt $state.Log.Count) {
+        $entry = $state.Log[$Job.LogIndex]
+        $Job.LogIndex++
+        Write-TerminalLog $entry.message $entry.type
+    }
+
+    while ($Job.OutputIndex -lt $state.Output.Count) {
+        $line = $state.Output[$Job.OutputIndex]
+        $Job.OutputIndex++
+        Send-PackageJobEvent -Job $Job -Type 'output' -Data $line
+    }
+
+    $progressKey = "$($state.Progress)|$($state.StatusText)"
+    if ($progressKey -ne $Job.LastProgress) {
+        $Job.LastProgress = $progressKey
+        $progress = @{ progress = $state.Progress; status = $state.StatusText }
+        Send-PackageJobEvent -Job $Job -Type 'progress' -Data $progress
+        Send-PackageOperationEvent -Job $Job -State 'progress' -Details $progress
+    }
+}
+
+<#
+.SYNOPSIS
+    Completes a job whose runspace has finished
+.DESCRIPTION
+    Collects the result, updates the status cache with the verified status,
+    sends the final event to the job's streams and every open tab, records
+    the operation in the history and forgets the oldest finished jobs.
+.PARAMETER Job
+    The job record
+#>
+function Complete-PackageJob {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job
+    )
+
+    $state = $Job.State
+    try {
+        $null = $Job.PowerShell.EndInvoke($Job.AsyncResult)
+        if (-not $state.Result -and $Job.PowerShell.Streams.Error.Count -gt 0) {
+            $state.Result = @{ success = $false; error = $Job.PowerShell.Streams.Error[0].ToString() }
+        }
+    }
+    catch {
+        Write-TerminalLog "Job $($state.Id) ended with an error: $($_.Exception.Message)" "ERROR"
+        $state.Result = @{ success = $false; error = $_.Exception.Message }
+    }
+    finally {
+        $Job.PowerShell.Dispose()
+    }
+
+    if (-not $state.Result) {
+        $state.Result = @{ success = $false; error = "The job ended without a result" }
+    }
+    Receive-PackageJobUpdates -Job $Job
+
+    $result = $state.Result
+    $state.State = if ($result.cancelled) { 'cancelled' } elseif ($result.success) { 'completed' } else { 'failed' }
+    $state.StatusText = if ($result.cancelled) { "Cancelled" } elseif ($result.success) { "Complete" } else { "Failed" }
+    $state.Progress = 100
+    $state.FinishedAt = (Get-Date).ToString("o")
+    $Job.Finished = $true
+
+    # winget reports the verified status as finalStatus, choco as status.
+    # Only this package's cache entry changes; without a verified status it is dropped.
+    $finalStatus = if ($result.finalStatus) { $result.finalStatus } else { $result.status }
+    if ($finalStatus) {
+        Set-CachedPackageStatus -Manager $state.Manager -AppId $state.AppId -Status $finalStatus
+    } else {
+        Remove-CachedPackageStatus -Manager $state.Manager -AppId $state.AppId
+    }
+
+    Write-TerminalLog "Job $($state.Id) ($($state.Action) of $($state.Manager) package $($state.AppId)) $($state.State)" "DEBUG"
+    Send-PackageJobEvent -Job $Job -Type 'complete' -Data (ConvertTo-PackageJobSummary -Job $Job) -Close
+
+    $errorMessage = if ($result.error) { $result.error } elseif (-not $result.success) { $result.message }
+    Send-PackageOperationEvent -Job $Job -State $state.State -Details @{ error = $errorMessage }
+    Send-PackageStatusEvent -Manager $state.Manager -AppId $state.AppId -Status $finalStatus
+
+    $startedAt = if ($state.StartedAt) { $state.StartedAt } else { $state.CreatedAt }
+    Add-HistoryEvent -Entry @{
+        type = 'operation'
+        timestamp = $state.FinishedAt
+        manager = $state.Manager
+        appId = $state.AppId
+        action = $state.Action
+        result = $state.State
+        requestedVersion = $state.Version
+        versionBefore = $state.VersionBefore
+        versionAfter = if ($finalStatus -and $finalStatus.installed) { $finalStatus.version } else { $null }
+        durationMs = [int]([datetime]$state.FinishedAt - [datetime]$startedAt).TotalMilliseconds
+        exitCode = $state.ExitCode
+        error = $errorMessage
+        jobId = $state.Id
+    }
+
+    $finished = @($script:PackageJobs.Keys | Where-Object { $script:PackageJobs[$_].Finished })
+    if ($finished.Count -gt $script:MaxFinishedPackageJobs) {
+        $finished | Select-Object -First ($finished.Count - $script:MaxFinishedPackageJobs) | ForEach-Object {
+            $script:PackageJobs.Remove($_)
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Forwards job updates and completes finished jobs
+.DESCRIPTION
+    Called by the server loop between requests.
+#>
+function Update-PackageJobs {
+    foreach ($job in @($script:PackageJobs.Values)) {
+        if ($job.Finished) {
+            continue
+        }
+
+        Receive-PackageJobUpdates -Job $job
+        if ($job.AsyncResult.IsCompleted) {
+            Complete-PackageJob -Job $job
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Subscribes an HTTP response to the event stream of a job
+.DESCRIPTION
+    Turns the response into a server-sent event stream. It starts with a
+    state event and the output captured so far, then receives progress and
+    output events, and ends with a complete event carrying the result.
+.PARAMETER Job
+    The job record
+.PARAMETER Response
+    The HttpListenerResponse to stream to
+#>
+function Add-PackageJobSubscriber {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job,
+
+        [Parameter(Mandatory=$true)]
+        $Response
+    )
+
+    $Response.ContentType = "text/event-stream"
+    $Response.Headers.Add("Cache-Control", "no-cache")
+    $Response.SendChunked = $true
+
+    # Lines after OutputIndex have not been forwarded yet and follow with the next update
+    $events = @("event: state`ndata: $(ConvertTo-PackageJobSummary -Job $Job | ConvertTo-Json -Depth 10 -Compress)`n`n")
+    for ($i = 0; $i -lt $Job.OutputIndex; $i++) {
+        $events += "event: output`ndata: $($Job.State.Output[$i] | ConvertTo-Json -Compress)`n`n"
+    }
+    if ($Job.Finished) {
+        $events += "event: complete`ndata: $(ConvertTo-PackageJobSummary -Job $Job | ConvertTo-Json -Depth 10 -Compress)`n`n"
+    }
+
+    try {
+        $buffer = [System.Text.Encoding]::UTF8.GetBytes(($events -join ''))
+        $Response.OutputStream.Write($buffer, 0, $buffer.Length)
+        $Response.OutputStream.Flush()
+        if ($Job.Finished) {
+            $Response.Close()
+        } else {
+            $null = $Job.Subscribers.Add($Response)
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to open event stream of job $($Job.State.Id): $($_.Exception.Message)" "WARNING"
+    }
+}
+
+<#
+.SYNOPSIS
+    Stops a process and all of its child processes
+.PARAMETER ProcessId
+    Id of the root process
+#>
+function Stop-ProcessTree {
+    param(
+        [Parameter(Mandatory=$true)]
+        [int]$ProcessId
+    )
+
+    Write-TerminalLog "Killing process tree of PID $ProcessId" "DEBUG"
+    $null = & taskkill.exe /PID $ProcessId /T /F 2>&1
+}
+
+<#
+.SYNOPSIS
+    Cancels a queued or running job
+.DESCRIPTION
+    Marks the job cancelled and kills the package manager process tree if it
+    has started. The job finishes with cancelled = true once its runspace
+    notices; queued jobs end without starting the package manager.
+.PARAMETER Job
+    The job record
+.RETURNS
+    Hashtable containing success status and message
+#>
+function Stop-PackageJob {
+    param(
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Job
+    )
+
+    $state = $Job.State
+    if ($Job.Finished) {
+        return @{
+            success = $false
+            error = "Job $($state.Id) has already finished"
+        }
+    }
+
+    Write-TerminalLog "Cancelling job $($state.Id) ($($state.Action) of $($state.Manager) package $($state.AppId))" "INFO"
+    $state.Cancelled = $true
+    $state.StatusText = "Cancelling..."
+
+    try {
+        if ($state.ProcessId) {
+            Stop-ProcessTree -ProcessId $state.ProcessId
+        }
+
+        return @{
+            success = $true
+            message = "Operation cancelled"
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to cancel job $($state.Id): $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to cancel operation: $($_.Exception.Message)"
+        }
+    }
+}
@@ -0,0 +1,283 @@
+# Package Search Service Module
+# Looks up packages in the winget and Chocolatey sources so list entries can
+# be picked from real source data instead of typed from memory
+
+#Requires -Version 5.0
+#Requires -RunAsAdministrator
+
+# Import required services
+. "$PSScriptRoot\logService.ps1"
+
+# Maximum number of results returned by a search
+$script:SearchResultLimit = 25
+
+<#
+.SYNOPSIS
+    Searches the winget source for packages
+.DESCRIPTION
+    Runs winget search and parses the result table. winget search does not
+    print publishers, so the publisher is taken from the id prefix
+    (Publisher.Product), which is the winget naming convention.
+.PARAMETER Query
+    Text to search for in package ids, names and tags
+.RETURNS
+    Hashtable containing success status and results array
+    ({ appId, name, version, publisher })
+#>
+function Search-WingetPackages {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$Query
+    )
+
+    Write-TerminalLog "Searching winget source for: $Query" "DEBUG"
+
+    try {
+        $output = winget search --query $Query --source winget --count $script:SearchResultLimit --accept-source-agreements | Out-String
+        Write-TerminalLog "Raw winget search output: $output" "DEBUG"
+
+        $results = @(ConvertFrom-WingetTable -Output $output | ForEach-Object {
+            @{
+                appId = $_['Id']
+                name = $_['Name']
+                version = $_['Version']
+                publisher = ($_['Id'] -split '\.')[0]
+            }
+        })
+
+        Write-TerminalLog "Winget search for '$Query' returned $($results.Count) results" "INFO"
+        return @{
+            success = $true
+            results = $results
+        }
+    }
+    catch {
+        Write-TerminalLog "Winget search failed: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Search failed: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets the details of a winget package
+.DESCRIPTION
+    Runs winget show for an exact id and parses the name, version,
+    publisher and description
+.PARAMETER AppId
+    The unique identifier of the package
+.RETURNS
+    Hashtable containing success status and package details
+#>
+function Get-WingetPackageInfo {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$AppId
+    )
+
+    Write-TerminalLog "Getting winget package details for: $AppId" "DEBUG"
+
+    try {
+        $output = winget show --id $AppId --exact --source winget --accept-source-agreements | Out-String
+        Write-TerminalLog "Raw winget show output: $output" "DEBUG"
+
+        $package = @{
+            appId = $AppId
+            name = $null
+            version = $null
+            publisher = $null
+            description = $null
+        }
+
+        $inDescription = $false
+        foreach ($line in ($output -split "`r?`n")) {
+            if ($line -match '^Found (.+) \[(.+)\]\s*$') {
+                $package.name = $matches[1].Trim()
+                continue
+            }
+            # Description continuation lines are indented
+            if ($inDescription -and $line -match '^\s+\S') {
+                $package.description += " $($line.Trim())"
+                continue
+            }
+            $inDescription = $false
+
+            if ($line -match '^Version:\s*(.+)$') {
+                $package.version = $matches[1].Trim()
+            }
+            elseif ($line -match '^Publisher:\s*(.+)$') {
+                $package.publisher = $matches[1].Trim()
+            }
+            elseif ($line -match '^Description:\s*(.*)$') {
+                $package.description = $matches[1].Trim()
+                $inDescription = $true
+            }
+        }
+
+        if (-not $package.name) {
+            Write-TerminalLog "No winget package found with id $AppId" "WARNING"
+            return @{
+                success = $false
+                error = "No package found with id $AppId"
+            }
+        }
+
+        return @{
+            success = $true
+            package = $package
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to get winget package details: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to get package details: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Parses verbose Chocolatey package listings
+.DESCRIPTION
+    Reads the package blocks printed by choco search --verbose and
+    choco info. Each block starts with an unindented "id version" line
+    followed by indented "Key: value" lines.
+.PARAMETER Output
+    Raw choco output
+.RETURNS
+    Array of hashtables ({ appId, name, version, publisher, description })
+#>
+function ConvertFrom-ChocoPackageDetails {
+    param (
+        [string]$Output
+    )
+
+    $packages = @()
+    $package = $null
+
+    foreach ($line in ($Output -split "`r?`n")) {
+        # The "Chocolatey v2.x" banner has a "v" prefix, so it never matches
+        if ($line -match '^(\S+) (\d\S*)( \[.*)?$') {
+            if ($package) {
+                $packages += $package
+            }
+            $package = @{
+                appId = $matches[1]
+                name = $matches[1]
+                version = $matches[2]
+                publisher = $null
+                description = $null
+            }
+            continue
+        }
+
+        if (-not $package) {
+            continue
+        }
+
+        if ($line -match '^\s+Title: (.+?)( \| .*)?$') {
+            $package.name = $matches[1].Trim()
+        }
+        elseif ($line -match '^\s+Software Author\(s\): (.+)$') {
+            $package.publisher = $matches[1].Trim()
+        }
+        elseif ($line -match '^\s+Summary: (.+)$') {
+            $package.description = $matches[1].Trim()
+        }
+        elseif ($line -match '^\s+Description: (.+)$' -and -not $package.description) {
+            $package.description = $matches[1].Trim()
+        }
+    }
+
+    if ($package) {
+        $packages += $package
+    }
+    return $packages
+}
+
+<#
+.SYNOPSIS
+    Searches the Chocolatey community repository for packages
+.PARAMETER Query
+    Text to search for in package ids, titles and tags
+.RETURNS
+    Hashtable containing success status and results array
+    ({ appId, name, version, publisher, description })
+#>
+function Search-ChocoPackages {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$Query
+    )
+
+    Write-TerminalLog "Searching Chocolatey source for: $Query" "DEBUG"
+
+    try {
+        $output = choco search $Query --verbose --page=0 --page-size=$script:SearchResultLimit | Out-String
+        Write-TerminalLog "Raw choco search output:`n$output" "DEBUG"
+
+        $results = @(ConvertFrom-ChocoPackageDetails -Output $output)
+
+        Write-TerminalLog "Chocolatey search for '$Query' returned $($results.Count) results" "INFO"
+        return @{
+            success = $true
+            results = $results
+        }
+    }
+    catch {
+        Write-TerminalLog "Chocolatey search failed: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Search failed: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets the details of a Chocolatey package
+.PARAMETER AppId
+    The unique identifier of the package
+.RETURNS
+    Hashtable containing success status and package details
+#>
+function Get-ChocoPackageInfo {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$AppId
+    )
+
+    Write-TerminalLog "Getting Chocolatey package details for: $AppId" "DEBUG"
+
+    try {
+        $output = choco info $AppId | Out-String
+        Write-TerminalLog "Raw choco info output:`n$output" "DEBUG"
+
+        $package = ConvertFrom-ChocoPackageDetails -Output $output |
+            Where-Object { $_.appId -eq $AppId } |
+            Select-Object -First 1
+
+        if (-not $package) {
+            Write-TerminalLog "No Chocolatey package found with id $AppId" "WARNING"
+            return @{
+                success = $false
+                error = "No package found with id $AppId"
+            }
+        }
+
+        return @{
+            success = $true
+            package = $package
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to get Chocolatey package details: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to get package details: $($_.Exception.Message)"
+        }
+    }
+}
@@ -1,67 +1,206 @@
 # Package Status Cache Service Module
-# Provides in-memory caching functionality for package installation status
+# Keeps the last known installation status of every package per package
+# manager, with the time it was checked and how long it stays fresh. The
+# cache is saved to package_status_cache.json, so statuses survive a server
+# restart; entries older than their TTL are treated as missing.
 
-# Initialize global cache hashtable
-$script:PackageStatusCache = @{}
+$script:PackageStatusCachePath = Join-Path (Split-Path -Parent (Split-Path -Parent $PSScriptRoot)) "package_status_cache.json"
+$script:PackageStatusCacheTtl = 900  # Seconds an entry stays fresh unless stored with its own TTL
 
 <#
 .SYNOPSIS
-    Retrieves cached package status for a given application ID
+    Loads the status cache saved by a previous server run
 .DESCRIPTION
-    Checks if package status exists in cache and returns it if found
+    A missing or unreadable file leaves the cache empty.
+#>
+function Import-PackageStatusCache {
+    $script:PackageStatusCache = @{}
+    if (-not (Test-Path $script:PackageStatusCachePath)) {
+        return
+    }
+
+    try {
+        $data = Get-Content $script:PackageStatusCachePath -Raw | ConvertFrom-Json
+        foreach ($manager in $data.PSObject.Properties) {
+            $entries = @{}
+            foreach ($entry in $manager.Value.PSObject.Properties) {
+                $entries[$entry.Name] = @{
+                    installed = [bool]$entry.Value.installed
+                    version = $entry.Value.version
+                    checkedAt = $entry.Value.checkedAt
+                    ttl = [int]$entry.Value.ttl
+                }
+            }
+            $script:PackageStatusCache[$manager.Name] = $entries
+        }
+        Write-TerminalLog "Loaded package status cache from $($script:PackageStatusCachePath)" "DEBUG"
+    }
+    catch {
+        Write-TerminalLog "Ignoring unreadable package status cache: $($_.Exception.Message)" "WARNING"
+    }
+}
+
+<#
+.SYNOPSIS
+    Writes the status cache to disk if it changed
+.DESCRIPTION
+    Called by the server loop, so a bulk check that stores many entries
+    writes the file once.
+#>
+function Save-PackageStatusCache {
+    if (-not $script:PackageStatusCacheDirty) {
+        return
+    }
+
+    $script:PackageStatusCacheDirty = $false
+    try {
+        $script:PackageStatusCache | ConvertTo-Json -Depth 5 | Set-Content $script:PackageStatusCachePath -Encoding UTF8
+    }
+    catch {
+        Write-TerminalLog "Failed to save package status cache: $($_.Exception.Message)" "WARNING"
+    }
+}
+
+<#
+.SYNOPSIS
+    Retrieves the cached status of a package
+.DESCRIPTION
+    Returns the entry only while it is younger than its TTL.
+.PARAMETER Manager
+    The package manager (winget or choco)
 .PARAMETER AppId
     The unique identifier of the package to look up
+.PARAMETER AllowExpired
+    Return the last known status even when it is older than its TTL
 .RETURNS
-    Hashtable containing package status if found, null otherwise
+    Hashtable containing package status (installed, version, checkedAt, ttl)
+    if found and fresh, null otherwise
 #>
 function Get-CachedPackageStatus {
     param (
         [Parameter(Mandatory=$true)]
-        [string]$AppId
+        [string]$Manager,
+
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [switch]$AllowExpired
     )
-    
-    Write-TerminalLog "Checking cache for package: $AppId" "DEBUG"
-    if ($script:PackageStatusCache.ContainsKey($AppId)) {
-        $status = $script:PackageStatusCache[$AppId]
-        Write-TerminalLog "Found cached status for $AppId : $($status | ConvertTo-Json)" "DEBUG"
-        return $status
+
+    $entries = $script:PackageStatusCache[$Manager]
+    if (-not $entries -or -not $entries.ContainsKey($AppId)) {
+        Write-TerminalLog "No cached status found for $Manager package $AppId" "DEBUG"
+        return $null
     }
-    Write-TerminalLog "No cached status found for $AppId" "DEBUG"
-    return $null
+
+    $entry = $entries[$AppId]
+    $age = ((Get-Date) - [datetime]$entry.checkedAt).TotalSeconds
+    if ($age -ge $entry.ttl -and -not $AllowExpired) {
+        Write-TerminalLog "Cached status for $Manager package $AppId expired $([int]($age - $entry.ttl))s ago" "DEBUG"
+        return $null
+    }
+
+    Write-TerminalLog "Found cached status for $Manager package $AppId (checked $([int]$age)s ago)" "DEBUG"
+    return $entry
 }
 
 <#
 .SYNOPSIS
     Stores package status in the cache
 .DESCRIPTION
-    Updates or adds new package status information to the cache
+    Stamps the status with the check time (checkedAt), so the hashtable the
+    caller returns carries it as well, and marks the cache for saving.
+.PARAMETER Manager
+    The package manager (winget or choco)
 .PARAMETER AppId
     The unique identifier of the package
 .PARAMETER Status
     Hashtable containing package status information (installed, version)
+.PARAMETER Ttl
+    Seconds the entry stays fresh (defaults to PackageStatusCacheTtl)
 #>
 function Set-CachedPackageStatus {
     param (
+        [Parameter(Mandatory=$true)]
+        [string]$Manager,
+
         [Parameter(Mandatory=$true)]
         [string]$AppId,
-        
+
+        [Parameter(Mandatory=$true)]
+        [hashtable]$Status,
+
+        [int]$Ttl = $script:PackageStatusCacheTtl
+    )
+
+    $Status.checkedAt = (Get-Date).ToString("o")
+    if (-not $script:PackageStatusCache.ContainsKey($Manager)) {
+        $script:PackageStatusCache[$Manager] = @{}
+    }
+
+    Write-TerminalLog "Caching status for $Manager package $AppId : installed=$($Status.installed) version=$($Status.version)" "DEBUG"
+    $script:PackageStatusCache[$Manager][$AppId] = @{
+        installed = [bool]$Status.installed
+        version = $Status.version
+        checkedAt = $Status.checkedAt
+        ttl = $Ttl
+    }
+    $script:PackageStatusCacheDirty = $true
+}
+
+<#
+.SYNOPSIS
+    Removes the cached status of a single package
+.DESCRIPTION
+    Called when a package changed (install, uninstall, upgrade) without a
+    verified final status, so the next check asks the package manager.
+.PARAMETER Manager
+    The package manager (winget or choco)
+.PARAMETER AppId
+    The unique identifier of the package
+#>
+function Remove-CachedPackageStatus {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$Manager,
+
         [Parameter(Mandatory=$true)]
-        [hashtable]$Status
+        [string]$AppId
     )
-    
-    Write-TerminalLog "Caching status for package $AppId : $($Status | ConvertTo-Json)" "DEBUG"
-    $script:PackageStatusCache[$AppId] = $Status
+
+    $entries = $script:PackageStatusCache[$Manager]
+    if ($entries -and $entries.ContainsKey($AppId)) {
+        $entries.Remove($AppId)
+        $script:PackageStatusCacheDirty = $true
+        Write-TerminalLog "Cleared cached status for $Manager package $AppId" "DEBUG"
+    }
 }
 
 <#
 .SYNOPSIS
-    Clears all cached package status information
+    Clears cached package status information
 .DESCRIPTION
-    Removes all entries from the package status cache.
-    Should be called after package installations/uninstallations
-    to ensure cache consistency.
+    Removes every entry of one package manager, or of all of them.
+.PARAMETER Manager
+    The package manager to clear; omit to clear everything
 #>
 function Clear-PackageStatusCache {
-    Write-TerminalLog "Clearing package status cache" "DEBUG"
-    $script:PackageStatusCache.Clear()
-} 
\ No newline at end of file
+    param (
+        [string]$Manager
+    )
+
+    if ($Manager) {
+        Write-TerminalLog "Clearing $Manager package status cache" "DEBUG"
+        $script:PackageStatusCache.Remove($Manager)
+    } else {
+        Write-TerminalLog "Clearing package status cache" "DEBUG"
+        $script:PackageStatusCache.Clear()
+    }
+    $script:PackageStatusCacheDirty = $true
+}
+
+# Services dot-source this module again, so load the saved cache only once
+if ($null -eq $script:PackageStatusCache) {
+    $script:PackageStatusCacheDirty = $false
+    Import-PackageStatusCache
+}
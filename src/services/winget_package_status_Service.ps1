@@ -8,16 +8,15 @@
 . "$PSScriptRoot\package_status_cache_service.ps1"
 . "$PSScriptRoot\logService.ps1"
 
-# Cache configuration
-$script:WingetStatusCache = @{}
-$script:LastBulkCheck = $null
-$script:BulkCheckInterval = 900 # 15 minutes
-$script:SingleCheckInterval = 600 # 10 minutes
-$script:CacheTimestamps = @{}
+# Cache TTLs (package_status_cache_service.ps1 holds the statuses)
+$script:BulkCheckInterval = 900 # 15 minutes for statuses from a winget list pass
+$script:SingleCheckInterval = 600 # 10 minutes for statuses from winget list --id
 
 # Add configuration for retry limits
-$script:MaxInstallCheckRetries = 10  # Maximum number of retries for checking installation status
-$script:RetryDelaySeconds = 5      # Delay between retries
+# Post-operation checks run in the job's runspace (the card shows "Verifying..."),
+# so they can wait for installers that register a moment after winget exits
+$script:MaxInstallCheckRetries = 5   # Maximum number of retries for checking installation status
+$script:RetryDelaySeconds = 2      # Delay between retries
 
 # Add configuration for bulk operations
 $script:BulkOperationTimeout = 300  # 5 minutes timeout for bulk operations
@@ -239,15 +238,13 @@ function Get-WingetSinglePackageStatus {
         [switch]$ForceRefresh
     )
     
-    $currentTime = Get-Date
-    
-    # Check cache first with timestamp validation
-    if (-not $ForceRefresh -and 
-        $script:WingetStatusCache.ContainsKey($AppId) -and 
-        $script:CacheTimestamps[$AppId] -and
-        ($currentTime - $script:CacheTimestamps[$AppId]).TotalSeconds -lt $script:SingleCheckInterval) {
-        Write-TerminalLog "Returning cached status for $AppId" "DEBUG"
-        return $script:WingetStatusCache[$AppId]
+    # Check cache first; entries expire after their TTL
+    if (-not $ForceRefresh) {
+        $cachedStatus = Get-CachedPackageStatus -Manager 'winget' -AppId $AppId
+        if ($cachedStatus) {
+            Write-TerminalLog "Returning cached status for $AppId" "DEBUG"
+            return $cachedStatus
+        }
     }
     
     try {
@@ -332,8 +329,7 @@ function Get-WingetSinglePackageStatus {
         Write-TerminalLog "Final status for $AppId - Installed: $($status.installed), Version: $($status.version), Name: $($status.name)" "DEBUG"
         
         # Update cache with timestamp
-        $script:WingetStatusCache[$AppId] = $status
-        $script:CacheTimestamps[$AppId] = $currentTime
+        Set-CachedPackageStatus -Manager 'winget' -AppId $AppId -Status $status -Ttl $script:SingleCheckInterval
         
         if ($status.installed) {
             Write-TerminalLog "Winget package $AppId status: Installed v$($status.version)" "INFO"
@@ -349,55 +345,174 @@ function Get-WingetSinglePackageStatus {
     }
 }
 
+<#
+.SYNOPSIS
+    Gets the winget arguments for an install/uninstall/upgrade
+.PARAMETER AppId
+    The unique identifier of the package
+.PARAMETER Action
+    The operation to perform (install, uninstall or upgrade)
+.PARAMETER Version
+    Exact version to install; omit or pass "latest" for the newest version
+.RETURNS
+    Array of command line arguments
+#>
+function Get-WingetOperationArguments {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('install', 'uninstall', 'upgrade')]
+        [string]$Action,
+
+        [string]$Version
+    )
+
+    $versionArguments = if ($Version -and $Version -ne 'latest') { @('--version', $Version) } else { @() }
+
+    switch ($Action) {
+        'install' {
+            return @('install', '--exact', '--id', $AppId, '--accept-source-agreements', '--accept-package-agreements') + $versionArguments
+        }
+        'upgrade' {
+            return @('upgrade', '--exact', '--id', $AppId, '--accept-source-agreements', '--accept-package-agreements')
+        }
+    }
+    return @('uninstall', '--exact', '--id', $AppId)
+}
+
+<#
+.SYNOPSIS
+    Verifies the result of a finished winget install/uninstall/upgrade
+.DESCRIPTION
+    Re-checks the package status (with a few retries while winget registers
+    the change) and builds the operation result. Upgrades are judged by the
+    winget exit code, since the package is installed either way.
+.PARAMETER AppId
+    The unique identifier of the package
+.PARAMETER Action
+    The operation that was performed (install, uninstall or upgrade)
+.PARAMETER ExitCode
+    Exit code of the winget process
+.PARAMETER Output
+    Captured winget output
+.RETURNS
+    Hashtable containing success status, installed/uninstalled flag and final status
+#>
+function Complete-WingetPackageOperation {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string]$AppId,
+
+        [Parameter(Mandatory=$true)]
+        [ValidateSet('install', 'uninstall', 'upgrade')]
+        [string]$Action,
+
+        $ExitCode,
+
+        [string]$Output = ""
+    )
+
+    Write-TerminalLog "Winget $Action output for $AppId (exit code $ExitCode): $Output" "DEBUG"
+    Remove-CachedPackageStatus -Manager 'winget' -AppId $AppId
+
+    if ($Action -eq 'upgrade') {
+        $status = Get-WingetSinglePackageStatus -AppId $AppId -ForceRefresh
+        if ($ExitCode -ne 0) {
+            $lastLine = ($Output -split "`n" | Where-Object { $_ -match '\S' } | Select-Object -Last 1)
+            Write-TerminalLog "Winget upgrade of $AppId failed with exit code $ExitCode" "ERROR"
+            return @{
+                success = $false
+                error = "winget exited with code $ExitCode$(if ($lastLine) { ": $($lastLine.Trim())" })"
+                finalStatus = $status
+            }
+        }
+
+        Write-TerminalLog "Successfully upgraded Winget package $AppId to v$($status.version)" "SUCCESS"
+        return @{
+            success = $true
+            message = "Package upgrade completed"
+            upgraded = $true
+            finalStatus = $status
+        }
+    }
+
+    $wantInstalled = $Action -eq 'install'
+    $maxChecks = if ($ExitCode -eq 0) { $script:MaxInstallCheckRetries } else { 1 }
+    $retryCount = 0
+    $done = $false
+
+    while (-not $done -and $retryCount -lt $maxChecks) {
+        $status = Get-WingetSinglePackageStatus -AppId $AppId -ForceRefresh
+
+        if ([bool]$status.installed -eq $wantInstalled) {
+            $done = $true
+        } else {
+            $retryCount++
+            Write-TerminalLog "$Action check attempt $retryCount of $maxChecks for $AppId" "DEBUG"
+            if ($retryCount -lt $maxChecks) {
+                Start-Sleep -Seconds $script:RetryDelaySeconds
+            }
+        }
+    }
+
+    if (-not $done -and $ExitCode -ne 0) {
+        $lastLine = ($Output -split "`n" | Where-Object { $_ -match '\S' } | Select-Object -Last 1)
+        Write-TerminalLog "Winget $Action of $AppId failed with exit code $ExitCode" "ERROR"
+        return @{
+            success = $false
+            error = "winget exited with code $ExitCode$(if ($lastLine) { ": $($lastLine.Trim())" })"
+            finalStatus = $status
+        }
+    }
+
+    if ($done) {
+        Write-TerminalLog "Successfully $($Action)ed Winget package $AppId" "SUCCESS"
+    } else {
+        Write-TerminalLog "$Action status check exceeded maximum retries for $AppId" "WARNING"
+    }
+
+    $result = @{
+        success = $true
+        message = "Package $Action completed"
+        finalStatus = $status
+    }
+    if ($wantInstalled) {
+        $result.installed = [bool]$status.installed
+    } else {
+        $result.uninstalled = -not $status.installed
+    }
+    return $result
+}
+
 <#
 .SYNOPSIS
     Installs a package using winget
 .DESCRIPTION
-    Initiates package installation and clears status cache
+    Runs the installation and waits for it to finish. The server starts
+    installs through Start-PackageJob instead, which runs them in the background.
 .PARAMETER AppId
     The unique identifier of the package to install
+.PARAMETER Version
+    Exact version to install; omit or pass "latest" for the newest version
 .RETURNS
     Hashtable containing success status and message
 #>
 function Install-WingetPackage {
     param (
         [Parameter(Mandatory=$true)]
-        [string]$AppId
+        [string]$AppId,
+
+        [string]$Version
     )
     
     Write-TerminalLog "Starting installation of Winget package: $AppId" "INFO"
     
     try {
-        $result = winget install --exact --id $AppId --accept-source-agreements --accept-package-agreements
-        Clear-PackageStatusCache
-        
-        # Add retry logic with maximum attempts
-        $retryCount = 0
-        $installed = $false
-        
-        while (-not $installed -and $retryCount -lt $script:MaxInstallCheckRetries) {
-            Start-Sleep -Seconds $script:RetryDelaySeconds
-            $status = Get-WingetSinglePackageStatus -AppId $AppId -ForceRefresh
-            
-            if ($status.installed) {
-                $installed = $true
-                Write-TerminalLog "Successfully installed Winget package $AppId (version: $($status.version))" "SUCCESS"
-            } else {
-                $retryCount++
-                Write-TerminalLog "Installation check attempt $retryCount of $script:MaxInstallCheckRetries for $AppId" "DEBUG"
-            }
-        }
-        
-        if (-not $installed) {
-            Write-TerminalLog "Installation status check exceeded maximum retries for $AppId" "WARNING"
-        }
-        
-        return @{
-            success = $true
-            message = "Package installation initiated"
-            installed = $installed
-            finalStatus = $status
-        }
+        $arguments = Get-WingetOperationArguments -AppId $AppId -Action 'install' -Version $Version
+        $output = winget @arguments | Out-String
+        return Complete-WingetPackageOperation -AppId $AppId -Action 'install' -ExitCode $LASTEXITCODE -Output $output
     }
     catch {
         Write-TerminalLog "Failed to install Winget package $AppId : $($_.Exception.Message)" "ERROR"
@@ -412,7 +527,8 @@ function Install-WingetPackage {
 .SYNOPSIS
     Uninstalls a package using winget
 .DESCRIPTION
-    Initiates package uninstallation and clears status cache
+    Runs the uninstallation and waits for it to finish. The server starts
+    uninstalls through Start-PackageJob instead, which runs them in the background.
 .PARAMETER AppId
     The unique identifier of the package to uninstall
 .RETURNS
@@ -427,36 +543,9 @@ function Uninstall-WingetPackage {
     Write-TerminalLog "Starting uninstallation of Winget package: $AppId" "INFO"
     
     try {
-        $result = winget uninstall --exact --id $AppId
-        Clear-PackageStatusCache
-        
-        # Add retry logic with maximum attempts
-        $retryCount = 0
-        $uninstalled = $false
-        
-        while (-not $uninstalled -and $retryCount -lt $script:MaxInstallCheckRetries) {
-            Start-Sleep -Seconds $script:RetryDelaySeconds
-            $status = Get-WingetSinglePackageStatus -AppId $AppId -ForceRefresh
-            
-            if (-not $status.installed) {
-                $uninstalled = $true
-                Write-TerminalLog "Successfully uninstalled Winget package $AppId" "SUCCESS"
-            } else {
-                $retryCount++
-                Write-TerminalLog "Uninstallation check attempt $retryCount of $script:MaxInstallCheckRetries for $AppId" "DEBUG"
-            }
-        }
-        
-        if (-not $uninstalled) {
-            Write-TerminalLog "Uninstallation status check exceeded maximum retries for $AppId" "WARNING"
-        }
-        
-        return @{
-            success = $true
-            message = "Package uninstallation initiated"
-            uninstalled = $uninstalled
-            finalStatus = $status
-        }
+        $arguments = Get-WingetOperationArguments -AppId $AppId -Action 'uninstall'
+        $output = winget @arguments | Out-String
+        return Complete-WingetPackageOperation -AppId $AppId -Action 'uninstall' -ExitCode $LASTEXITCODE -Output $output
     }
     catch {
         Write-TerminalLog "Failed to uninstall Winget package $AppId : $($_.Exception.Message)" "ERROR"
@@ -467,22 +556,108 @@ function Uninstall-WingetPackage {
     }
 }
 
-# Clear cache when installing/uninstalling
-function Clear-WingetStatusCache {
+<#
+.SYNOPSIS
+    Parses a table printed by winget (list, upgrade, search)
+.DESCRIPTION
+    Uses the column positions of the header line above the dashed separator
+    to split each row. Parsing stops at the first blank line, which ends the
+    table. Progress spinner output before the header is ignored.
+.PARAMETER Output
+    Raw winget output
+.RETURNS
+    Array of hashtables keyed by the column headers (Name, Id, Version, ...)
+#>
+function ConvertFrom-WingetTable {
     param (
-        [string]$AppId
+        [string]$Output
     )
-    
-    if ($AppId) {
-        # Clear cache for specific package
-        $script:WingetStatusCache.Remove($AppId)
-        $script:CacheTimestamps.Remove($AppId)
-        Write-TerminalLog "Cleared Winget status cache for $AppId" "DEBUG"
-    } else {
-        # Clear entire cache
-        $script:WingetStatusCache.Clear()
-        $script:CacheTimestamps.Clear()
-        Write-TerminalLog "Cleared all Winget status cache" "DEBUG"
+
+    # winget redraws its spinner with carriage returns; keep what was drawn last
+    $lines = $Output -split "`n" | ForEach-Object {
+        $segments = @($_ -split "`r" | Where-Object { $_ -ne '' })
+        if ($segments.Count -gt 0) { $segments[-1].TrimEnd() } else { '' }
+    }
+
+    $separatorIndex = -1
+    for ($i = 1; $i -lt $lines.Count; $i++) {
+        if ($lines[$i] -match '^-{10,}$') {
+            $separatorIndex = $i
+            break
+        }
+    }
+    if ($separatorIndex -lt 0) {
+        Write-TerminalLog "No table found in winget output" "DEBUG"
+        return @()
+    }
+
+    $columns = @([regex]::Matches($lines[$separatorIndex - 1], '\S+') | ForEach-Object {
+        @{ Name = $_.Value; Start = $_.Index }
+    })
+
+    $rows = @()
+    for ($i = $separatorIndex + 1; $i -lt $lines.Count; $i++) {
+        $line = $lines[$i]
+        if ($line -notmatch '\S') {
+            break
+        }
+
+        $row = @{}
+        for ($c = 0; $c -lt $columns.Count; $c++) {
+            $start = $columns[$c].Start
+            $end = if ($c -lt $columns.Count - 1) { $columns[$c + 1].Start } else { $line.Length }
+            $value = if ($start -lt $line.Length) {
+                $line.Substring($start, [Math]::Min($end, $line.Length) - $start).Trim()
+            } else { '' }
+            $row[$columns[$c].Name] = $value
+        }
+
+        if ($row['Id']) {
+            $rows += $row
+        }
+    }
+
+    return $rows
+}
+
+<#
+.SYNOPSIS
+    Gets the installed Winget packages that have an update available
+.DESCRIPTION
+    Runs winget upgrade once and parses the installed and available
+    version of every upgradable package
+.RETURNS
+    Hashtable containing success status and packages array
+    ({ appId, name, version, available })
+#>
+function Get-WingetOutdatedPackages {
+    Write-TerminalLog "Checking for Winget package updates..." "DEBUG"
+
+    try {
+        $output = winget upgrade --accept-source-agreements --source winget | Out-String
+        Write-TerminalLog "Raw winget upgrade output: $output" "DEBUG"
+
+        $packages = @(ConvertFrom-WingetTable -Output $output | Where-Object { $_['Available'] } | ForEach-Object {
+            @{
+                appId = $_['Id']
+                name = $_['Name']
+                version = $_['Version']
+                available = $_['Available']
+            }
+        })
+
+        Write-TerminalLog "Found $($packages.Count) Winget packages with updates available" "INFO"
+        return @{
+            success = $true
+            packages = $packages
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to check for Winget updates: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to check for updates: $($_.Exception.Message)"
+        }
     }
 }
 
@@ -502,6 +677,7 @@ function Get-WingetPackageStatus {
         Write-TerminalLog "Raw output for $AppId : $output" "DEBUG"
         
         $status = Get-WingetPackageStatusFromOutput -Output $output -AppId $AppId
+        Set-CachedPackageStatus -Manager 'winget' -AppId $AppId -Status $status -Ttl $script:SingleCheckInterval
         
         # Create result object
         $result = @{
@@ -521,4 +697,134 @@ function Get-WingetPackageStatus {
             error = $_.Exception.Message
         }
     }
-} 
\ No newline at end of file
+} 
+<#
+.SYNOPSIS
+    Gets every package installed on the machine as seen by Winget
+.DESCRIPTION
+    Runs winget list once and parses the whole table. Programs that winget
+    only knows from the registry or the Store have no winget source; their
+    ids (ARP\..., MSIX\...) cannot be installed by id.
+.RETURNS
+    Hashtable containing success status and packages array
+    ({ appId, name, version, source })
+#>
+function Get-WingetInstalledPackages {
+    Write-TerminalLog "Listing installed Winget packages..." "DEBUG"
+
+    try {
+        $output = winget list --accept-source-agreements | Out-String
+        Write-TerminalLog "Raw winget list output: $output" "DEBUG"
+
+        $packages = @(ConvertFrom-WingetTable -Output $output | ForEach-Object {
+            @{
+                appId = $_['Id']
+                name = $_['Name']
+                version = $_['Version']
+                source = $_['Source']
+            }
+        })
+
+        Write-TerminalLog "Found $($packages.Count) installed Winget packages" "INFO"
+        return @{
+            success = $true
+            packages = $packages
+        }
+    }
+    catch {
+        Write-TerminalLog "Failed to list installed Winget packages: $($_.Exception.Message)" "ERROR"
+        return @{
+            success = $false
+            error = "Failed to list installed packages: $($_.Exception.Message)"
+        }
+    }
+}
+
+<#
+.SYNOPSIS
+    Gets the status of many Winget packages from a single winget list call
+.DESCRIPTION
+    Runs winget list once and matches every requested id against the parsed
+    table instead of running winget list --id per package. Results are
+    served from the status cache while every id has a fresh cache entry.
+    winget shortens ids that do not fit their column
+    ("Microsoft.VisualStudio…"), so shortened ids match by prefix.
+.PARAMETER AppIds
+    The unique identifiers of the packages to check
+.PARAMETER ForceRefresh
+    If true, bypasses cache and performs fresh check
+.RETURNS
+    Hashtable containing success status, results array ({ appId, status })
+    and source (list or cache)
+#>
+function Get-WingetListedPackageStatus {
+    param (
+        [Parameter(Mandatory=$true)]
+        [string[]]$AppIds,
+        [switch]$ForceRefresh
+    )
+
+    if (-not $ForceRefresh) {
+        $cached = @($AppIds | ForEach-Object { @{ appId = $_; status = Get-CachedPackageStatus -Manager 'winget' -AppId $_ } })
+        if (-not ($cached | Where-Object { -not $_.status })) {
+            Write-TerminalLog "Returning cached status for $($AppIds.Count) Winget packages" "DEBUG"
+            return @{
+                success = $true
+                source = 'cache'
+                results = $cached
+            }
+        }
+    }
+
+    $installed = Get-WingetInstalledPackages
+    if (-not $installed.success) {
+        return $installed
+    }
+
+    # Hashtable keys compare case-insensitively, like package ids
+    $installedIds = @{}
+    $shortenedIds = @()
+    foreach ($package in $installed.packages) {
+        if ($package.appId.EndsWith([string][char]0x2026)) {
+            $shortenedIds += $package
+        } else {
+            $installedIds[$package.appId] = $package
+        }
+    }
+
+    $results = @(foreach ($appId in $AppIds) {
+        $package = $installedIds[$appId]
+        if (-not $package) {
+            $package = $shortenedIds | Where-Object {
+                $appId.StartsWith($_.appId.TrimEnd([char]0x2026), [System.StringComparison]::OrdinalIgnoreCase)
+            } | Select-Object -First 1
+        }
+
+        $status = if ($package) {
+            @{
+                installed = $true
+                version = $package.version
+                name = $package.name
+                source = $package.source
+            }
+        } else {
+            @{
+                installed = $false
+                version = $null
+                name = $null
+                source = $null
+            }
+        }
+
+        Set-CachedPackageStatus -Manager 'winget' -AppId $appId -Status $status -Ttl $script:BulkCheckInterval
+        @{ appId = $appId; status = $status }
+    })
+
+    $installedCount = @($results | Where-Object { $_.status.installed }).Count
+    Write-TerminalLog "Winget list pass: $installedCount of $($AppIds.Count) packages installed" "INFO"
+    return @{
+        success = $true
+        source = 'list'
+        results = $results
+    }
+}